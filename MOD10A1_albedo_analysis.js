@@ -1,6 +1,6 @@
 // ╔════════════════════════════════════════════════════════════════════════════════════════╗
 // ║              OPTIMIZED SNOW ALBEDO ANALYSIS - SASKATCHEWAN GLACIER                     ║
-// ║                    MODIS MOD10A1.061 (2010-2024) - Research Grade                     ║
+// ║                           MODIS MOD10A1.061 - Research Grade                           ║
 // ║                        MOD10A1_albedo_high_snow_cover_optimized.js                     ║
 // ╚════════════════════════════════════════════════════════════════════════════════════════╝
 
@@ -8,6 +8,8 @@
 // │                                                                                        │
 // │ 🎯 PURPOSE: Extract high-quality snow albedo data with comprehensive QA filtering     │
 // │                                                                                        │
+// │ ⚙️ SETUP: copy albedo_statistics.js to your script repo + set STATS_MODULE_PATH       │
+// │                                                                                        │
 // │ 📊 WORKFLOW:                                                                           │
 // │   1. 🔄 Script auto-loads → Statistics appear in console                             │
 // │   2. ⬅️ Interact with LEFT panel → Adjust filtering parameters                       │
@@ -24,7 +26,8 @@
 // │                                                                                        │
 // │ 📈 SCIENTIFIC METHODS:                                                                │
 // │   • 📉 Sen's slope estimator (robust trend detection)                               │
-// │   • 🔍 Change point analysis (structural breaks)                                    │
+// │   • 📐 Mann-Kendall test, Hamed-Rao / pre-whitening, Sen's slope CIs                │
+// │   • 🔍 Change point analysis (Pettitt test, BIC piecewise-linear segmentation)      │
 // │   • 🔄 Autocorrelation assessment (temporal persistence)                            │
 // │   • ⚠️ Anomaly detection (extreme event identification)                             │
 // │   • 🌡️ Climate signal analysis (early vs late period comparison)                   │
@@ -34,12 +37,13 @@
 // │   • 🏔️ Glacier Fraction: ≥75% (pure glacier focus)                                │
 // │   • ✅ Quality Level: Good+ (0-1, excludes poor quality)                           │
 // │   • ☁️ Cloud Detection: v6.1 enabled (excludes cloudy pixels)                      │
-// │   • 🌞 Season: June-September (extended melt period)                              │
+// │   • 🌞 Season: June-September (extended melt period, configurable in SEASONS)      │
 // │                                                                                        │
 // │ 📋 EXPORTS GENERATED:                                                                 │
-// │   • 📅 Annual statistics by glacier fraction class (2010-2024)                     │
+// │   • 📅 Annual statistics by glacier fraction class (study period)                   │
 // │   • 📈 Daily albedo time series with comprehensive metadata                         │
 // │   • 🔬 Pixel-level data with individual QA flags (NEW!)                            │
+// │   • 📐 Trend statistics per fraction class × metric (CSV + JSON)                   │
 // │   • 🐍 Quality-controlled data ready for Python analysis pipeline                  │
 // │                                                                                        │
 // │ 🔍 QUALITY CONTROL:                                                                   │
@@ -62,92 +66,660 @@
 // └────────────────────────────────────────────────────────────────────────────────────────┘
 
 // 1. Paramètres configurables
-var NDSI_SNOW_THRESHOLD = 0; // Minimum NDSI Snow Cover threshold (index 0-100, not percentage)
-var GLACIER_FRACTION_THRESHOLD = 75; // Seuil minimal de fraction glacier dans le pixel (%)
-var MIN_PIXEL_THRESHOLD = 10; // Nombre minimum de pixels requis pour fiabilité statistique
-var FRACTION_THRESHOLDS = [0.25, 0.50, 0.75, 0.90]; // Seuils de fraction glacier pour classes
-var STUDY_YEARS = ee.List([2010, 2011, 2012, 2013, 2014, 2015, 2016, 2017, 2018, 2019, 2020, 2021, 2022, 2023, 2024]);
-var SUMMER_START_MONTH = 6;  // Juin (extended melt season)
-var SUMMER_END_MONTH = 9;    // Septembre
-var USE_PEAK_MELT_ONLY = false; // Si false, utilise juin-septembre au lieu de juillet-septembre
+// ⚠️ À MODIFIER AVANT LA PREMIÈRE EXÉCUTION : chemin Earth Engine du module de statistiques. Copier
+// albedo_statistics.js dans un script nommé albedo_statistics de VOTRE dépôt de scripts (Code Editor,
+// onglet Scripts → NEW → File, coller le contenu, Save) puis remplacer <account>/<repository> ci-dessous.
+// Tant que le chemin contient ce gabarit, le script s'arrête au chargement avec la marche à suivre.
+var STATS_MODULE_PATH = 'users/<account>/<repository>:albedo_statistics';
 
-// Class names for glacier fraction categories with actual percentage ranges
-var FRACTION_CLASS_NAMES = ['glacier_0_25pct', 'glacier_25_50pct', 'glacier_50_75pct', 'glacier_75_90pct', 'glacier_90_100pct'];
-var ANNUAL_CLASS_NAMES = ['glacier_0_25pct_high_snow', 'glacier_25_50pct_high_snow', 'glacier_50_75pct_high_snow', 
-                          'glacier_75_90pct_high_snow', 'glacier_90_100pct_high_snow'];
-
-// 2. Charger l'asset du glacier Saskatchewan
-// ⚠️ LIMITATION SCIENTIFIQUE IMPORTANTE :
-// Ce script utilise un masque glaciaire statique de 2024 pour toute la période 2010-2024.
-// Les changements de géométrie glaciaire au cours de cette période ne sont PAS pris en compte.
-// Cela peut introduire des biais dans l'analyse temporelle, particulièrement pour les années
-// les plus éloignées de 2024. Les tendances à long terme doivent être interprétées avec 
-// cette limitation en considération.
-var saskatchewan_glacier = ee.Image('projects/tofunori/assets/Saskatchewan_glacier_2024_updated');
-var glacier_mask = saskatchewan_glacier.gt(0);
-var glacier_geometry = glacier_mask.reduceToVectors({
-  scale: 30,
-  maxPixels: 1e6,
-  tileScale: 2
-}).geometry();
+// Profils de filtrage nommés. Le profil ACTIVE_PROFILE, résolu en CONFIG (après le chargement du module de
+// statistiques), est la source unique de la configuration QA et des seuils : exports, valeurs initiales de
+// l'interface et bannière console. Chaque ligne exportée embarque le profil utilisé (filter_profile_json).
+//   • qa.basicLevel              : 'best' (0) | 'good' (0-1) | 'ok' (0-2) | 'all' (0-3)
+//   • qa.exclude<Flag>           : true → pixels portant ce bit Algorithm Flags exclus (voir QA_BIT_MAPPING)
+//   • ndsiSnowThreshold          : NDSI Snow Cover minimum (index 0-100, pas un pourcentage)
+//   • glacierFractionThreshold   : fraction glacier minimale dans le pixel (%)
+//   • minPixelThreshold          : pixels minimum pour fiabilité statistique (0 = pas de filtre)
+//   • fractionThresholds         : bornes croissantes dans ]0, 1[ des classes de fraction glacier ;
+//     N seuils → N+1 classes (voir buildFractionClasses), ex. déciles [0.1, ..., 0.9] ou [0.50]
+var FILTER_PROFILES = {
+  // Approche conservatrice recommandée (publication)
+  conservative_publication: {
+    qa: {
+      basicLevel: 'good',                  // Good quality+ (0-1) - recommandation standard
+      excludeInlandWater: true,            // IMPORTANT - exclure pixels eau/lacs glaciaires
+      excludeVisibleScreenFail: true,      // CRITIQUE - données visible corrompues
+      excludeNDSIScreenFail: true,         // CRITIQUE - NDSI non-fiable
+      excludeTempHeightFail: true,         // IMPORTANT - conditions atypiques
+      excludeSWIRAnomaly: true,            // IMPORTANT - anomalies optiques SWIR
+      excludeProbablyCloudy: true,         // CRITIQUE - cloud masking v6.1 (Bit 5)
+      excludeProbablyClear: false,         // OPTIONNEL - ne pas exclure les pixels clairs (Bit 6)
+      excludeHighSolarZenith: true         // IMPORTANT - éclairage faible
+    },
+    ndsiSnowThreshold: 0,
+    glacierFractionThreshold: 75,
+    minPixelThreshold: 10,
+    fractionThresholds: [0.25, 0.50, 0.75, 0.90]
+  },
+  // Couverture maximale : QA OK+, seuls les échecs de tests visible/NDSI et les nuages probables exclus
+  permissive: {
+    qa: {
+      basicLevel: 'ok',
+      excludeInlandWater: false,
+      excludeVisibleScreenFail: true,
+      excludeNDSIScreenFail: true,
+      excludeTempHeightFail: false,
+      excludeSWIRAnomaly: false,
+      excludeProbablyCloudy: true,
+      excludeProbablyClear: false,
+      excludeHighSolarZenith: false
+    },
+    ndsiSnowThreshold: 0,
+    glacierFractionThreshold: 50,
+    minPixelThreshold: 5,
+    fractionThresholds: [0.25, 0.50, 0.75, 0.90]
+  },
+  // Masque nuageux v6.1 seul (tous niveaux Basic QA) : effet isolé du masquage des nuages
+  cloud_only: {
+    qa: {
+      basicLevel: 'all',
+      excludeInlandWater: false,
+      excludeVisibleScreenFail: false,
+      excludeNDSIScreenFail: false,
+      excludeTempHeightFail: false,
+      excludeSWIRAnomaly: false,
+      excludeProbablyCloudy: true,
+      excludeProbablyClear: false,
+      excludeHighSolarZenith: false
+    },
+    ndsiSnowThreshold: 0,
+    glacierFractionThreshold: 75,
+    minPixelThreshold: 10,
+    fractionThresholds: [0.25, 0.50, 0.75, 0.90]
+  }
+};
+var ACTIVE_PROFILE = 'conservative_publication';
+// Période d'étude en années hydrologiques (voir SEASONS) ; STUDY_YEAR_LIST, les filtres de collection,
+// le sélecteur de date et les noms d'export (STUDY_PERIOD_TAG) en sont dérivés (Section 3C).
+//   START_YEAR : ≥ 2000 (début de MOD10A1 : 2000-02-24 ; MYD10A1 2002)
+//   END_YEAR   : année finale, ou 'clock_estimate' = ESTIMATION d'après l'horloge : dernière saison
+//                complète à la date du jour moins LATEST_DATA_LAG_DAYS (délai d'ingestion supposé). La
+//                collection n'est PAS lue avant la construction de la chaîne : sa dernière image est
+//                comparée ensuite en arrière-plan et un ⚠️ en console signale une dernière saison
+//                incomplète (produit en retard de plus de LATEST_DATA_LAG_DAYS jours), qui entre alors
+//                dans les séries annuelles et les tendances. Pour une publication, fixer une année.
+var START_YEAR = 2010;
+var END_YEAR = 2024;
+var LATEST_DATA_LAG_DAYS = 10;
+
+// Saisons d'analyse nommées : début et fin inclus, en jour de l'année (1-365, calendrier non
+// bissextile) ou en date 'MM-DD'. Une saison dont la fin précède le début chevauche l'année civile
+// (glaciers de l'hémisphère sud) et porte l'année hydrologique de sa fin : la saison 2020 de
+// {start: '11-01', end: '03-31'} va du 2019-11-01 au 2020-03-31 (colonne season_year).
+var SEASONS = {
+  extended_melt: {start: '06-01', end: '09-30'},  // Juin-septembre
+  peak_melt: {start: '07-01', end: '09-30'}       // Juillet-septembre
+  // southern_melt: {start: '11-01', end: '03-31'}
+};
+// Saisons analysées : une chaîne complète (annuel, quotidien, pixel-level) et des exports par saison ;
+// la première règle aussi l'interface interactive et l'analyse statistique approfondie
+var ACTIVE_SEASONS = ['extended_melt'];
+
+// Agrégation annuelle des classes de fraction glacier (enregistrée dans annual_aggregation) :
+//   'pixel_mean'         : moyenne spatiale des moyennes saisonnières par pixel (historique)
+//   'pixel_day_weighted' : moyenne de tous les pixel-jours valides (pondérée par le nombre d'observations)
+//   'daily_median'       : médiane des moyennes glacier quotidiennes
+//   'daily_mean'         : moyenne des moyennes glacier quotidiennes
+// Les stratégies quotidiennes n'utilisent que les jours valides (≥ minPixelThreshold pixels de la classe).
+var ANNUAL_AGGREGATION = 'pixel_mean';
+
+// Stratification altitudinale (en complément des classes de fraction glacier)
+var DEM_SOURCE = 'NASADEM'; // 'SRTM' | 'NASADEM' | 'GLO30' (Copernicus GLO-30)
+var ELEVATION_BAND_WIDTH = 100; // Largeur des bandes régulières (m)
+var ELEVATION_RANGE = [1700, 3500]; // Bornes [min, max[ des bandes régulières (m)
+// Zones nommées (remplacent les bandes régulières si définies), bornes [min, max[ en m :
+// var ELEVATION_ZONES = [{name: 'ablation', min: 1700, max: 2600}, {name: 'accumulation', min: 2600, max: 3500}];
+var ELEVATION_ZONES = null;
+
+// Produits de neige journaliers (voir SNOW_PRODUCTS) :
+//   • SNOW_PRODUCT       : produit utilisé en mode 'single' ('MOD10A1', 'MYD10A1')
+//   • FUSION_PRODUCTS    : paire [principal, secondaire] fusionnée en mode 'best_qa' / 'mean'
+//   • SENSOR_FUSION_MODE :
+//     'single'  : un seul produit (défaut, série historique Terra)
+//     'best_qa' : par pixel, produit valide avec le meilleur Basic QA (égalité → principal)
+//     'mean'    : moyenne des deux produits s'ils sont valides, sinon le produit valide
+// Terra seul = single + MOD10A1 ; Aqua seul = single + MYD10A1
+var SNOW_PRODUCT = 'MOD10A1';
+var FUSION_PRODUCTS = ['MOD10A1', 'MYD10A1'];
+var SENSOR_FUSION_MODE = 'single';
+var EXPORT_INTER_SENSOR_REPORT = true; // Rapport quotidien principal vs secondaire (biais, RMSE, corrélation)
+
+// Calibration inter-produits (référence → cible) sur la période de recouvrement et série harmonisée.
+// Les deux produits doivent fournir un albédo de neige quotidien (vérifié au chargement) : les produits
+// de neige VIIRS (VNP10A1, VJ110A1) n'en ont pas, une continuité MODIS → VIIRS de l'albédo est impossible.
+var CALIBRATION_PRODUCTS = {reference: 'MOD10A1', target: 'MYD10A1'};
+var CALIBRATION_PERIOD = ['2013-01-01', '2024-12-31']; // Recouvrement des deux produits (Terra/Aqua : depuis 2002-07)
+var EXPORT_CALIBRATION_REPORT = false; // Régression et biais par classe (produit de référence → cible)
+var EXPORT_HARMONISED_SERIES = false;  // Série quotidienne continue (référence recalibrée puis cible)
+var HARMONISATION_SWITCH_DATE = '2020-01-01'; // Bascule référence recalibrée → produit cible
+
+// Anomalies quotidiennes : climatologie par jour de l'année et classe de fraction glacier
+var CLIMATOLOGY_WINDOW_DAYS = 15;  // Fenêtre de lissage centrée (jours) autour de chaque jour de l'année
+var ANOMALY_Z_THRESHOLD = 2.0;     // |z| au-delà duquel un jour valide est anormal
+var EVENT_MIN_DURATION = 3;        // Jours valides consécutifs minimum (même signe) pour un événement extrême
+var EXPORT_ANOMALY_EVENTS = true;  // Tables climatologie + événements extrêmes par glacier
+
+// Comblement des lacunes de la série quotidienne (<classe>_filled, <classe>_fill_method, <classe>_gap_length)
+//   'none'               : pas de comblement
+//   'linear'             : interpolation linéaire entre jours valides si la lacune ≤ GAP_FILL_MAX_DAYS
+//   'climatology'        : moyenne climatologique du jour de l'année (<classe>_clim_mean)
+//   'linear_climatology' : linéaire si la lacune ≤ GAP_FILL_MAX_DAYS, sinon climatologie
+var GAP_FILL_METHOD = 'linear_climatology';
+var GAP_FILL_MAX_DAYS = 5;             // Lacune maximale (jours) comblée par interpolation linéaire
+var GAP_FILL_SMOOTHING = 'none';       // 'none' | 'savitzky_golay' (lissage de la série comblée)
+var SAVITZKY_GOLAY_HALF_WINDOW = 3;    // Demi-fenêtre m (fenêtre 2m+1 jours, polynôme d'ordre 2)
+var GAP_FILL_MAP_DATES = [];           // Dates 'YYYY-MM-DD' des cartes d'albédo comblées (pixel) à exporter
+
+// Composites temporels par classe de fraction (mêmes masques que la série quotidienne), tronqués à la saison
+//   '8day'        : périodes MODIS de 8 jours (jours de l'année 1, 9, 17, ...)
+//   'weekly'      : périodes de 7 jours depuis le 1er janvier
+//   'semimonthly' : du 1er au 15 puis du 16 à la fin du mois
+//   'monthly'     : mois calendaire
+var COMPOSITE_PERIODS = ['8day', 'weekly', 'semimonthly', 'monthly'];
+var EXPORT_COMPOSITE_TABLES = true;    // Un CSV par type de composite et par glacier
+var COMPOSITE_MAP_PERIOD = 'monthly';  // Type de composite des rasters exportés
+var COMPOSITE_MAP_YEARS = [];          // Années exportées en rasters (une pile multi-bandes par année ; [] = aucune)
+
+// Cartes de tendance par pixel : albédo moyen saisonnier par pixel et par année de STUDY_YEARS,
+// puis pente de Sen, Mann-Kendall (S, Z, p) et nombre d'années valides par pixel
+var PIXEL_TREND_MIN_YEARS = 8;         // Années valides minimum par pixel (sinon pixel masqué)
+var PIXEL_TREND_SLOPE_RANGE = 0.01;    // Bornes ± de la palette divergente (albédo 0-1 par an)
+var EXPORT_PIXEL_TRENDS = true;        // GeoTIFF des rasters de tendance + résumé des pentes par classe (CSV)
+
+// Module de statistiques (fonctions pures, voir albedo_statistics.js) chargé depuis STATS_MODULE_PATH
+var STATS_MODULE_SETUP = 'To publish it: in the Code Editor Scripts tab, open one of your repositories ' +
+  '(NEW → Repository if needed), create a file named albedo_statistics with NEW → File, paste the content of ' +
+  'albedo_statistics.js, Save, then set STATS_MODULE_PATH = \'users/<account>/<repository>:albedo_statistics\' ' +
+  '(README, Installation and Setup).';
+if (STATS_MODULE_PATH.indexOf('<') !== -1) {
+  throw new Error('STATS_MODULE_PATH is not set (' + STATS_MODULE_PATH + '). ' + STATS_MODULE_SETUP);
+}
+var albedoStats;
+try {
+  albedoStats = require(STATS_MODULE_PATH);
+} catch (error) {
+  throw new Error('Cannot load the statistics module ' + STATS_MODULE_PATH + ' (' + error + '). ' + STATS_MODULE_SETUP);
+}
+
+// Profil de filtrage sous forme canonique (ordre de clés fixe : JSON comparable et empreinte stable)
+function buildFilterProfile(qa, ndsiSnowThreshold, glacierFractionThreshold, minPixelThreshold, fractionThresholds) {
+  var canonicalQA = {basicLevel: qa.basicLevel};
+  albedoStats.QA_BIT_MAPPING.forEach(function(mapping) {
+    canonicalQA[mapping.flag] = qa[mapping.flag];
+  });
+  return {
+    qa: canonicalQA,
+    ndsiSnowThreshold: ndsiSnowThreshold,
+    glacierFractionThreshold: glacierFractionThreshold,
+    minPixelThreshold: minPixelThreshold,
+    fractionThresholds: fractionThresholds.slice()
+  };
+}
+
+// Profil validé (albedoStats.validateFilterProfile) en forme canonique ; erreur si invalide
+function resolveFilterProfile(profile, profileName) {
+  var errors = albedoStats.validateFilterProfile(profile);
+  if (errors.length > 0) {
+    throw new Error('Invalid filter profile ' + profileName + ': ' + errors.join('; '));
+  }
+  return buildFilterProfile(profile.qa, profile.ndsiSnowThreshold, profile.glacierFractionThreshold,
+    profile.minPixelThreshold, profile.fractionThresholds);
+}
+
+if (!FILTER_PROFILES[ACTIVE_PROFILE]) {
+  throw new Error('Unknown ACTIVE_PROFILE: ' + ACTIVE_PROFILE + ' (expected ' + Object.keys(FILTER_PROFILES).join(', ') + ')');
+}
+// Configuration de filtrage active (source unique) : {profile, qa, ndsiSnowThreshold, glacierFractionThreshold,
+// minPixelThreshold, fractionThresholds}
+var CONFIG = resolveFilterProfile(FILTER_PROFILES[ACTIVE_PROFILE], ACTIVE_PROFILE);
+CONFIG.profile = ACTIVE_PROFILE;
+
+// Nom d'un profil pour les exports : nom du profil de référence, suffixé '_modified' si le profil en diffère
+// (seuils propres au glacier, réglages de l'interface) ; nom inchangé pour un profil hors FILTER_PROFILES
+function getFilterProfileName(profile, referenceName) {
+  if (!FILTER_PROFILES[referenceName]) {
+    return referenceName;
+  }
+  var reference = resolveFilterProfile(FILTER_PROFILES[referenceName], referenceName);
+  return JSON.stringify(reference) === JSON.stringify(profile) ? referenceName : referenceName + '_modified';
+}
+
+// Tests de tendance (analyse statistique approfondie, côté client)
+var TREND_CONFIDENCE_LEVEL = 0.95;  // Niveau de confiance (IC de Sen, significativité Mann-Kendall)
+var BOOTSTRAP_ITERATIONS = 1000;    // Rééchantillonnages pour l'IC bootstrap de la pente de Sen (0 = désactivé)
+var BOOTSTRAP_SEED = 42;            // Graine du générateur pseudo-aléatoire (résultats reproductibles)
+var CHANGE_POINT_MAX_BREAKPOINTS = 2;  // Nombre maximal de ruptures testées (segmentation linéaire par morceaux)
+var CHANGE_POINT_MIN_SEGMENT = 4;      // Longueur minimale d'un segment (années, ≥3)
+var DEEP_STATS_MIN_YEARS = 5;          // Années valides minimum par classe (sinon classe marquée SKIPPED)
+var EXPORT_TREND_STATISTICS = true;    // Résultats de l'analyse approfondie (classe × métrique) en CSV + JSON
+
+// Tendances infra-saisonnières : chaque mois calendaire touché par la saison plus des fenêtres jour
+// de l'année personnalisées {name, start, end} (bornes incluses ; start > end chevauche le 31 décembre).
+// Jours de l'année 1-365 en calendrier non bissextile, comme SEASONS : 200 = 19 juillet chaque année.
+var SUBSEASONAL_DOY_WINDOWS = [{name: 'doy_200_230', start: 200, end: 230}];
+var SUBSEASONAL_MIN_VALID_DAYS = 3;    // Jours valides minimum dans la fenêtre pour retenir une année
+var EXPORT_SUBSEASONAL_TRENDS = true;  // Table fenêtre × classe (pente de Sen, Mann-Kendall, années valides)
+
+// Analyse de sensibilité : calcul annuel du premier glacier (saison ACTIVE_SEASON) pour chaque combinaison
+// de la grille, les autres paramètres venant du profil actif (CONFIG). Clés acceptées : ndsiSnowThreshold,
+// glacierFractionThreshold, minPixelThreshold, basicLevel et les drapeaux qa.exclude<Flag> (QA_BIT_MAPPING).
+// Par combinaison et classe : pixel-jours retenus, série annuelle (mean_<année>) et pente de Sen.
+// ⚠️ Une chaîne annuelle complète par combinaison (4 × 3 × 3 × 2 = 72 ici) : export long
+var SENSITIVITY_ANALYSIS = false;
+var SENSITIVITY_GRID = {
+  ndsiSnowThreshold: [0, 10, 30, 50],
+  glacierFractionThreshold: [50, 75, 90],
+  basicLevel: ['best', 'good', 'ok'],
+  excludeProbablyCloudy: [true, false]
+};
+var EXPORT_SENSITIVITY_TABLE = true;   // Table combinaison × classe (CSV)
+
+// Rapport d'impact du filtrage (cascade de pertes) : pour chaque jour et chaque année saisonnière, pixels
+// glacier retirés à chaque étape, dans l'ordre d'application (données absentes, nuit/océan, niveau Basic QA,
+// chaque bit Algorithm Flags exclu, albédo >100, seuil NDSI, fraction glacier, minimum de pixels) et
+// différence d'albédo filtré − non filtré. Configuration QA et seuils du contexte glacier (profil actif)
+var EXPORT_FILTER_IMPACT = true;       // Tables quotidienne et annuelle par glacier (CSV) + graphiques console
+
+// Cartes de fréquence QA : pour chaque pixel, % des jours observés de la période portant un drapeau Algorithm
+// Flags (probablement nuageux bit 5, angle zénithal solaire bit 7, échecs d'écran bits 1-3, eau continentale
+// bit 0) ou valides après la QA des exports (profil actif, albédo ≤100). Révèle les pixels problématiques
+// persistants (bords de lacs proglaciaires...) ; couches de l'interface avec légendes et GeoTIFF par glacier
+var QA_FREQUENCY_PERIOD = 'study';     // 'study' (saison, toutes les années) | année saisonnière (2023) | ['YYYY-MM-DD', 'YYYY-MM-DD']
+var EXPORT_QA_FREQUENCY_MAPS = true;   // GeoTIFF multi-bandes (<indicateur>_pct + observed_days) de QA_FREQUENCY_PERIOD
+
+// Mode incrémental : exports quotidien et pixel-level limités aux images postérieures à la dernière
+// date traitée (par glacier et saison) ; les autres exports sont suspendus. Dernière date traitée :
+// INCREMENTAL_SINCE, sinon dernière 'date' de INCREMENTAL_SOURCE_ASSET, sinon fin de plage du manifeste.
+//   INCREMENTAL_OUTPUT : 'delta' (CSV daté sur Drive) | 'asset' (table existante + delta → nouvel asset daté,
+//                        Earth Engine ne pouvant pas réécrire un asset existant)
+// Le manifeste (une ligne par glacier × saison et par passage) enregistre la plage traitée et son statut
+// ('first', 'contiguous', 'gap', 'overlap', 'no_new_images') par rapport à toutes les plages déjà couvertes
+// (manifeste et table source) ; il est exporté en CSV et en asset daté à renseigner dans
+// INCREMENTAL_MANIFEST_ASSET pour le passage suivant.
+// ⚠️ Les colonnes dépendant de la série complète (anomalies, comblement) ne sont pas calculées dans le delta.
+var INCREMENTAL_MODE = false;
+var INCREMENTAL_SINCE = null;              // Dernière date déjà traitée 'YYYY-MM-DD' (prioritaire)
+var INCREMENTAL_SOURCE_ASSET = null;       // Table quotidienne déjà exportée (asset, colonnes glacier_id, season, date)
+var INCREMENTAL_MANIFEST_ASSET = null;     // Manifeste du passage précédent (asset ; null = premier passage)
+var INCREMENTAL_OUTPUT = 'delta';
+var INCREMENTAL_ASSET_ROOT = 'projects/tofunori/assets/albedo_incremental'; // Dossier des assets écrits
+
+// 2. Registre des glaciers (Columbia Icefield) avec masques datés
+// Les contours glaciaires évoluent sur 2010-2024 : un masque unique (ex. 2024) reclasse
+// en "marginaux" des pixels riches en glace en 2010 et biaise les tendances. Chaque glacier
+// accepte donc une liste de masques datés (époques) ; une fraction glacier est calculée par
+// époque et l'époque utilisée pour chaque année/jour dépend de MASK_EPOCH_MODE.
+//
+// Chaque entrée est traitée indépendamment (annuel, quotidien, pixel-level) :
+//   • id     : identifiant court, utilisé pour la colonne glacier_id et les noms d'export
+//   • name   : nom affiché dans l'interface et la console
+//   • masks  : liste [{year, asset}] de masques glaciaires datés (pixels > 0 = glacier)
+//              (raccourci : asset + maskYear pour un masque unique, maskYear défaut 2024)
+//   • seuils optionnels propres au glacier (sinon valeurs globales ci-dessus) :
+//     ndsiSnowThreshold, glacierFractionThreshold, minPixelThreshold
+var GLACIER_REGISTRY = [
+  {id: 'saskatchewan', name: 'Saskatchewan Glacier', masks: [
+    // {year: 2010, asset: 'projects/tofunori/assets/Saskatchewan_glacier_2010'},
+    // {year: 2015, asset: 'projects/tofunori/assets/Saskatchewan_glacier_2015'},
+    // {year: 2020, asset: 'projects/tofunori/assets/Saskatchewan_glacier_2020'},
+    {year: 2024, asset: 'projects/tofunori/assets/Saskatchewan_glacier_2024_updated'}
+  ]}
+  // Exemple d'ajout d'un autre glacier du Columbia Icefield avec seuil spécifique :
+  // {id: 'athabasca', name: 'Athabasca Glacier', asset: 'projects/tofunori/assets/Athabasca_glacier_2024', glacierFractionThreshold: 50}
+];
+
+// Sélection de l'époque de masque pour chaque année/jour analysé :
+//   'nearest'       : époque la plus proche de la date (en années)
+//   'interpolate'   : interpolation linéaire de la fraction entre les deux époques encadrantes
+//   'constant_area' : intersection de toutes les époques (surface constante, sans effet de recul)
+var MASK_EPOCH_MODE = 'nearest';
+// Exporter en plus la série annuelle "constant_area" pour comparaison avec le masque évolutif
+var EXPORT_CONSTANT_AREA_COMPARISON = true;
 
 // ┌────────────────────────────────────────────────────────────────────────────────────────┐
-// │ SECTION 2 : CALCUL STATIQUE DE LA FRACTION GLACIER (OPTIMISATION)                      │
+// │ SECTION 2 : CALCUL DES FRACTIONS GLACIER PAR ÉPOQUE (OPTIMISATION)                     │
 // └────────────────────────────────────────────────────────────────────────────────────────┘
 
-// 3. Calculer la fraction glacier une seule fois (optimisation performance)
-print('Computing static glacier fraction...');
+// 3. Calculer la fraction glacier une seule fois par époque de masque (optimisation performance)
+print('Computing glacier fraction per mask epoch...');
+
+// Catalogue des produits de neige journaliers : collection, noms de bandes, facteur d'échelle
+// de l'albédo, codes Basic QA et disposition des bits Algorithm Flags. Toutes les images sont
+// converties vers la représentation canonique MOD10A1 (voir toCanonicalSnowImage) afin que
+// l'ensemble de la chaîne (QA, masques, statistiques) reste identique quel que soit le produit.
+//   • albedoScale / albedoValidMax : albédo (0-1) = brut × albedoScale pour brut ≤ albedoValidMax
+//   • basicQACodes : codes nuit/océan du produit (canoniques : 211 / 239)
+//   • flagBits     : {flag QA_BIT_MAPPING → bit du produit} si la disposition diffère (null = identique)
+//   • onModisGrid  : false → rééchantillonné (plus proche voisin) sur la grille MODIS 500 m
+// Un produit sans bande d'albédo de neige quotidienne (bands.albedo) est refusé au chargement. C'est le cas
+// des produits de neige VIIRS (VNP10A1 / VJ110A1 : couverture NDSI seulement), donc absents du catalogue.
+var SNOW_PRODUCTS = {
+  'MOD10A1': {
+    collection: 'MODIS/061/MOD10A1',
+    platform: 'Terra',
+    code: 1,
+    bands: {ndsi: 'NDSI_Snow_Cover', albedo: 'Snow_Albedo_Daily_Tile', basicQA: 'NDSI_Snow_Cover_Basic_QA', flags: 'NDSI_Snow_Cover_Algorithm_Flags_QA'},
+    albedoScale: 0.01,
+    albedoValidMax: 100,
+    basicQACodes: {night: 211, ocean: 239},
+    flagBits: null,
+    onModisGrid: true,
+    note: ''
+  },
+  'MYD10A1': {
+    collection: 'MODIS/061/MYD10A1',
+    platform: 'Aqua',
+    code: 2,
+    bands: {ndsi: 'NDSI_Snow_Cover', albedo: 'Snow_Albedo_Daily_Tile', basicQA: 'NDSI_Snow_Cover_Basic_QA', flags: 'NDSI_Snow_Cover_Algorithm_Flags_QA'},
+    albedoScale: 0.01,
+    albedoValidMax: 100,
+    basicQACodes: {night: 211, ocean: 239},
+    flagBits: null,
+    onModisGrid: true,
+    note: 'Aqua MODIS band 6 (1.6 um) has mostly non-functional detectors; ' +
+      'MYD10A1 C6.1 relies on restored band 6 data, so Aqua NDSI/albedo can deviate from Terra'
+  }
+};
 
-// Obtenir une projection MODIS de référence
-var modis_reference = ee.ImageCollection('MODIS/061/MOD10A1')
+// Obtenir une projection MODIS de référence (grille commune de tous les produits)
+var modis_reference = ee.ImageCollection(SNOW_PRODUCTS.MOD10A1.collection)
   .filterDate('2020-01-01', '2020-01-02')
   .first();
 var modis_projection = modis_reference.projection();
 
-// Calculer la fraction glacier globale une seule fois
-var raster30 = ee.Image.constant(1)
-  .updateMask(glacier_mask)
-  .unmask(0)
-  .reproject(modis_projection, null, 30);
-
-var STATIC_GLACIER_FRACTION = raster30
-  .reduceResolution({
-    reducer: ee.Reducer.mean(),
-    maxPixels: 1024
-  })
-  .reproject(modis_projection, null, 500);
-
-print('Glacier fraction computed. Min/Max:', 
-  STATIC_GLACIER_FRACTION.reduceRegion({
-    reducer: ee.Reducer.minMax(),
-    geometry: glacier_geometry,
-    scale: 500,
-    maxPixels: 1e9,
+// Calculer la fraction glacier d'un masque (30 m → grille MODIS 500 m)
+function computeGlacierFraction(mask) {
+  var raster30 = ee.Image.constant(1)
+    .updateMask(mask)
+    .unmask(0)
+    .reproject(modis_projection, null, 30);
+  
+  return raster30
+    .reduceResolution({
+      reducer: ee.Reducer.mean(),
+      maxPixels: 1024
+    })
+    .reproject(modis_projection, null, 500);
+}
+
+// Nom compatible avec les descriptions de tâches d'export (lettres, chiffres, _)
+function toExportLabel(text) {
+  return text.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Nom de colonne d'une clé camelCase (excludeNDSIScreenFail → exclude_ndsi_screen_fail)
+function toSnakeCase(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2').toLowerCase();
+}
+
+// Copie superficielle d'un contexte avec remplacement de certains champs
+function extendContext(base, overrides) {
+  var result = {};
+  Object.keys(base).forEach(function(key) { result[key] = base[key]; });
+  Object.keys(overrides).forEach(function(key) { result[key] = overrides[key]; });
+  return result;
+}
+
+// Construire le contexte d'un glacier du registre (masques par époque, géométrie, fractions, seuils)
+function buildGlacierContext(entry) {
+  var maskEntries = entry.masks || [{year: entry.maskYear || 2024, asset: entry.asset}];
+  maskEntries = maskEntries.slice().sort(function(a, b) { return a.year - b.year; });
+  
+  var epochs = maskEntries.map(function(maskEntry) {
+    var epochMask = ee.Image(maskEntry.asset).gt(0).unmask(0);
+    return {
+      year: maskEntry.year,
+      asset: maskEntry.asset,
+      mask: epochMask,
+      fraction: computeGlacierFraction(epochMask)
+        .set('epoch_year', maskEntry.year)
+        .set('mask_epoch', String(maskEntry.year))
+    };
+  });
+  
+  var epochMasks = ee.ImageCollection(epochs.map(function(epoch) { return epoch.mask; }));
+  
+  // Union des époques : emprise de calcul et affichage ; intersection : surface constante
+  var mask = epochMasks.max().selfMask();
+  var constantAreaMask = epochMasks.min();
+  var geometry = mask.reduceToVectors({
+    scale: 30,
+    maxPixels: 1e6,
     tileScale: 2
-  }));
+  }).geometry();
+  
+  return {
+    id: entry.id,
+    name: entry.name,
+    exportLabel: toExportLabel(entry.name),
+    epochs: epochs,
+    epochYears: epochs.map(function(epoch) { return epoch.year; }),
+    fractionEpochs: ee.ImageCollection(epochs.map(function(epoch) { return epoch.fraction; })),
+    constantAreaFraction: computeGlacierFraction(constantAreaMask)
+      .set('epoch_year', -1)
+      .set('mask_epoch', 'constant_area'),
+    maskMode: MASK_EPOCH_MODE,
+    mask: mask,
+    geometry: geometry,
+    qaConfig: CONFIG.qa,
+    profileName: CONFIG.profile,
+    ndsiSnowThreshold: entry.ndsiSnowThreshold !== undefined ? entry.ndsiSnowThreshold : CONFIG.ndsiSnowThreshold,
+    glacierFractionThreshold: entry.glacierFractionThreshold !== undefined ? entry.glacierFractionThreshold : CONFIG.glacierFractionThreshold,
+    minPixelThreshold: entry.minPixelThreshold !== undefined ? entry.minPixelThreshold : CONFIG.minPixelThreshold
+  };
+}
+
+// Fraction glacier applicable à un instant donné (année décimale, côté serveur).
+// L'image retournée porte les propriétés 'mask_epoch' (ex. '2015', '2010-2015', 'constant_area')
+// et 'mask_epoch_weight' (poids de l'époque suivante en mode interpolation, sinon 0).
+function getGlacierFraction(glacier, decimalYear) {
+  if (glacier.maskMode === 'constant_area') {
+    return glacier.constantAreaFraction.set('mask_epoch_weight', 0);
+  }
+  
+  var t = ee.Number(decimalYear);
+  var epochs = glacier.fractionEpochs;
+  
+  if (glacier.maskMode === 'interpolate') {
+    var before = epochs.filter(ee.Filter.lte('epoch_year', t)).sort('epoch_year', false);
+    var after = epochs.filter(ee.Filter.gte('epoch_year', t)).sort('epoch_year');
+    
+    // Hors de la plage des époques : on garde l'époque extrême (pas d'extrapolation)
+    var previous = ee.Image(ee.Algorithms.If(before.size().gt(0), before.first(), after.first()));
+    var next = ee.Image(ee.Algorithms.If(after.size().gt(0), after.first(), previous));
+    var previousYear = ee.Number(previous.get('epoch_year'));
+    var nextYear = ee.Number(next.get('epoch_year'));
+    var span = nextYear.subtract(previousYear);
+    var weight = ee.Number(ee.Algorithms.If(span.gt(0), t.subtract(previousYear).divide(span), 0));
+    
+    return previous.multiply(ee.Number(1).subtract(weight))
+      .add(next.multiply(weight))
+      .set('mask_epoch', ee.Algorithms.If(span.gt(0),
+        ee.String(previous.get('mask_epoch')).cat('-').cat(next.get('mask_epoch')),
+        previous.get('mask_epoch')))
+      .set('mask_epoch_weight', weight);
+  }
+  
+  // 'nearest' (défaut)
+  return ee.Image(epochs
+    .map(function(epoch) {
+      return epoch.set('epoch_distance', ee.Number(epoch.get('epoch_year')).subtract(t).abs());
+    })
+    .sort('epoch_distance')
+    .first())
+    .set('mask_epoch_weight', 0);
+}
+
+// Année décimale d'une date (même convention que les exports quotidiens)
+function toDecimalYear(date) {
+  var year = date.get('year');
+  var doy = date.getRelative('day', 'year').add(1);
+  return year.add(doy.divide(365.25));
+}
+
+var GLACIERS = GLACIER_REGISTRY.map(buildGlacierContext);
+
+// Glacier affiché dans l'interface interactive (modifiable via le sélecteur)
+var activeGlacier = GLACIERS[0];
+
+function getGlacierById(id) {
+  return GLACIERS.filter(function(glacier) { return glacier.id === id; })[0];
+}
+
+GLACIERS.forEach(function(glacier) {
+  print('Mask epochs (' + glacier.name + '): ' + glacier.epochYears.join(', ') + ' → mode: ' + glacier.maskMode);
+  glacier.epochs.forEach(function(epoch) {
+    print('Glacier fraction computed (' + glacier.name + ', ' + epoch.year + '). Min/Max:', 
+      epoch.fraction.reduceRegion({
+        reducer: ee.Reducer.minMax(),
+        geometry: glacier.geometry,
+        scale: 500,
+        maxPixels: 1e9,
+        tileScale: 2
+      }));
+  });
+});
+
+// 3b. Altitude moyenne par pixel MODIS (DEM 30 m → grille 500 m, comme la fraction glacier)
+var DEM_CATALOG = {
+  'SRTM': {id: 'USGS/SRTMGL1_003', band: 'elevation', isCollection: false},
+  'NASADEM': {id: 'NASA/NASADEM_HGT/001', band: 'elevation', isCollection: false},
+  'GLO30': {id: 'COPERNICUS/DEM/GLO30', band: 'DEM', isCollection: true}
+};
+
+function computeModisElevation(demSource) {
+  var demInfo = DEM_CATALOG[demSource];
+  if (!demInfo) {
+    throw new Error('Unknown DEM_SOURCE: ' + demSource + ' (expected ' + Object.keys(DEM_CATALOG).join(', ') + ')');
+  }
+  
+  var dem;
+  if (demInfo.isCollection) {
+    // Les tuiles GLO-30 sont mosaïquées : rétablir une projection native pour reduceResolution
+    var demCollection = ee.ImageCollection(demInfo.id).select(demInfo.band);
+    dem = demCollection.mosaic().setDefaultProjection(demCollection.first().projection());
+  } else {
+    dem = ee.Image(demInfo.id).select(demInfo.band);
+  }
+  
+  return dem
+    .reproject(modis_projection, null, 30)
+    .reduceResolution({
+      reducer: ee.Reducer.mean(),
+      maxPixels: 1024
+    })
+    .reproject(modis_projection, null, 500)
+    .rename('elevation');
+}
+
+print('Computing MODIS-grid elevation from ' + DEM_SOURCE + '...');
+var MODIS_ELEVATION = computeModisElevation(DEM_SOURCE);
 
 // ┌────────────────────────────────────────────────────────────────────────────────────────┐
 // │ SECTION 3 : FONCTIONS OPTIMISÉES                                                       │
 // └────────────────────────────────────────────────────────────────────────────────────────┘
 
-// 4. Helper function for padding binary strings (GEE compatible)
-function padBinary(num, length) {
-  var binary = num.toString(2);
-  var padding = '';
-  for (var i = binary.length; i < length; i++) {
-    padding += '0';
-  }
-  return padding + binary;
+// 5. Générer les classes de fraction glacier à partir de la liste de seuils
+// Chaque classe : {code (1..N+1), name ('glacier_25_50pct'), label ('25-50%'), lower, upper}
+// La première classe exclut les pixels sans glace (fraction > 0), la dernière inclut 100%.
+function buildFractionClasses(thresholds) {
+  thresholds.forEach(function(value, i) {
+    if (!(value > 0 && value < 1) || (i > 0 && value <= thresholds[i - 1])) {
+      throw new Error('fractionThresholds must be strictly ascending values in ]0, 1[: ' + thresholds.join(', '));
+    }
+  });
+  
+  // 0.25 → '25', 0.125 → '12.5' (libellé) / '12p5' (nom de propriété)
+  var toPct = function(value) { return String(Math.round(value * 1000) / 10); };
+  var bounds = [0].concat(thresholds).concat([1]);
+  
+  return thresholds.concat([1]).map(function(upper, i) {
+    var lower = bounds[i];
+    var lowerPct = toPct(lower);
+    var upperPct = toPct(upper);
+    return {
+      code: i + 1,
+      name: 'glacier_' + lowerPct.replace('.', 'p') + '_' + upperPct.replace('.', 'p') + 'pct',
+      label: lowerPct + '-' + upperPct + '%',
+      lower: lower,
+      upper: upper
+    };
+  });
 }
 
-// 5. Fonction optimisée pour créer masques de fraction (version simplifiée fiable)
+// Class names for glacier fraction categories with actual percentage ranges
+var FRACTION_CLASSES = buildFractionClasses(CONFIG.fractionThresholds);
+var FRACTION_CLASS_NAMES = FRACTION_CLASSES.map(function(c) { return c.name; });
+var ANNUAL_CLASS_NAMES = FRACTION_CLASS_NAMES.map(function(name) { return name + '_high_snow'; });
+// Classe la plus riche en glace (analyse statistique détaillée et graphique de tendance)
+var PURE_ICE_CLASS = FRACTION_CLASSES[FRACTION_CLASSES.length - 1];
+var PURE_ICE_MEAN_PROPERTY = PURE_ICE_CLASS.name + '_high_snow_mean';
+// Décodage code → libellé pour l'export pixel-level (ex. '5' → '90-100%')
+var FRACTION_CLASS_LABELS = ee.Dictionary(FRACTION_CLASSES.reduce(function(labels, c) {
+  labels[String(c.code)] = c.label;
+  return labels;
+}, {}));
+
+// Fonction optimisée pour créer masques de fraction (clés = noms de classe générés)
 function createFractionMasks(fractionImage, thresholds) {
   var masks = {};
-  masks['glacier_0_25pct'] = fractionImage.gt(0).and(fractionImage.lt(thresholds[0]));
-  masks['glacier_25_50pct'] = fractionImage.gte(thresholds[0]).and(fractionImage.lt(thresholds[1]));
-  masks['glacier_50_75pct'] = fractionImage.gte(thresholds[1]).and(fractionImage.lt(thresholds[2]));
-  masks['glacier_75_90pct'] = fractionImage.gte(thresholds[2]).and(fractionImage.lt(thresholds[3]));
-  masks['glacier_90_100pct'] = fractionImage.gte(thresholds[3]);
+  buildFractionClasses(thresholds).forEach(function(fractionClass, i, classes) {
+    var lowerMask = i === 0 ? fractionImage.gt(0) : fractionImage.gte(fractionClass.lower);
+    masks[fractionClass.name] = i === classes.length - 1 ?
+      lowerMask : lowerMask.and(fractionImage.lt(fractionClass.upper));
+  });
+  return masks;
+}
+
+// Bandes d'altitude : zones nommées (ELEVATION_ZONES) ou bandes régulières de ELEVATION_BAND_WIDTH m
+// Chaque bande : {code (1..N), name ('elev_2000_2100m' / 'elev_ablation'), label, min, max}
+function buildElevationBands() {
+  if (ELEVATION_ZONES) {
+    return ELEVATION_ZONES.map(function(zone, i) {
+      return {
+        code: i + 1,
+        name: 'elev_' + zone.name.replace(/[^A-Za-z0-9]+/g, '_'),
+        label: zone.name + ' (' + zone.min + '-' + zone.max + ' m)',
+        min: zone.min,
+        max: zone.max
+      };
+    });
+  }
+  
+  var bands = [];
+  for (var lower = ELEVATION_RANGE[0]; lower < ELEVATION_RANGE[1]; lower += ELEVATION_BAND_WIDTH) {
+    var upper = Math.min(lower + ELEVATION_BAND_WIDTH, ELEVATION_RANGE[1]);
+    bands.push({
+      code: bands.length + 1,
+      name: 'elev_' + lower + '_' + upper + 'm',
+      label: lower + '-' + upper + ' m',
+      min: lower,
+      max: upper
+    });
+  }
+  return bands;
+}
+
+var ELEVATION_BANDS = buildElevationBands();
+var ELEVATION_BAND_NAMES = ELEVATION_BANDS.map(function(band) { return band.name; });
+var ELEVATION_ANNUAL_NAMES = ELEVATION_BAND_NAMES.map(function(name) { return name + '_high_snow'; });
+
+// Masques par bande d'altitude (clés = noms de bande), bornes [min, max[
+function createElevationMasks(elevationImage, bands) {
+  var masks = {};
+  bands.forEach(function(band) {
+    masks[band.name] = elevationImage.gte(band.min).and(elevationImage.lt(band.max));
+  });
   return masks;
 }
 
@@ -174,17 +746,8 @@ function getBasicQAMask(img, level) {
   return qualityMask.and(excludeMask);
 }
 
-// QA bit mapping for metadata-driven processing
-var QA_BIT_MAPPING = [
-  {flag: 'excludeInlandWater', bit: 0, mask: 1, desc: 'Inland water'},
-  {flag: 'excludeVisibleScreenFail', bit: 1, mask: 2, desc: 'Low visible screen failure'},
-  {flag: 'excludeNDSIScreenFail', bit: 2, mask: 4, desc: 'Low NDSI screen failure'},
-  {flag: 'excludeTempHeightFail', bit: 3, mask: 8, desc: 'Temperature/height screen failure'},
-  {flag: 'excludeSWIRAnomaly', bit: 4, mask: 16, desc: 'Shortwave IR reflectance anomaly'},
-  {flag: 'excludeProbablyCloudy', bit: 5, mask: 32, desc: 'Probably cloudy (v6.1 cloud detection)'},
-  {flag: 'excludeProbablyClear', bit: 6, mask: 64, desc: 'Probably clear (v6.1 cloud detection)'},
-  {flag: 'excludeHighSolarZenith', bit: 7, mask: 128, desc: 'Solar zenith >70°'}
-];
+// QA bit mapping for metadata-driven processing (défini dans albedo_statistics)
+var QA_BIT_MAPPING = albedoStats.QA_BIT_MAPPING;
 
 function getAlgorithmFlagsMask(img, flags) {
   var algFlags = img.select('NDSI_Snow_Cover_Algorithm_Flags_QA').uint8();
@@ -200,21 +763,18 @@ function getAlgorithmFlagsMask(img, flags) {
   return mask;
 }
 
+// Configuration QA courante de l'interface (niveau Basic QA + cases des Algorithm Flags)
+function getCurrentQAConfig() {
+  var qaConfig = {basicLevel: basicQASelect.getValue()};
+  flagMeta.forEach(function(m) {
+    qaConfig[m.flag] = flagCheckboxes[m.key].getValue();
+  });
+  return qaConfig;
+}
+
 // Helper function to create current QA mask from UI state
 function createCurrentQAMask(img) {
-  var basicLevel = basicQASelect.getValue();
-  var flagConfig = {
-    excludeInlandWater: flagCheckboxes.inlandWater.getValue(),
-    excludeVisibleScreenFail: flagCheckboxes.visibleScreenFail.getValue(),
-    excludeNDSIScreenFail: flagCheckboxes.ndsiScreenFail.getValue(),
-    excludeTempHeightFail: flagCheckboxes.tempHeightFail.getValue(),
-    excludeSWIRAnomaly: flagCheckboxes.swirAnomaly.getValue(),
-    excludeProbablyCloudy: flagCheckboxes.probablyCloudy.getValue(),
-    excludeProbablyClear: flagCheckboxes.probablyClear.getValue(),
-    excludeHighSolarZenith: flagCheckboxes.highSolarZenith.getValue()
-  };
-  
-  return getBasicQAMask(img, basicLevel).and(getAlgorithmFlagsMask(img, flagConfig));
+  return createComprehensiveQualityMask(img, getCurrentQAConfig());
 }
 
 function createComprehensiveQualityMask(img, qaConfig) {
@@ -231,167 +791,855 @@ function createQualityMask(qualityBand) {
   return qualityBand.bitwiseAnd(0x3).lte(1);
 }
 
-// Configuration QA par défaut pour exports (consistent avec l'approche conservatrice recommandée)
-// IMPORTANT: Cette configuration est utilisée pour tous les exports de données (annual + daily)
-// tandis que l'interface interactive permet de tester différents paramètres pour la visualisation
+// Configuration QA des exports : profil actif (CONFIG.qa, voir FILTER_PROFILES) sauf "Export with current
+// settings", qui reprend la configuration de l'interface (glacier.qaConfig)
 function createStandardQualityMask(img) {
-  var qaConfig = {
-    basicLevel: 'good',                    // Good quality+ (0-1) - recommandation standard
-    excludeInlandWater: true,              // IMPORTANT - exclure pixels eau/lacs glaciaires
-    excludeVisibleScreenFail: true,        // CRITIQUE - données visible corrompues
-    excludeNDSIScreenFail: true,           // CRITIQUE - NDSI non-fiable
-    excludeTempHeightFail: true,           // IMPORTANT - conditions atypiques
-    excludeSWIRAnomaly: true,              // IMPORTANT - anomalies optiques SWIR
-    excludeProbablyCloudy: true,           // CRITIQUE - cloud masking v6.1 (Bit 5)
-    excludeProbablyClear: false,           // OPTIONNEL - ne pas exclure les pixels clairs (Bit 6)
-    excludeHighSolarZenith: true           // IMPORTANT - éclairage faible
+  return createComprehensiveQualityMask(img, CONFIG.qa);
+}
+
+// Masque QA des exports d'un glacier : configuration du contexte (glacier.qaConfig)
+function createExportQualityMask(img, glacier) {
+  return createComprehensiveQualityMask(img, glacier.qaConfig);
+}
+
+// Profil de filtrage effectif d'un contexte glacier (QA, seuils éventuellement propres au glacier)
+function getGlacierFilterProfile(glacier) {
+  return buildFilterProfile(glacier.qaConfig, glacier.ndsiSnowThreshold, glacier.glacierFractionThreshold,
+    glacier.minPixelThreshold, CONFIG.fractionThresholds);
+}
+
+// Paramètres de filtrage d'un contexte glacier écrits dans chaque ligne exportée : profil (nom et JSON),
+// colonnes QA/seuils et empreinte courte du profil (qa_config_hash), reprise dans les noms d'export
+function getQAConfigProperties(glacier) {
+  var profile = getGlacierFilterProfile(glacier);
+  var profileJson = JSON.stringify(profile);
+  return {
+    'filter_profile': getFilterProfileName(profile, glacier.profileName),
+    'filter_profile_json': profileJson,
+    'qa_basic_level': profile.qa.basicLevel,
+    'qa_excluded_flags': albedoStats.encodeAlgorithmFlags(profile.qa),
+    'ndsi_snow_threshold': profile.ndsiSnowThreshold,
+    'glacier_fraction_threshold': profile.glacierFractionThreshold,
+    'min_pixel_threshold': profile.minPixelThreshold,
+    'qa_config_hash': albedoStats.shortHash(profileJson)
   };
-  
-  return createComprehensiveQualityMask(img, qaConfig);
 }
 
 // ┌────────────────────────────────────────────────────────────────────────────────────────┐
-// │ SECTION 4 : ANALYSE ANNUELLE OPTIMISÉE                                                │
+// │ SECTION 3B : SOURCES DE DONNÉES - FUSION TERRA + AQUA                                  │
 // └────────────────────────────────────────────────────────────────────────────────────────┘
 
-// 6. Fonction pour analyser l'albédo annuel avec optimisations
-function calculateAnnualAlbedoHighSnowCoverOptimized(year) {
-  var yearStart = ee.Date.fromYMD(year, USE_PEAK_MELT_ONLY ? 7 : SUMMER_START_MONTH, 1);
-  var yearEnd = ee.Date.fromYMD(year, SUMMER_END_MONTH, 30);
+// Bandes canoniques (nomenclature MOD10A1) produites pour tous les produits
+var SNOW_BANDS = ['NDSI_Snow_Cover', 'Snow_Albedo_Daily_Tile', 'NDSI_Snow_Cover_Basic_QA', 'NDSI_Snow_Cover_Algorithm_Flags_QA'];
+
+// Code de la bande source_sensor : 0 = aucun produit valide, code produit (SNOW_PRODUCTS),
+// ou 3 = moyenne des deux produits fusionnés
+var SOURCE_BOTH_CODE = 3;
+
+function getSnowProduct(productKey) {
+  var product = SNOW_PRODUCTS[productKey];
+  if (!product) {
+    throw new Error('Unknown snow product: ' + productKey + ' (expected ' + Object.keys(SNOW_PRODUCTS).join(', ') + ')');
+  }
+  return product;
+}
+
+function isSensorFusionMode(mode) {
+  return mode === 'best_qa' || mode === 'mean';
+}
+
+// Produits contribuant aux données selon SENSOR_FUSION_MODE
+function getActiveProductKeys() {
+  return isSensorFusionMode(SENSOR_FUSION_MODE) ? FUSION_PRODUCTS : [SNOW_PRODUCT];
+}
+
+// Produit utilisé pour l'albédo : entrée du catalogue avec une bande d'albédo quotidienne
+function getAlbedoProduct(productKey, setting) {
+  var product = getSnowProduct(productKey);
+  if (!product.bands.albedo) {
+    throw new Error(setting + ': snow product ' + productKey + ' has no daily snow albedo band ' +
+      '(expected a product with bands.albedo, e.g. MOD10A1 or MYD10A1)');
+  }
+  return product;
+}
+
+// Validation au chargement des produits configurés (mode single ou fusion, calibration)
+getActiveProductKeys().forEach(function(productKey) {
+  getAlbedoProduct(productKey, isSensorFusionMode(SENSOR_FUSION_MODE) ? 'FUSION_PRODUCTS' : 'SNOW_PRODUCT');
+});
+if (EXPORT_CALIBRATION_REPORT || EXPORT_HARMONISED_SERIES) {
+  getAlbedoProduct(CALIBRATION_PRODUCTS.reference, 'CALIBRATION_PRODUCTS.reference');
+  getAlbedoProduct(CALIBRATION_PRODUCTS.target, 'CALIBRATION_PRODUCTS.target');
+}
+
+// Métadonnées produit communes aux lignes annuelles/quotidiennes
+function getProductProperties(productKeys) {
+  var keys = productKeys || getActiveProductKeys();
+  return {
+    'sensor_mode': SENSOR_FUSION_MODE,
+    'snow_products': keys.join('+'),
+    'product_notes': keys.map(function(key) { return getSnowProduct(key).note; })
+      .filter(function(note) { return note; })
+      .join(' | ')
+  };
+}
+
+// Convertir une image produit vers les bandes canoniques MOD10A1 :
+// albédo en centièmes (0-100, >100 = non valide), codes Basic QA 211/239, bits QA_BIT_MAPPING
+function toCanonicalSnowImage(img, product) {
+  var bands = product.bands;
   
-  // Charger MOD10A1 avec clip pour réduire zone de calcul (incluant Algorithm_Flags_QA)
-  var mod10a1_collection = ee.ImageCollection('MODIS/061/MOD10A1')
-    .filterDate(yearStart, yearEnd)
-    .filterBounds(glacier_geometry)
-    .select(['NDSI_Snow_Cover', 'Snow_Albedo_Daily_Tile', 'NDSI_Snow_Cover_Basic_QA', 'NDSI_Snow_Cover_Algorithm_Flags_QA'])
-    .map(function(img) { return img.clip(glacier_geometry); });
+  var albedoRaw = img.select(bands.albedo);
+  var albedo = albedoRaw;
+  if (product.albedoScale !== 0.01 || product.albedoValidMax !== 100) {
+    albedo = albedoRaw.multiply(product.albedoScale * 100)
+      .where(albedoRaw.gt(product.albedoValidMax), 255);
+  }
   
-  // Traiter chaque image avec fraction statique
-  var processed_collection = mod10a1_collection.map(function(img) {
-    var snow_cover = img.select('NDSI_Snow_Cover');
-    var snow_albedo = img.select('Snow_Albedo_Daily_Tile');
+  var basicQA = img.select(bands.basicQA);
+  if (product.basicQACodes.night !== 211 || product.basicQACodes.ocean !== 239) {
+    basicQA = basicQA
+      .where(basicQA.eq(product.basicQACodes.night), 211)
+      .where(basicQA.eq(product.basicQACodes.ocean), 239);
+  }
+  
+  var flags = img.select(bands.flags).uint8();
+  if (product.flagBits) {
+    flags = QA_BIT_MAPPING.reduce(function(canonical, mapping) {
+      var productBit = product.flagBits[mapping.flag];
+      if (productBit === undefined || productBit === null) return canonical;
+      return canonical.bitwiseOr(flags.rightShift(productBit).bitwiseAnd(1).leftShift(mapping.bit));
+    }, ee.Image(0).uint8());
+  }
+  
+  return ee.Image.cat([img.select(bands.ndsi), albedo, basicQA, flags])
+    .rename(SNOW_BANDS)
+    .addBands(ee.Image.constant(product.code).uint8().rename('source_sensor'))
+    .copyProperties(img, ['system:time_start']);
+}
+
+// Charger un produit en bandes canoniques, avec clip et bande source_sensor
+function loadProductCollection(productKey, startDate, endDate, geometry) {
+  var product = getAlbedoProduct(productKey, 'loadProductCollection');
+  return ee.ImageCollection(product.collection)
+    .filterDate(startDate, endDate)
+    .filterBounds(geometry)
+    .map(function(img) {
+      var canonical = toCanonicalSnowImage(img, product);
+      if (!product.onModisGrid) {
+        canonical = canonical.reproject(modis_projection);
+      }
+      return canonical.clip(geometry).set('product', productKey);
+    });
+}
+
+// Validité d'un pixel pour la fusion (QA des exports du contexte glacier, glacier.qaConfig + albédo valide)
+function getFusionValidMask(img, glacier) {
+  return createExportQualityMask(img, glacier)
+    .and(img.select('Snow_Albedo_Daily_Tile').lte(100))
+    .unmask(0);
+}
+
+// Fusionner une paire principal/secondaire du même jour (bandes canoniques + source_sensor)
+function fuseProducts(primary, secondary, mode, glacier) {
+  var primaryValid = getFusionValidMask(primary, glacier);
+  var secondaryValid = getFusionValidMask(secondary, glacier);
+  var primaryQA = primary.select('NDSI_Snow_Cover_Basic_QA');
+  var secondaryQA = secondary.select('NDSI_Snow_Cover_Basic_QA');
+  var primaryCode = primary.select('source_sensor');
+  var secondaryCode = secondary.select('source_sensor');
+  
+  var primaryBands = primary.select(SNOW_BANDS);
+  var secondaryBands = secondary.select(SNOW_BANDS);
+  var fused;
+  var source;
+  
+  if (mode === 'mean') {
+    var both = primaryValid.and(secondaryValid);
+    var secondaryOnly = secondaryValid.and(primaryValid.not());
     
-    // Masques de qualité améliorés - utilise configuration QA standard pour exports
-    var good_quality_mask = createStandardQualityMask(img);
-    var high_ndsi_mask = snow_cover.gte(NDSI_SNOW_THRESHOLD); // NDSI index ≥ threshold
-    var high_glacier_fraction_mask = STATIC_GLACIER_FRACTION.gte(GLACIER_FRACTION_THRESHOLD / 100);
-    var valid_albedo_mask = snow_albedo.lte(100);
+    // Deux produits valides : moyenne des valeurs, QA la plus prudente (max / OU binaire)
+    var meanBands = ee.Image.cat([
+      primaryBands.select('NDSI_Snow_Cover').add(secondaryBands.select('NDSI_Snow_Cover')).divide(2),
+      primaryBands.select('Snow_Albedo_Daily_Tile').add(secondaryBands.select('Snow_Albedo_Daily_Tile')).divide(2),
+      primaryQA.max(secondaryQA),
+      primaryBands.select('NDSI_Snow_Cover_Algorithm_Flags_QA').bitwiseOr(secondaryBands.select('NDSI_Snow_Cover_Algorithm_Flags_QA'))
+    ]).rename(SNOW_BANDS);
     
-    // Masque combiné
-    var combined_mask = good_quality_mask
-      .and(high_ndsi_mask)
-      .and(high_glacier_fraction_mask)
-      .and(valid_albedo_mask);
+    fused = primaryBands.where(secondaryOnly, secondaryBands).where(both, meanBands);
+    source = ee.Image(0).where(primaryValid, primaryCode)
+      .where(secondaryOnly, secondaryCode)
+      .where(both, SOURCE_BOTH_CODE);
+  } else {
+    // 'best_qa' : secondaire seulement s'il est valide et strictement meilleur (ou principal invalide)
+    var useSecondary = secondaryValid.and(primaryValid.not().or(secondaryQA.lt(primaryQA)).unmask(0));
     
-    // Conversion albédo avec nom cohérent
-    var albedo_scaled = snow_albedo.divide(100)
-      .updateMask(combined_mask)
-      .rename('albedo'); // Nom cohérent pour reduceRegion
+    fused = primaryBands.where(useSecondary, secondaryBands);
+    source = ee.Image(0).where(primaryValid, primaryCode)
+      .where(useSecondary, secondaryCode);
+  }
+  
+  return fused
+    .addBands(source.uint8().rename('source_sensor'))
+    .set('system:time_start', primary.get('system:time_start'))
+    .set('product', FUSION_PRODUCTS.join('+'));
+}
+
+// Collection quotidienne selon SENSOR_FUSION_MODE (bandes canoniques + source_sensor) sur la géométrie d'un
+// contexte glacier ; en fusion, le pixel retenu dépend de la QA du contexte (glacier.qaConfig)
+function getSnowCollection(startDate, endDate, glacier) {
+  if (!isSensorFusionMode(SENSOR_FUSION_MODE)) {
+    return loadProductCollection(SNOW_PRODUCT, startDate, endDate, glacier.geometry);
+  }
+  
+  var primary = loadProductCollection(FUSION_PRODUCTS[0], startDate, endDate, glacier.geometry);
+  var secondary = loadProductCollection(FUSION_PRODUCTS[1], startDate, endDate, glacier.geometry);
+  var sameDay = ee.Filter.equals({leftField: 'system:time_start', rightField: 'system:time_start'});
+  
+  // Jours du principal (avec le secondaire du même jour si disponible) + jours secondaire seul
+  var primaryDays = ee.ImageCollection(ee.Join.saveFirst({matchKey: 'secondary', outer: true}).apply(primary, secondary, sameDay))
+    .map(function(img) {
+      return ee.Image(ee.Algorithms.If(
+        img.get('secondary'),
+        fuseProducts(img, ee.Image(img.get('secondary')), SENSOR_FUSION_MODE, glacier),
+        img
+      ));
+    });
+  var secondaryOnlyDays = ee.Join.inverted().apply(secondary, primary, sameDay);
+  
+  return primaryDays.merge(secondaryOnlyDays).sort('system:time_start');
+}
+
+// Paires d'images du même jour pour deux produits (jointure interne sur la date)
+function getSameDayProductPairs(productKeys, startDate, endDate, geometry, dateFilter) {
+  var first = loadProductCollection(productKeys[0], startDate, endDate, geometry).filter(dateFilter);
+  var second = loadProductCollection(productKeys[1], startDate, endDate, geometry).filter(dateFilter);
+  return ee.Join.inner('first', 'second').apply(first, second,
+    ee.Filter.equals({leftField: 'system:time_start', rightField: 'system:time_start'}));
+}
+
+// Rapport inter-capteurs : produit A vs produit B pour un jour, par classe de fraction glacier.
+// Pixels valides pour les deux produits (QA du contexte glacier, albédo ≤100, NDSI ≥ seuil).
+function compareProductsDaily(first, second, glacier, productKeys) {
+  var date = first.date();
+  var fraction = getGlacierFraction(glacier, toDecimalYear(date));
+  var masks = createFractionMasks(fraction, CONFIG.fractionThresholds);
+  
+  var bothValid = getFusionValidMask(first, glacier).and(getFusionValidMask(second, glacier))
+    .and(first.select('NDSI_Snow_Cover').gte(glacier.ndsiSnowThreshold))
+    .and(second.select('NDSI_Snow_Cover').gte(glacier.ndsiSnowThreshold));
+  
+  var firstAlbedo = first.select('Snow_Albedo_Daily_Tile').divide(100).rename('first');
+  var secondAlbedo = second.select('Snow_Albedo_Daily_Tile').divide(100).rename('second');
+  var diff = firstAlbedo.subtract(secondAlbedo).rename('diff');
+  
+  var properties = {
+    'glacier_id': glacier.id,
+    'date': date.format('YYYY-MM-dd'),
+    'year': date.get('year'),
+    'doy': date.getRelative('day', 'year').add(1),
+    'mask_epoch': fraction.get('mask_epoch'),
+    'products': productKeys.join(' - '),
+    'product_notes': getProductProperties(productKeys).product_notes,
+    'system:time_start': date.millis()
+  };
+  var qa_properties = getQAConfigProperties(glacier);
+  Object.keys(qa_properties).forEach(function(key) { properties[key] = qa_properties[key]; });
+  
+  FRACTION_CLASS_NAMES.forEach(function(className) {
+    var classValid = bothValid.and(masks[className]);
     
-    // Créer les masques par classe de fraction (approche fiable)
-    var masks = createFractionMasks(STATIC_GLACIER_FRACTION, FRACTION_THRESHOLDS);
+    var errorStats = ee.Image.cat([diff, diff.pow(2).rename('diff_sq')])
+      .updateMask(classValid)
+      .reduceRegion({
+        reducer: ee.Reducer.mean().combine(ee.Reducer.count(), '', true),
+        geometry: glacier.geometry,
+        scale: 500,
+        maxPixels: 1e9,
+        tileScale: 2
+      });
     
-    // Appliquer les masques de fraction à l'albédo
-    var masked_albedos = [
-      albedo_scaled.updateMask(masks.glacier_0_25pct).rename('glacier_0_25pct_high_snow'),
-      albedo_scaled.updateMask(masks.glacier_25_50pct).rename('glacier_25_50pct_high_snow'),
-      albedo_scaled.updateMask(masks.glacier_50_75pct).rename('glacier_50_75pct_high_snow'),
-      albedo_scaled.updateMask(masks.glacier_75_90pct).rename('glacier_75_90pct_high_snow'),
-      albedo_scaled.updateMask(masks.glacier_90_100pct).rename('glacier_90_100pct_high_snow')
-    ];
+    var correlation = ee.Image.cat([firstAlbedo, secondAlbedo])
+      .updateMask(classValid)
+      .reduceRegion({
+        reducer: ee.Reducer.pearsonsCorrelation(),
+        geometry: glacier.geometry,
+        scale: 500,
+        maxPixels: 1e9,
+        tileScale: 2
+      });
     
-    // Ajouter une bande pour compter les pixels avec haute couverture de neige
-    var high_snow_count = combined_mask.rename('high_snow_pixel_count');
+    var count = errorStats.get('diff_count');
+    var sufficient = ee.Number(count).gte(glacier.minPixelThreshold);
+    var meanSq = errorStats.get('diff_sq_mean');
     
-    return ee.Image.cat(masked_albedos.concat([high_snow_count]));
+    properties[className + '_bias'] = ee.Algorithms.If(sufficient, errorStats.get('diff_mean'), null);
+    properties[className + '_rmse'] = ee.Algorithms.If(sufficient, ee.Algorithms.If(meanSq, ee.Number(meanSq).sqrt(), null), null);
+    properties[className + '_correlation'] = ee.Algorithms.If(sufficient, correlation.get('correlation'), null);
+    properties[className + '_pixel_count'] = count;
   });
   
-  // Séparer les statistiques d'albédo et de comptage de pixels
-  var albedo_means = processed_collection.select(ANNUAL_CLASS_NAMES).mean();
-  var pixel_count_total = processed_collection.select('high_snow_pixel_count').sum();
+  return ee.Feature(null, properties);
+}
+
+// Calibration référence → cible sur la période de recouvrement, par classe de fraction :
+// régression linéaire (cible = offset + scale × référence), biais (cible - référence), RMSE, r.
+// Entrées : séries quotidiennes (analyzeDailyAlbedoHighSnowCoverOptimized) des deux produits.
+function buildCalibrationReport(referenceDaily, targetDaily, glacier) {
+  var joined = ee.Join.inner('reference', 'target').apply(referenceDaily, targetDaily,
+    ee.Filter.equals({leftField: 'system:time_start', rightField: 'system:time_start'}));
   
-  // Calculer les statistiques d'albédo pour chaque classe
-  var all_stats = albedo_means.reduceRegion({
-    reducer: ee.Reducer.mean().combine(
-      ee.Reducer.stdDev(), '', true
-    ).combine(
-      ee.Reducer.count(), '', true
-    ),
-    geometry: glacier_geometry,
-    scale: 500,
-    maxPixels: 1e9,
-    tileScale: 4 // Remplace bestEffort
-  });
+  return ee.FeatureCollection(FRACTION_CLASS_NAMES.map(function(className) {
+    var meanProperty = className + '_mean';
+    var pairs = joined.map(function(pair) {
+      var reference = ee.Feature(pair.get('reference')).get(meanProperty);
+      var target = ee.Feature(pair.get('target')).get(meanProperty);
+      return ee.Feature(null, {'reference': reference, 'target': target});
+    }).filter(ee.Filter.notNull(['reference', 'target']))
+      .map(function(pair) {
+        var diff = ee.Number(pair.get('target')).subtract(pair.get('reference'));
+        return pair.set('diff', diff, 'diff_sq', diff.pow(2));
+      });
+    
+    var n = pairs.size();
+    var enough = n.gte(3);
+    var fit = ee.Dictionary(ee.Algorithms.If(enough, pairs.reduceColumns(ee.Reducer.linearFit(), ['reference', 'target']), {}));
+    var correlation = ee.Dictionary(ee.Algorithms.If(enough, pairs.reduceColumns(ee.Reducer.pearsonsCorrelation(), ['reference', 'target']), {}));
+    
+    return ee.Feature(null, {
+      'glacier_id': glacier.id,
+      'fraction_class': className,
+      'reference_product': CALIBRATION_PRODUCTS.reference,
+      'target_product': CALIBRATION_PRODUCTS.target,
+      'period_start': CALIBRATION_PERIOD[0],
+      'period_end': CALIBRATION_PERIOD[1],
+      'n_days': n,
+      'bias': ee.Algorithms.If(enough, pairs.aggregate_mean('diff'), null),
+      'rmse': ee.Algorithms.If(enough, ee.Number(pairs.aggregate_mean('diff_sq')).sqrt(), null),
+      'slope': fit.get('scale', null),
+      'offset': fit.get('offset', null),
+      'correlation': correlation.get('correlation', null),
+      'product_notes': getProductProperties([CALIBRATION_PRODUCTS.reference, CALIBRATION_PRODUCTS.target]).product_notes
+    }).set(getQAConfigProperties(glacier));
+  }));
+}
+
+// Série harmonisée continue : référence recalibrée (offset + slope × valeur) avant
+// HARMONISATION_SWITCH_DATE, produit cible ensuite. Colonnes <classe>_harmonised.
+function buildHarmonisedSeries(referenceDaily, targetDaily, calibration) {
+  var switchMillis = ee.Date(HARMONISATION_SWITCH_DATE).millis();
   
-  // Calculer le nombre total de pixels filtrés (correctement)
-  var filtered_pixel_stats = pixel_count_total.reduceRegion({
-    reducer: ee.Reducer.sum(),
-    geometry: glacier_geometry,
-    scale: 500,
-    maxPixels: 1e9,
-    tileScale: 4
+  var coefficients = {};
+  FRACTION_CLASS_NAMES.forEach(function(className) {
+    coefficients[className] = ee.Feature(calibration.filter(ee.Filter.eq('fraction_class', className)).first());
   });
   
-  // Construire les propriétés avec validation MIN_PIXEL_THRESHOLD
-  var total_pixels = filtered_pixel_stats.get('high_snow_pixel_count');
-  var sufficient_pixels = ee.Number(total_pixels).gte(MIN_PIXEL_THRESHOLD);
-  
-  var properties = {
-    'year': year,
-    'ndsi_snow_threshold': NDSI_SNOW_THRESHOLD,
-    'glacier_fraction_threshold': GLACIER_FRACTION_THRESHOLD,
-    'min_pixel_threshold': MIN_PIXEL_THRESHOLD,
-    'peak_melt_only': USE_PEAK_MELT_ONLY,
-    'total_filtered_pixels': total_pixels,
-    'sufficient_pixels': sufficient_pixels
-  };
+  var referencePart = referenceDaily.filter(ee.Filter.lt('system:time_start', switchMillis)).map(function(feature) {
+    var harmonised = {'source_product': CALIBRATION_PRODUCTS.reference, 'harmonisation': 'recalibrated'};
+    FRACTION_CLASS_NAMES.forEach(function(className) {
+      var value = feature.get(className + '_mean');
+      var slope = coefficients[className].get('slope');
+      var offset = coefficients[className].get('offset');
+      harmonised[className + '_harmonised'] = ee.Algorithms.If(
+        ee.Algorithms.IsEqual(value, null), null,
+        ee.Algorithms.If(ee.Algorithms.IsEqual(slope, null), null,
+          ee.Number(offset).add(ee.Number(slope).multiply(value))));
+    });
+    return feature.set(harmonised);
+  });
   
-  ANNUAL_CLASS_NAMES.forEach(function(className) {
-    // Appliquer MIN_PIXEL_THRESHOLD validation pour chaque classe
-    var class_count = all_stats.get(className + '_count');
-    var class_sufficient = ee.Number(class_count).gte(MIN_PIXEL_THRESHOLD);
-    
-    properties[className + '_mean'] = ee.Algorithms.If(class_sufficient, all_stats.get(className + '_mean'), null);
-    properties[className + '_stdDev'] = ee.Algorithms.If(class_sufficient, all_stats.get(className + '_stdDev'), null);
-    properties[className + '_count'] = class_count;
-    properties[className + '_sufficient_pixels'] = class_sufficient;
+  var targetPart = targetDaily.filter(ee.Filter.gte('system:time_start', switchMillis)).map(function(feature) {
+    var harmonised = {'source_product': CALIBRATION_PRODUCTS.target, 'harmonisation': 'native'};
+    FRACTION_CLASS_NAMES.forEach(function(className) {
+      harmonised[className + '_harmonised'] = feature.get(className + '_mean');
+    });
+    return feature.set(harmonised);
   });
   
-  return ee.Feature(null, properties);
+  return referencePart.merge(targetPart).sort('system:time_start');
 }
 
 // ┌────────────────────────────────────────────────────────────────────────────────────────┐
-// │ SECTION 5 : ANALYSE QUOTIDIENNE OPTIMISÉE                                             │
+// │ SECTION 3C : SAISONS D'ANALYSE                                                        │
 // └────────────────────────────────────────────────────────────────────────────────────────┘
 
-// 7. Fonction pour analyser l'albédo quotidien optimisée
-function analyzeDailyAlbedoHighSnowCoverOptimized(img) {
-  var date = img.date();
+var DAY_MILLIS = 24 * 60 * 60 * 1000;
+var MONTH_DAYS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]; // Calendrier non bissextile
+
+function formatIsoDate(millis) {
+  return new Date(millis).toISOString().slice(0, 10);
+}
+
+// Borne de saison ou de fenêtre (jour de l'année 1-365 ou 'MM-DD') → {month, day}
+// (context : libellé de l'entrée pour les messages d'erreur, ex. 'season extended_melt')
+function parseSeasonBound(value, context) {
+  var month;
+  var day;
+  if (typeof value === 'number') {
+    if (!(value >= 1 && value <= 365) || Math.floor(value) !== value) {
+      throw new Error('Invalid day of year for ' + context + ': ' + value + ' (expected 1-365, non-leap calendar)');
+    }
+    month = 1;
+    day = value;
+    while (day > MONTH_DAYS[month - 1]) {
+      day -= MONTH_DAYS[month - 1];
+      month++;
+    }
+    return {month: month, day: day};
+  }
+  
+  var match = /^(\d{2})-(\d{2})$/.exec(String(value));
+  month = match ? Number(match[1]) : 0;
+  day = match ? Number(match[2]) : 0;
+  if (!match || month < 1 || month > 12 || day < 1 || day > MONTH_DAYS[month - 1]) {
+    throw new Error('Invalid bound for ' + context + ': ' + value + " (expected day of year 1-365 or 'MM-DD')");
+  }
+  return {month: month, day: day};
+}
+
+// Saison résolue depuis SEASONS : {name, start: {month, day}, end: {month, day}, crossesYear, label}
+function buildSeason(name) {
+  var definition = SEASONS[name];
+  if (!definition) {
+    throw new Error('Unknown season: ' + name + ' (expected ' + Object.keys(SEASONS).join(', ') + ')');
+  }
+  
+  var start = parseSeasonBound(definition.start, 'season ' + name);
+  var end = parseSeasonBound(definition.end, 'season ' + name);
+  var pad = function(n) { return (n < 10 ? '0' : '') + n; };
+  return {
+    name: name,
+    start: start,
+    end: end,
+    crossesYear: end.month * 100 + end.day < start.month * 100 + start.day,
+    label: pad(start.month) + '-' + pad(start.day) + ' to ' + pad(end.month) + '-' + pad(end.day)
+  };
+}
+
+var SEASON_LIST = ACTIVE_SEASONS.map(buildSeason);
+if (SEASON_LIST.length === 0) {
+  throw new Error('ACTIVE_SEASONS must name at least one entry of SEASONS');
+}
+var ACTIVE_SEASON = SEASON_LIST[0]; // Interface interactive et analyse statistique approfondie
+
+// Dates d'une saison pour une année hydrologique (côté client) : {start, end} 'YYYY-MM-DD', bornes incluses
+function getSeasonDates(season, seasonYear) {
+  return {
+    start: formatIsoDate(Date.UTC(season.crossesYear ? seasonYear - 1 : seasonYear, season.start.month - 1, season.start.day)),
+    end: formatIsoDate(Date.UTC(seasonYear, season.end.month - 1, season.end.day))
+  };
+}
+
+// Mêmes bornes côté serveur (année ee.Number) : {start, end} ee.Date, fin exclusive (lendemain du dernier jour)
+function getSeasonRange(season, seasonYear) {
+  seasonYear = ee.Number(seasonYear);
+  return {
+    start: ee.Date.fromYMD(season.crossesYear ? seasonYear.subtract(1) : seasonYear, season.start.month, season.start.day),
+    end: ee.Date.fromYMD(seasonYear, season.end.month, season.end.day).advance(1, 'day')
+  };
+}
+
+// Date de la dernière image disponible (côté serveur) : 'YYYY-MM-DD' la plus récente des produits actifs,
+// null si aucune collection ne contient d'image
+function getLatestAvailableDate() {
+  var latest = getActiveProductKeys().map(function(key) {
+    return ee.ImageCollection(SNOW_PRODUCTS[key].collection).limit(1, 'system:time_start', false);
+  }).reduce(function(merged, collection) {
+    return merged.merge(collection);
+  });
+  return ee.Algorithms.If(latest.size().gt(0),
+    ee.Date(latest.aggregate_max('system:time_start')).format('YYYY-MM-dd'),
+    null);
+}
+
+// Dernière année hydrologique dont toutes les saisons actives sont complètes à la date donnée
+function getLastCompleteSeasonYear(lastDate) {
+  var lastYear = Number(lastDate.slice(0, 4));
+  return Math.min.apply(null, SEASON_LIST.map(function(season) {
+    return getSeasonDates(season, lastYear).end <= lastDate ? lastYear : lastYear - 1;
+  }));
+}
+
+// Années de la période d'étude (START_YEAR → END_YEAR ou dernière saison complète estimée d'après l'horloge)
+function buildStudyYearList() {
+  if (Math.floor(START_YEAR) !== START_YEAR || START_YEAR < 2000) {
+    throw new Error('Invalid START_YEAR: ' + START_YEAR + ' (expected a year ≥ 2000)');
+  }
+  var endYear = END_YEAR;
+  if (END_YEAR === 'clock_estimate') {
+    // STUDY_YEAR_LIST doit être connue côté client avant la construction de la chaîne : estimation
+    // à partir de l'horloge, vérifiée ensuite (sans la corriger) par checkLatestAvailableDate
+    var expectedDate = formatIsoDate(Date.now() - LATEST_DATA_LAG_DAYS * DAY_MILLIS);
+    endYear = getLastCompleteSeasonYear(expectedDate);
+    print('📅 END_YEAR clock_estimate: data assumed up to ' + expectedDate + ' (today − ' + LATEST_DATA_LAG_DAYS +
+      ' days) → last complete season ' + endYear + ' (estimate, checked against the last image below)');
+  } else if (Math.floor(END_YEAR) !== END_YEAR) {
+    throw new Error("Invalid END_YEAR: " + END_YEAR + " (expected a year or 'clock_estimate')");
+  }
+  if (endYear < START_YEAR) {
+    throw new Error('Study period is empty: START_YEAR ' + START_YEAR + ' > END_YEAR ' + endYear);
+  }
+  
+  var years = [];
+  for (var year = START_YEAR; year <= endYear; year++) {
+    years.push(year);
+  }
+  return years;
+}
+
+var STUDY_YEAR_LIST = buildStudyYearList();
+var STUDY_YEARS = ee.List(STUDY_YEAR_LIST);
+var STUDY_FIRST_YEAR = STUDY_YEAR_LIST[0];
+var STUDY_LAST_YEAR = STUDY_YEAR_LIST[STUDY_YEAR_LIST.length - 1];
+var STUDY_PERIOD_TAG = STUDY_FIRST_YEAR + '_' + STUDY_LAST_YEAR;      // Suffixe des descriptions et fichiers d'export
+var STUDY_PERIOD_LABEL = STUDY_FIRST_YEAR + '-' + STUDY_LAST_YEAR;    // Libellé console / interface
+
+// Vérification asynchrone de l'estimation END_YEAR 'clock_estimate' contre la date de la dernière image
+function checkLatestAvailableDate() {
+  getLatestAvailableDate().evaluate(function(lastDate, error) {
+    if (error) {
+      print('⚠️ END_YEAR clock_estimate: last image date unavailable (' + error + '); season ' + STUDY_LAST_YEAR +
+        ' not verified');
+      return;
+    }
+    if (!lastDate) {
+      print('⚠️ END_YEAR clock_estimate: no image found in ' + getActiveProductKeys().join('+') +
+        '; study period ' + STUDY_PERIOD_LABEL + ' kept from the current date');
+      return;
+    }
+    var lastCompleteYear = getLastCompleteSeasonYear(lastDate);
+    if (lastCompleteYear < STUDY_LAST_YEAR) {
+      print('⚠️ END_YEAR clock_estimate: last image ' + lastDate + ' → season ' + STUDY_LAST_YEAR +
+        ' is INCOMPLETE but included in the annual series and trends; set END_YEAR = ' + lastCompleteYear);
+    } else {
+      print('📅 END_YEAR clock_estimate: last image ' + lastDate + ' → season ' + STUDY_LAST_YEAR + ' complete');
+    }
+  });
+}
+
+if (END_YEAR === 'clock_estimate') {
+  checkLatestAvailableDate();
+}
+
+// Période couverte par la saison sur STUDY_YEAR_LIST : {start, end} 'YYYY-MM-DD', fin exclusive
+function getSeasonStudyPeriod(season) {
+  var lastDay = getSeasonDates(season, STUDY_LAST_YEAR).end;
+  return {
+    start: getSeasonDates(season, STUDY_FIRST_YEAR).start,
+    end: formatIsoDate(Date.parse(lastDay) + DAY_MILLIS)
+  };
+}
+
+// Filtre des jours de la saison pour toutes les années de STUDY_YEAR_LIST
+function getSeasonFilter(season) {
+  return ee.Filter.or.apply(null, STUDY_YEAR_LIST.map(function(year) {
+    var dates = getSeasonDates(season, year);
+    return ee.Filter.date(dates.start, formatIsoDate(Date.parse(dates.end) + DAY_MILLIS));
+  }));
+}
+
+// Année hydrologique d'une date (côté serveur) : année civile, +1 à partir du début d'une saison
+// qui chevauche l'année civile
+function getSeasonYear(date, season) {
+  var year = ee.Number(date.get('year'));
+  if (!season.crossesYear) {
+    return year;
+  }
+  var monthDay = ee.Number(date.get('month')).multiply(100).add(date.get('day'));
+  return year.add(monthDay.gte(season.start.month * 100 + season.start.day));
+}
+
+// Mois calendaires touchés par la saison, dans l'ordre de la saison
+function getSeasonMonths(season) {
+  var count = (season.end.month - season.start.month + 12) % 12 + 1;
+  if (season.crossesYear && count === 1) {
+    count = 12;
+  }
+  var months = [];
+  for (var i = 0; i < count; i++) {
+    months.push((season.start.month - 1 + i) % 12 + 1);
+  }
+  return months;
+}
+
+// ┌────────────────────────────────────────────────────────────────────────────────────────┐
+// │ SECTION 4 : ANALYSE ANNUELLE OPTIMISÉE                                                │
+// └────────────────────────────────────────────────────────────────────────────────────────┘
+
+var ANNUAL_AGGREGATIONS = ['pixel_mean', 'pixel_day_weighted', 'daily_median', 'daily_mean'];
+if (ANNUAL_AGGREGATIONS.indexOf(ANNUAL_AGGREGATION) === -1) {
+  throw new Error('Unknown ANNUAL_AGGREGATION: ' + ANNUAL_AGGREGATION + ' (expected ' + ANNUAL_AGGREGATIONS.join(', ') + ')');
+}
+
+// 6. Fonction pour analyser l'albédo annuel avec optimisations (un glacier du registre, une saison :
+// year = année hydrologique de glacier.season, dernier jour de la saison inclus)
+function calculateAnnualAlbedoHighSnowCoverOptimized(year, glacier) {
+  var seasonRange = getSeasonRange(glacier.season, year);
+  
+  // Charger MOD10A1/MYD10A1 (selon SENSOR_FUSION_MODE) avec clip pour réduire zone de calcul
+  var mod10a1_collection = getSnowCollection(seasonRange.start, seasonRange.end, glacier);
+  
+  // Fraction glacier de l'époque de masque applicable à cette année
+  var fraction = getGlacierFraction(glacier, ee.Number(year));
+  
+  // Traiter chaque image avec la fraction de l'époque
+  var processed_collection = mod10a1_collection.map(function(img) {
+    var snow_cover = img.select('NDSI_Snow_Cover');
+    var snow_albedo = img.select('Snow_Albedo_Daily_Tile');
+    
+    // Masques de qualité améliorés - configuration QA des exports du glacier (standard par défaut)
+    var good_quality_mask = createExportQualityMask(img, glacier);
+    var high_ndsi_mask = snow_cover.gte(glacier.ndsiSnowThreshold); // NDSI index ≥ threshold
+    var high_glacier_fraction_mask = fraction.gte(glacier.glacierFractionThreshold / 100);
+    var valid_albedo_mask = snow_albedo.lte(100);
+    
+    // Masque combiné
+    var combined_mask = good_quality_mask
+      .and(high_ndsi_mask)
+      .and(high_glacier_fraction_mask)
+      .and(valid_albedo_mask);
+    
+    // Conversion albédo avec nom cohérent
+    var albedo_scaled = snow_albedo.divide(100)
+      .updateMask(combined_mask)
+      .rename('albedo'); // Nom cohérent pour reduceRegion
+    
+    // Créer les masques par classe de fraction (approche fiable)
+    var masks = createFractionMasks(fraction, CONFIG.fractionThresholds);
+    
+    // Appliquer les masques de fraction à l'albédo
+    var masked_albedos = FRACTION_CLASS_NAMES.map(function(className) {
+      return albedo_scaled.updateMask(masks[className]).rename(className + '_high_snow');
+    });
+    
+    // Appliquer les masques de bande d'altitude à l'albédo
+    var elevation_masks = createElevationMasks(MODIS_ELEVATION, ELEVATION_BANDS);
+    var elevation_albedos = ELEVATION_BAND_NAMES.map(function(bandName) {
+      return albedo_scaled.updateMask(elevation_masks[bandName]).rename(bandName + '_high_snow');
+    });
+    
+    // Ajouter une bande pour compter les pixels avec haute couverture de neige
+    var high_snow_count = combined_mask.rename('high_snow_pixel_count');
+    
+    return ee.Image.cat(masked_albedos.concat(elevation_albedos).concat([high_snow_count]));
+  });
+  
+  // Séparer les statistiques d'albédo et de comptage de pixels
+  var class_albedos = processed_collection.select(ANNUAL_CLASS_NAMES);
+  var albedo_means = class_albedos.mean();
+  var elevation_albedo_means = processed_collection.select(ELEVATION_ANNUAL_NAMES).mean();
+  var pixel_count_total = processed_collection.select('high_snow_pixel_count').sum();
+  
+  // Calculer les statistiques d'albédo pour chaque classe
+  var all_stats = albedo_means.reduceRegion({
+    reducer: ee.Reducer.mean().combine(
+      ee.Reducer.stdDev(), '', true
+    ).combine(
+      ee.Reducer.count(), '', true
+    ),
+    geometry: glacier.geometry,
+    scale: 500,
+    maxPixels: 1e9,
+    tileScale: 4 // Remplace bestEffort
+  });
+  
+  // Pixel-jours par classe : nombre d'observations valides, somme et somme des carrés
+  var pixel_day_stats = ee.Image.cat([
+    class_albedos.count().rename(ANNUAL_CLASS_NAMES.map(function(name) { return name + '_pixel_days'; })),
+    class_albedos.sum().rename(ANNUAL_CLASS_NAMES.map(function(name) { return name + '_sum'; })),
+    class_albedos.map(function(img) { return img.pow(2); }).sum()
+      .rename(ANNUAL_CLASS_NAMES.map(function(name) { return name + '_sum_sq'; }))
+  ]).reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: glacier.geometry,
+    scale: 500,
+    maxPixels: 1e9,
+    tileScale: 4
+  });
+  
+  // Moyennes glacier quotidiennes par classe (jours valides et stratégies journalières)
+  var daily_class_stats = class_albedos.map(function(img) {
+    return ee.Feature(null, img.reduceRegion({
+      reducer: ee.Reducer.mean().combine(ee.Reducer.count(), '', true),
+      geometry: glacier.geometry,
+      scale: 500,
+      maxPixels: 1e9,
+      tileScale: 4
+    }));
+  });
+  
+  // Statistiques par bande d'altitude (moyenne, médiane, nombre de pixels)
+  var elevation_stats = elevation_albedo_means.reduceRegion({
+    reducer: ee.Reducer.mean().combine(
+      ee.Reducer.median(), '', true
+    ).combine(
+      ee.Reducer.count(), '', true
+    ),
+    geometry: glacier.geometry,
+    scale: 500,
+    maxPixels: 1e9,
+    tileScale: 4
+  });
+  
+  // Calculer le nombre total de pixels filtrés (correctement)
+  var filtered_pixel_stats = pixel_count_total.reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: glacier.geometry,
+    scale: 500,
+    maxPixels: 1e9,
+    tileScale: 4
+  });
+  
+  // Construire les propriétés avec validation minPixelThreshold
+  var total_pixels = filtered_pixel_stats.get('high_snow_pixel_count');
+  var sufficient_pixels = ee.Number(total_pixels).gte(glacier.minPixelThreshold);
+  
+  var properties = {
+    'glacier_id': glacier.id,
+    'glacier_name': glacier.name,
+    'year': year,
+    'ndsi_snow_threshold': glacier.ndsiSnowThreshold,
+    'glacier_fraction_threshold': glacier.glacierFractionThreshold,
+    'min_pixel_threshold': glacier.minPixelThreshold,
+    'season': glacier.season.name,
+    'season_window': glacier.season.label,
+    'mask_epoch_mode': glacier.maskMode,
+    'mask_epoch': fraction.get('mask_epoch'),
+    'mask_epoch_weight': fraction.get('mask_epoch_weight'),
+    'dem_source': DEM_SOURCE,
+    'annual_aggregation': ANNUAL_AGGREGATION,
+    'total_filtered_pixels': total_pixels,
+    'sufficient_pixels': sufficient_pixels
+  };
+  
+  var product_properties = getProductProperties();
+  Object.keys(product_properties).forEach(function(key) {
+    properties[key] = product_properties[key];
+  });
+  var qa_properties = getQAConfigProperties(glacier);
+  Object.keys(qa_properties).forEach(function(key) {
+    properties[key] = qa_properties[key];
+  });
+  
+  ANNUAL_CLASS_NAMES.forEach(function(className) {
+    // Appliquer la validation minPixelThreshold pour chaque classe
+    var class_count = all_stats.get(className + '_count');
+    var class_sufficient = ee.Number(class_count).gte(glacier.minPixelThreshold);
+    
+    var valid_days = daily_class_stats
+      .filter(ee.Filter.notNull([className + '_mean']))
+      .filter(ee.Filter.gte(className + '_count', glacier.minPixelThreshold));
+    var pixel_days = ee.Number(pixel_day_stats.get(className + '_pixel_days'));
+    
+    // Moyenne / écart-type selon la stratégie d'agrégation
+    var class_mean;
+    var class_std;
+    if (ANNUAL_AGGREGATION === 'pixel_day_weighted') {
+      var weighted_mean = ee.Number(pixel_day_stats.get(className + '_sum')).divide(pixel_days.max(1));
+      class_mean = ee.Algorithms.If(pixel_days.gt(0), weighted_mean, null);
+      class_std = ee.Algorithms.If(pixel_days.gt(0), ee.Number(pixel_day_stats.get(className + '_sum_sq'))
+        .divide(pixel_days).subtract(weighted_mean.pow(2)).max(0).sqrt(), null);
+    } else if (ANNUAL_AGGREGATION === 'daily_median' || ANNUAL_AGGREGATION === 'daily_mean') {
+      var daily_reducer = ANNUAL_AGGREGATION === 'daily_median' ? ee.Reducer.median() : ee.Reducer.mean();
+      var daily_summary = ee.Dictionary(ee.Algorithms.If(valid_days.size().gt(0),
+        valid_days.reduceColumns(daily_reducer.combine(ee.Reducer.stdDev(), '', true), [className + '_mean']),
+        {}));
+      class_mean = daily_summary.get(ANNUAL_AGGREGATION === 'daily_median' ? 'median' : 'mean', null);
+      class_std = daily_summary.get('stdDev', null);
+    } else {
+      class_mean = all_stats.get(className + '_mean');
+      class_std = all_stats.get(className + '_stdDev');
+    }
+    
+    properties[className + '_mean'] = ee.Algorithms.If(class_sufficient, class_mean, null);
+    properties[className + '_stdDev'] = ee.Algorithms.If(class_sufficient, class_std, null);
+    properties[className + '_count'] = class_count;
+    properties[className + '_valid_days'] = valid_days.size();
+    properties[className + '_pixel_days'] = pixel_days;
+    properties[className + '_sufficient_pixels'] = class_sufficient;
+  });
+  
+  ELEVATION_ANNUAL_NAMES.forEach(function(bandName) {
+    // Même validation minPixelThreshold pour chaque bande d'altitude
+    var band_count = elevation_stats.get(bandName + '_count');
+    var band_sufficient = ee.Number(band_count).gte(glacier.minPixelThreshold);
+    
+    properties[bandName + '_mean'] = ee.Algorithms.If(band_sufficient, elevation_stats.get(bandName + '_mean'), null);
+    properties[bandName + '_median'] = ee.Algorithms.If(band_sufficient, elevation_stats.get(bandName + '_median'), null);
+    properties[bandName + '_count'] = band_count;
+    properties[bandName + '_sufficient_pixels'] = band_sufficient;
+  });
+  
+  return ee.Feature(null, properties);
+}
+
+// ┌────────────────────────────────────────────────────────────────────────────────────────┐
+// │ SECTION 5 : ANALYSE QUOTIDIENNE OPTIMISÉE                                             │
+// └────────────────────────────────────────────────────────────────────────────────────────┘
+
+// 7. Masquage quotidien commun (série quotidienne et composites temporels) : QA standard,
+// NDSI ≥ seuil, fraction glacier ≥ seuil et albédo valide → {albedo (0-1, masqué), mask, fraction}
+function getFilteredDailyAlbedo(img, glacier) {
   var snow_cover = img.select('NDSI_Snow_Cover');
   var snow_albedo = img.select('Snow_Albedo_Daily_Tile');
   
-  // Masques avec fonction qualité améliorée - utilise configuration QA standard pour exports
-  var good_quality_mask = createStandardQualityMask(img);
-  var high_ndsi_mask = snow_cover.gte(NDSI_SNOW_THRESHOLD); // NDSI index ≥ threshold
-  var high_glacier_fraction_mask = STATIC_GLACIER_FRACTION.gte(GLACIER_FRACTION_THRESHOLD / 100);
+  // Masques avec fonction qualité améliorée - configuration QA des exports du glacier (standard par défaut)
+  var good_quality_mask = createExportQualityMask(img, glacier);
+  var high_ndsi_mask = snow_cover.gte(glacier.ndsiSnowThreshold); // NDSI index ≥ threshold
+  var fraction = getGlacierFraction(glacier, toDecimalYear(img.date()));
+  var high_glacier_fraction_mask = fraction.gte(glacier.glacierFractionThreshold / 100);
   var valid_albedo_mask = snow_albedo.lte(100);
   var combined_mask = good_quality_mask
     .and(high_ndsi_mask)
     .and(high_glacier_fraction_mask)
     .and(valid_albedo_mask);
   
+  return {
+    albedo: snow_albedo.divide(100).updateMask(combined_mask).rename('albedo'),
+    mask: combined_mask,
+    fraction: fraction
+  };
+}
+
+// Fonction pour analyser l'albédo quotidien optimisée (un glacier du registre)
+function analyzeDailyAlbedoHighSnowCoverOptimized(img, glacier) {
+  var date = img.date();
+  var filtered = getFilteredDailyAlbedo(img, glacier);
+  var fraction = filtered.fraction;
+  var combined_mask = filtered.mask;
+  
   // Albédo filtré avec nom cohérent
-  var albedo_scaled = snow_albedo.divide(100).updateMask(combined_mask).rename('albedo');
+  var albedo_scaled = filtered.albedo;
+  
+  // Mode fusion : part des pixels retenus provenant de chaque produit ou de la moyenne des deux
+  var fusion_mode = isSensorFusionMode(SENSOR_FUSION_MODE);
+  var share_names = FUSION_PRODUCTS.map(function(key) { return key.toLowerCase() + '_share'; }).concat(['both_share']);
+  if (fusion_mode) {
+    var source_sensor = img.select('source_sensor');
+    albedo_scaled = albedo_scaled.addBands(ee.Image.cat(FUSION_PRODUCTS.map(function(key, i) {
+      return source_sensor.eq(SNOW_PRODUCTS[key].code).rename(share_names[i]);
+    }).concat([
+      source_sensor.eq(SOURCE_BOTH_CODE).rename('both_share')
+    ])).updateMask(combined_mask));
+  }
   
   // Masques par classe de fraction
-  var masks = createFractionMasks(STATIC_GLACIER_FRACTION, FRACTION_THRESHOLDS);
+  var masks = createFractionMasks(fraction, CONFIG.fractionThresholds);
   
-  // Calculer les statistiques pour chaque classe
+  // Masques par bande d'altitude
+  var elevation_masks = createElevationMasks(MODIS_ELEVATION, ELEVATION_BANDS);
+  
+  // Calculer les statistiques pour chaque classe de fraction puis chaque bande d'altitude
   var class_results = {};
+  var strata = FRACTION_CLASS_NAMES.map(function(className) {
+    return {name: className, mask: masks[className]};
+  }).concat(ELEVATION_BAND_NAMES.map(function(bandName) {
+    return {name: bandName, mask: elevation_masks[bandName]};
+  }));
   
-  FRACTION_CLASS_NAMES.forEach(function(className) {
-    var classMask = masks[className];
-    var validAlbedo = albedo_scaled.updateMask(classMask);
+  strata.forEach(function(stratum) {
+    var className = stratum.name;
+    var validAlbedo = albedo_scaled.updateMask(stratum.mask);
     
     var classStats = validAlbedo.reduceRegion({
       reducer: ee.Reducer.mean().combine(
@@ -399,28 +1647,34 @@ function analyzeDailyAlbedoHighSnowCoverOptimized(img) {
       ).combine(
         ee.Reducer.count(), '', true
       ),
-      geometry: glacier_geometry,
+      geometry: glacier.geometry,
       scale: 500,
       maxPixels: 1e9,
       tileScale: 4
     });
     
-    // Appliquer MIN_PIXEL_THRESHOLD validation pour chaque classe
+    // Appliquer la validation minPixelThreshold pour chaque classe
     var class_count = classStats.get('albedo_count');
-    var class_sufficient = ee.Number(class_count).gte(MIN_PIXEL_THRESHOLD);
+    var class_sufficient = ee.Number(class_count).gte(glacier.minPixelThreshold);
     
     class_results[className + '_mean'] = ee.Algorithms.If(class_sufficient, classStats.get('albedo_mean'), null);
     class_results[className + '_median'] = ee.Algorithms.If(class_sufficient, classStats.get('albedo_median'), null);
     class_results[className + '_pixel_count'] = class_count;
     class_results[className + '_sufficient_pixels'] = class_sufficient;
+    
+    if (fusion_mode) {
+      share_names.forEach(function(shareName) {
+        class_results[className + '_' + shareName] = classStats.get(shareName + '_mean');
+      });
+    }
   });
   
   // Compter pixels totaux filtrés avec gestion d'erreur
   var total_filtered = combined_mask.rename('pixel_count')
-    .updateMask(STATIC_GLACIER_FRACTION.gt(0))
+    .updateMask(fraction.gt(0))
     .reduceRegion({
       reducer: ee.Reducer.sum(),
-      geometry: glacier_geometry,
+      geometry: glacier.geometry,
       scale: 500,
       maxPixels: 1e9,
       tileScale: 4
@@ -437,135 +1691,1386 @@ function analyzeDailyAlbedoHighSnowCoverOptimized(img) {
   var year = date.get('year');
   var doy = date.getRelative('day', 'year').add(1);
   
-  // Combiner toutes les statistiques avec validation MIN_PIXEL_THRESHOLD
-  var sufficient_total_pixels = ee.Number(total_filtered).gte(MIN_PIXEL_THRESHOLD);
+  // Combiner toutes les statistiques avec validation minPixelThreshold
+  var sufficient_total_pixels = ee.Number(total_filtered).gte(glacier.minPixelThreshold);
+  
+  var final_stats = {
+    'glacier_id': glacier.id,
+    'glacier_name': glacier.name,
+    'date': date.format('YYYY-MM-dd'),
+    'year': year,
+    'doy': doy,
+    'decimal_year': year.add(doy.divide(365.25)),
+    'season': glacier.season.name,
+    'season_year': getSeasonYear(date, glacier.season),
+    'total_filtered_pixels': total_filtered,
+    'sufficient_total_pixels': sufficient_total_pixels,
+    'min_pixel_threshold': glacier.minPixelThreshold,
+    'ndsi_snow_threshold': glacier.ndsiSnowThreshold,
+    'glacier_fraction_threshold': glacier.glacierFractionThreshold,
+    'mask_epoch_mode': glacier.maskMode,
+    'mask_epoch': fraction.get('mask_epoch'),
+    'mask_epoch_weight': fraction.get('mask_epoch_weight'),
+    'dem_source': DEM_SOURCE,
+    'system:time_start': date.millis()
+  };
+  
+  // Ajouter les métadonnées capteur, les paramètres de filtrage et les résultats de classe
+  var product_properties = getProductProperties();
+  Object.keys(product_properties).forEach(function(key) {
+    final_stats[key] = product_properties[key];
+  });
+  var qa_properties = getQAConfigProperties(glacier);
+  Object.keys(qa_properties).forEach(function(key) {
+    final_stats[key] = qa_properties[key];
+  });
+  Object.keys(class_results).forEach(function(key) {
+    final_stats[key] = class_results[key];
+  });
+  
+  return ee.Feature(null, final_stats);
+}
+
+// ┌────────────────────────────────────────────────────────────────────────────────────────┐
+// │ SECTION 5B : ANALYSE PIXEL-LEVEL POUR EXPORT DÉTAILLÉ                                │
+// └────────────────────────────────────────────────────────────────────────────────────────┘
+
+// 7b. Fonction pour analyser les données au niveau pixel individuel (un glacier du registre)
+function analyzePixelLevelData(img, glacier) {
+  var date = img.date();
+  var snow_cover = img.select('NDSI_Snow_Cover');
+  var snow_albedo = img.select('Snow_Albedo_Daily_Tile');
+  var algorithm_flags = img.select('NDSI_Snow_Cover_Algorithm_Flags_QA');
+  
+  // Créer une grille de coordonnées pour extraction pixel
+  var coords = ee.Image.pixelLonLat().select(['longitude', 'latitude']);
+  
+  // Masque pour limiter aux pixels glacier seulement
+  var fraction = getGlacierFraction(glacier, toDecimalYear(date));
+  var glacier_mask_sample = fraction.gt(0);
+  
+  // Combiner toutes les bandes nécessaires
+  var combined_image = ee.Image.cat([
+    coords,
+    snow_cover.rename('ndsi_snow_cover'),
+    snow_albedo.rename('snow_albedo_raw'),
+    snow_albedo.divide(100).rename('snow_albedo_scaled'),
+    fraction.multiply(100).rename('glacier_fraction_pct'),
+    MODIS_ELEVATION.rename('elevation_m'),
+    img.select('NDSI_Snow_Cover_Basic_QA').rename('basic_qa'),
+    algorithm_flags.rename('algorithm_flags'),
+    img.select('source_sensor')
+  ]).updateMask(glacier_mask_sample);
+  
+  // Décoder les flags d'algorithme en colonnes individuelles
+  var flag_bits = ee.Image.cat([
+    algorithm_flags.bitwiseAnd(1).rename('flag_inland_water'),
+    algorithm_flags.bitwiseAnd(2).divide(2).rename('flag_visible_fail'),
+    algorithm_flags.bitwiseAnd(4).divide(4).rename('flag_ndsi_fail'),
+    algorithm_flags.bitwiseAnd(8).divide(8).rename('flag_temp_height_fail'),
+    algorithm_flags.bitwiseAnd(16).divide(16).rename('flag_swir_anomaly'),
+    algorithm_flags.bitwiseAnd(32).divide(32).rename('flag_probably_cloudy'),
+    algorithm_flags.bitwiseAnd(64).divide(64).rename('flag_probably_clear'),
+    algorithm_flags.bitwiseAnd(128).divide(128).rename('flag_high_solar_zenith')
+  ]);
+  
+  // Ajouter le test QA standard
+  var passes_qa = createExportQualityMask(img, glacier).rename('passes_standard_qa');
+  
+  // Déterminer la classe de fraction glacier (codes 1..N+1 générés depuis CONFIG.fractionThresholds)
+  var class_masks = createFractionMasks(fraction, CONFIG.fractionThresholds);
+  var glacier_class_code = FRACTION_CLASSES.reduce(function(codeImage, fractionClass) {
+    return codeImage.where(class_masks[fractionClass.name], fractionClass.code);
+  }, ee.Image(0)).rename('glacier_class_code');
+  
+  // Image finale avec toutes les bandes
+  var final_image = combined_image.addBands([flag_bits, passes_qa, glacier_class_code]);
+  
+  // Convertir en vecteurs pour export
+  var pixel_vectors = final_image.sample({
+    region: glacier.geometry,
+    scale: 500,
+    numPixels: 10000, // Limite pour éviter timeout
+    tileScale: 2,
+    geometries: true
+  });
+  
+  // Ajouter les métadonnées temporelles à chaque feature
+  var year = date.get('year');
+  var doy = date.getRelative('day', 'year').add(1);
+  var decimal_year = year.add(doy.divide(365.25));
+  
+  var qa_properties = getQAConfigProperties(glacier);
+  
+  var pixel_features = pixel_vectors.map(function(feature) {
+    // Récupérer les coordonnées de la géométrie
+    var coords = feature.geometry().coordinates();
+    var longitude = ee.List(coords).get(0);
+    var latitude = ee.List(coords).get(1);
+    
+    // Décoder la classe glacier en texte
+    var class_code = feature.get('glacier_class_code');
+    var class_text = FRACTION_CLASS_LABELS.get(ee.Number(class_code).format('%d'), 'Unknown');
+    
+    // Décoder basic QA en texte
+    var basic_qa_val = feature.get('basic_qa');
+    var qa_text = ee.Algorithms.If(ee.Number(basic_qa_val).eq(0), 'Best',
+      ee.Algorithms.If(ee.Number(basic_qa_val).eq(1), 'Good',
+        ee.Algorithms.If(ee.Number(basic_qa_val).eq(2), 'OK',
+          ee.Algorithms.If(ee.Number(basic_qa_val).eq(3), 'Poor',
+            ee.Algorithms.If(ee.Number(basic_qa_val).eq(211), 'Night', 
+              ee.Algorithms.If(ee.Number(basic_qa_val).eq(239), 'Ocean', 'Unknown'))))));
+    
+    return feature.set({
+      'glacier_id': glacier.id,
+      'mask_epoch': fraction.get('mask_epoch'),
+      'date': date.format('YYYY-MM-dd'),
+      'year': year,
+      'doy': doy,
+      'decimal_year': decimal_year,
+      'season': glacier.season.name,
+      'season_year': getSeasonYear(date, glacier.season),
+      'longitude': longitude,
+      'latitude': latitude,
+      'glacier_class': class_text,
+      'basic_qa_text': qa_text,
+      'system:time_start': date.millis()
+    }).set(qa_properties).setGeometry(null); // Enlever géométrie pour export CSV
+  });
+  
+  return pixel_features;
+}
+
+// ┌────────────────────────────────────────────────────────────────────────────────────────┐
+// │ SECTION 5C : CLIMATOLOGIE QUOTIDIENNE ET ANOMALIES                                    │
+// └────────────────────────────────────────────────────────────────────────────────────────┘
+
+// Jours dont le doy est à moins de halfWindow jours de doy, fenêtre circulaire autour du 31 décembre
+// (saisons qui chevauchent l'année civile)
+function doyWindowFilter(doy, halfWindow) {
+  return ee.Filter.or(
+    ee.Filter.rangeContains('doy', doy.subtract(halfWindow), doy.add(halfWindow)),
+    ee.Filter.rangeContains('doy', doy.subtract(halfWindow).add(365), doy.add(halfWindow).add(365)),
+    ee.Filter.rangeContains('doy', doy.subtract(halfWindow).subtract(365), doy.add(halfWindow).subtract(365))
+  );
+}
+
+// 7d. Climatologie jour de l'année (un glacier) : pour chaque doy observé, statistiques des
+// <classe>_mean de toutes les années dans une fenêtre centrée de CLIMATOLOGY_WINDOW_DAYS jours,
+// et valeurs triées de la fenêtre (<classe>_clim_values, rangs centiles ; retirées des exports)
+function buildDailyClimatology(daily, glacier) {
+  var halfWindow = Math.floor(CLIMATOLOGY_WINDOW_DAYS / 2);
+  var doys = daily.aggregate_array('doy').distinct().sort();
+  var qa_properties = getQAConfigProperties(glacier);
+  
+  return ee.FeatureCollection(doys.map(function(doy) {
+    doy = ee.Number(doy);
+    var window = daily.filter(doyWindowFilter(doy, halfWindow));
+    var properties = ee.Dictionary({'doy': doy, 'window_days': CLIMATOLOGY_WINDOW_DAYS}).combine(qa_properties);
+    
+    FRACTION_CLASS_NAMES.forEach(function(className) {
+      var samples = window.filter(ee.Filter.notNull([className + '_mean']));
+      var n = samples.size();
+      var stats = ee.Dictionary(ee.Algorithms.If(n.gte(3),
+        samples.reduceColumns(
+          ee.Reducer.mean()
+            .combine(ee.Reducer.stdDev(), '', true)
+            .combine(ee.Reducer.percentile([10, 50, 90]), '', true),
+          [className + '_mean']),
+        {}));
+      
+      properties = properties.combine(ee.Dictionary.fromLists(
+        [className + '_clim_mean', className + '_clim_std', className + '_clim_p10',
+         className + '_clim_p50', className + '_clim_p90', className + '_clim_n', className + '_clim_values'],
+        [stats.get('mean', null), stats.get('stdDev', null), stats.get('p10', null),
+         stats.get('p50', null), stats.get('p90', null), n, samples.aggregate_array(className + '_mean').sort()]
+      ));
+    });
+    
+    return ee.Feature(null, properties);
+  }));
+}
+
+// Colonnes exportées de la climatologie (sans les listes <classe>_clim_values)
+function selectClimatologyColumns(climatology, glacier) {
+  var columns = ['doy', 'window_days'].concat(Object.keys(getQAConfigProperties(glacier)));
+  FRACTION_CLASS_NAMES.forEach(function(className) {
+    ['_clim_mean', '_clim_std', '_clim_p10', '_clim_p50', '_clim_p90', '_clim_n'].forEach(function(suffix) {
+      columns.push(className + suffix);
+    });
+  });
+  return climatology.select(columns);
+}
+
+// Ajouter aux lignes quotidiennes <classe>_zscore (écart à la climatologie du doy en écarts-types)
+// et <classe>_pct_rank (rang centile 0-100 parmi les valeurs de la même fenêtre climatologique).
+// Climatologie du doy associée par jointure et rang lu dans la liste triée <classe>_clim_values
+// (pas de nouveau filtrage de la table quotidienne par ligne)
+function addDailyAnomalies(daily, climatology) {
+  var joined = ee.Join.saveFirst({matchKey: 'climatology'}).apply(daily, climatology,
+    ee.Filter.equals({leftField: 'doy', rightField: 'doy'}));
+  
+  return ee.FeatureCollection(joined).map(function(feature) {
+    var clim = ee.Feature(feature.get('climatology'));
+    var anomalies = {};
+    
+    FRACTION_CLASS_NAMES.forEach(function(className) {
+      var value = feature.get(className + '_mean');
+      var climMean = clim.get(className + '_clim_mean');
+      var climStd = clim.get(className + '_clim_std');
+      var samples = ee.List(clim.get(className + '_clim_values'));
+      
+      anomalies[className + '_zscore'] = ee.Algorithms.If(
+        ee.Algorithms.IsEqual(value, null), null,
+        ee.Algorithms.If(ee.Algorithms.IsEqual(climStd, null), null,
+          ee.Algorithms.If(ee.Number(climStd).gt(0),
+            ee.Number(value).subtract(climMean).divide(climStd),
+            null)));
+      anomalies[className + '_pct_rank'] = ee.Algorithms.If(
+        ee.Algorithms.IsEqual(value, null), null,
+        samples.filter(ee.Filter.lte('item', value)).size().divide(samples.size()).multiply(100));
+    });
+    
+    // Ligne quotidienne sans la climatologie jointe
+    return ee.Feature(ee.Feature(null).copyProperties(feature, null, ['climatology']))
+      .set('system:time_start', feature.get('system:time_start'))
+      .set(anomalies);
+  });
+}
+
+// Événements extrêmes (un glacier) : séquences d'au moins EVENT_MIN_DURATION jours valides
+// consécutifs (jours sans valeur ignorés, rupture à chaque année hydrologique season_year) avec
+// |z| ≥ ANOMALY_Z_THRESHOLD et un signe constant. Une ligne par événement et classe de fraction.
+function detectAnomalyEvents(daily, glacier) {
+  return ee.FeatureCollection(FRACTION_CLASS_NAMES.map(function(className) {
+    var zProperty = className + '_zscore';
+    var series = daily.filter(ee.Filter.notNull([zProperty])).sort('system:time_start');
+    
+    var closeRun = function(state) {
+      return ee.List(ee.Algorithms.If(
+        ee.Number(state.get('length')).gte(EVENT_MIN_DURATION),
+        ee.List(state.get('events')).add(ee.Dictionary({
+          'start_date': state.get('start_date', null),
+          'end_date': state.get('end_date', null),
+          'duration_days': state.get('length'),
+          'peak_zscore': state.get('peak_zscore', null),
+          'peak_date': state.get('peak_date', null),
+          'peak_albedo': state.get('peak_albedo', null)
+        })),
+        state.get('events')
+      ));
+    };
+    
+    var finalState = ee.Dictionary(series.iterate(function(feature, state) {
+      feature = ee.Feature(feature);
+      state = ee.Dictionary(state);
+      var z = ee.Number(feature.get(zProperty));
+      var sign = ee.Number(ee.Algorithms.If(z.gte(0), 1, -1));
+      var year = ee.Number(feature.get('season_year'));
+      var length = ee.Number(state.get('length'));
+      var exceeds = z.abs().gte(ANOMALY_Z_THRESHOLD);
+      var continues = exceeds
+        .and(length.gt(0))
+        .and(sign.eq(ee.Number(state.get('sign', 0))))
+        .and(year.eq(ee.Number(state.get('year', -1))));
+      
+      var isPeak = z.abs().gt(ee.Number(state.get('peak_zscore', 0)).abs());
+      var extended = state.combine({
+        'end_date': feature.get('date'),
+        'length': length.add(1),
+        'peak_zscore': ee.Algorithms.If(isPeak, z, state.get('peak_zscore', null)),
+        'peak_date': ee.Algorithms.If(isPeak, feature.get('date'), state.get('peak_date', null)),
+        'peak_albedo': ee.Algorithms.If(isPeak, feature.get(className + '_mean'), state.get('peak_albedo', null))
+      });
+      
+      var events = closeRun(state);
+      var restarted = ee.Algorithms.If(exceeds,
+        ee.Dictionary({
+          'start_date': feature.get('date'),
+          'end_date': feature.get('date'),
+          'length': 1,
+          'sign': sign,
+          'year': year,
+          'peak_zscore': z,
+          'peak_date': feature.get('date'),
+          'peak_albedo': feature.get(className + '_mean'),
+          'events': events
+        }),
+        ee.Dictionary({'length': 0, 'events': events})
+      );
+      
+      return ee.Algorithms.If(continues, extended, restarted);
+    }, ee.Dictionary({'length': 0, 'events': ee.List([])})));
+    
+    return ee.FeatureCollection(closeRun(finalState).map(function(event) {
+      event = ee.Dictionary(event);
+      return ee.Feature(null, event.combine({
+        'glacier_id': glacier.id,
+        'fraction_class': className,
+        'direction': ee.Algorithms.If(ee.Number(event.get('peak_zscore')).gt(0), 'high', 'low'),
+        'z_threshold': ANOMALY_Z_THRESHOLD,
+        'min_duration_days': EVENT_MIN_DURATION,
+        'climatology_window_days': CLIMATOLOGY_WINDOW_DAYS
+      }).combine(getQAConfigProperties(glacier)));
+    }));
+  })).flatten();
+}
+
+// ┌────────────────────────────────────────────────────────────────────────────────────────┐
+// │ SECTION 5D : COMBLEMENT DES LACUNES (SÉRIE QUOTIDIENNE ET CARTES PIXEL)               │
+// └────────────────────────────────────────────────────────────────────────────────────────┘
+
+var GAP_FILL_METHODS = ['none', 'linear', 'climatology', 'linear_climatology'];
+if (GAP_FILL_METHODS.indexOf(GAP_FILL_METHOD) === -1) {
+  throw new Error('Unknown GAP_FILL_METHOD: ' + GAP_FILL_METHOD + ' (expected ' + GAP_FILL_METHODS.join(', ') + ')');
+}
+var GAP_FILL_SMOOTHINGS = ['none', 'savitzky_golay'];
+if (GAP_FILL_SMOOTHINGS.indexOf(GAP_FILL_SMOOTHING) === -1) {
+  throw new Error('Unknown GAP_FILL_SMOOTHING: ' + GAP_FILL_SMOOTHING + ' (expected ' + GAP_FILL_SMOOTHINGS.join(', ') + ')');
+}
+
+// 7e. Comblement de la série quotidienne (un glacier). Pour chaque classe de fraction :
+//   <classe>_filled      : valeur observée (<classe>_mean) ou comblée
+//   <classe>_fill_method : 'observed', 'linear', 'climatology' ou 'none' (lacune non comblée)
+//   <classe>_gap_length  : jours sans valeur entre les deux jours valides qui encadrent la lacune
+//                          (même saison ; 0 si observé, null si la lacune dépasse GAP_FILL_MAX_DAYS
+//                          jours ou touche le bord de saison)
+// Seuls les jours présents dans la collection sont comblés (aucune ligne ajoutée pour un jour sans image).
+function addDailyGapFill(daily, climatology) {
+  if (GAP_FILL_METHOD === 'none') {
+    return daily;
+  }
+  
+  var useLinear = GAP_FILL_METHOD === 'linear' || GAP_FILL_METHOD === 'linear_climatology';
+  var useClimatology = GAP_FILL_METHOD === 'climatology' || GAP_FILL_METHOD === 'linear_climatology';
+  
+  // Jointures : climatologie du jour de l'année, puis pour chaque classe le jour valide le plus proche
+  // avant et après dans la même saison, à moins de GAP_FILL_MAX_DAYS jours (une lacune comblable
+  // par interpolation est toujours encadrée dans cette fenêtre)
+  var joined = ee.Join.saveFirst({matchKey: 'climatology', outer: true}).apply(daily, climatology,
+    ee.Filter.equals({leftField: 'doy', rightField: 'doy'}));
+  var joinKeys = ['climatology'];
+  var sameSeasonWithinSpan = ee.Filter.and(
+    ee.Filter.equals({leftField: 'season_year', rightField: 'season_year'}),
+    ee.Filter.maxDifference({
+      difference: GAP_FILL_MAX_DAYS * DAY_MILLIS,
+      leftField: 'system:time_start',
+      rightField: 'system:time_start'
+    }));
+  
+  FRACTION_CLASS_NAMES.forEach(function(className) {
+    var observed = daily.filter(ee.Filter.notNull([className + '_mean']));
+    joined = ee.Join.saveFirst({matchKey: className + '_before', ordering: 'system:time_start', ascending: false, outer: true})
+      .apply(joined, observed, ee.Filter.and(sameSeasonWithinSpan,
+        ee.Filter.greaterThan({leftField: 'system:time_start', rightField: 'system:time_start'})));
+    joined = ee.Join.saveFirst({matchKey: className + '_after', ordering: 'system:time_start', ascending: true, outer: true})
+      .apply(joined, observed, ee.Filter.and(sameSeasonWithinSpan,
+        ee.Filter.lessThan({leftField: 'system:time_start', rightField: 'system:time_start'})));
+    joinKeys.push(className + '_before', className + '_after');
+  });
+  
+  var filled = ee.FeatureCollection(joined).map(function(feature) {
+    var t = ee.Number(feature.get('system:time_start'));
+    var clim = ee.Feature(feature.get('climatology'));
+    var fill = {
+      'gap_fill_method': GAP_FILL_METHOD,
+      'gap_fill_max_days': GAP_FILL_MAX_DAYS,
+      'gap_fill_smoothing': GAP_FILL_SMOOTHING
+    };
+  
+    FRACTION_CLASS_NAMES.forEach(function(className) {
+      var meanProperty = className + '_mean';
+      var value = feature.get(meanProperty);
+      var before = feature.get(className + '_before');
+      var after = feature.get(className + '_after');
+      var bracketed = ee.Algorithms.If(ee.Algorithms.IsEqual(before, null), false,
+        ee.Algorithms.If(ee.Algorithms.IsEqual(after, null), false, true));
+  
+      // Jours valides qui encadrent la lacune (dernier avant, premier après)
+      var beforeTime = ee.Number(ee.Feature(before).get('system:time_start'));
+      var afterTime = ee.Number(ee.Feature(after).get('system:time_start'));
+      var beforeValue = ee.Number(ee.Feature(before).get(meanProperty));
+      var afterValue = ee.Number(ee.Feature(after).get(meanProperty));
+  
+      var bracketLength = afterTime.subtract(beforeTime).divide(DAY_MILLIS).round().subtract(1);
+      var gapLength = ee.Algorithms.If(bracketed,
+        ee.Algorithms.If(bracketLength.lte(GAP_FILL_MAX_DAYS), bracketLength, null),
+        null);
+      var linearValue = beforeValue.add(
+        afterValue.subtract(beforeValue).multiply(t.subtract(beforeTime)).divide(afterTime.subtract(beforeTime)));
+      var climValue = ee.Algorithms.If(ee.Algorithms.IsEqual(feature.get('climatology'), null), null,
+        clim.get(className + '_clim_mean'));
+  
+      var linearAvailable = useLinear
+        ? ee.Algorithms.If(ee.Algorithms.IsEqual(gapLength, null), false, true)
+        : false;
+      var climAvailable = useClimatology
+        ? ee.Algorithms.If(ee.Algorithms.IsEqual(climValue, null), false, true)
+        : false;
+  
+      var method = ee.Algorithms.If(ee.Algorithms.IsEqual(value, null),
+        ee.Algorithms.If(linearAvailable, 'linear',
+          ee.Algorithms.If(climAvailable, 'climatology', 'none')),
+        'observed');
+  
+      fill[className + '_filled'] = ee.Algorithms.If(ee.Algorithms.IsEqual(method, 'observed'), value,
+        ee.Algorithms.If(ee.Algorithms.IsEqual(method, 'linear'), linearValue,
+          ee.Algorithms.If(ee.Algorithms.IsEqual(method, 'climatology'), climValue, null)));
+      fill[className + '_fill_method'] = method;
+      fill[className + '_gap_length'] = ee.Algorithms.If(ee.Algorithms.IsEqual(value, null), gapLength, 0);
+    });
+  
+    // Ligne quotidienne sans les jointures
+    return ee.Feature(ee.Feature(null).copyProperties(feature, null, joinKeys))
+      .set('system:time_start', feature.get('system:time_start'))
+      .set(fill);
+  });
+  
+  return GAP_FILL_SMOOTHING === 'savitzky_golay' ? smoothFilledSeries(filled) : filled;
+}
+
+// Lissage Savitzky-Golay (ordre 2, fenêtre 2m+1 jours) des colonnes <classe>_filled, jours observés
+// compris. Un jour dont la fenêtre est incomplète (bord de saison, lacune non comblée) reste inchangé.
+// La fenêtre de chaque jour est construite une seule fois par jointure (±m jours).
+function smoothFilledSeries(filled) {
+  var m = SAVITZKY_GOLAY_HALF_WINDOW;
+  var coefficients = albedoStats.savitzkyGolayCoefficients(m);
+  if (!coefficients) {
+    throw new Error('SAVITZKY_GOLAY_HALF_WINDOW must be an integer ≥1: ' + m);
+  }
+  coefficients = ee.List(coefficients);
+  
+  var windowed = ee.Join.saveAll({matchesKey: 'sg_window'}).apply(filled, filled,
+    ee.Filter.maxDifference({
+      difference: m * DAY_MILLIS,
+      leftField: 'system:time_start',
+      rightField: 'system:time_start'
+    }));
+  
+  return ee.FeatureCollection(windowed).map(function(feature) {
+    var t = ee.Number(feature.get('system:time_start'));
+    var window = ee.FeatureCollection(ee.List(feature.get('sg_window')));
+    var smoothed = {};
+  
+    FRACTION_CLASS_NAMES.forEach(function(className) {
+      var filledProperty = className + '_filled';
+      var neighbours = window.filter(ee.Filter.notNull([filledProperty]));
+      var weighted = neighbours.map(function(neighbour) {
+        var offset = ee.Number(neighbour.get('system:time_start')).subtract(t).divide(DAY_MILLIS).round().add(m);
+        return neighbour.set('sg_weighted', ee.Number(coefficients.get(offset)).multiply(neighbour.get(filledProperty)));
+      });
+  
+      smoothed[filledProperty] = ee.Algorithms.If(neighbours.size().eq(2 * m + 1),
+        weighted.aggregate_sum('sg_weighted'),
+        feature.get(filledProperty));
+    });
+  
+    return ee.Feature(ee.Feature(null).copyProperties(feature, null, ['sg_window']))
+      .set('system:time_start', feature.get('system:time_start'))
+      .set(smoothed);
+  });
+}
+
+// 7f. Comblement pixel (un glacier) : albédo filtré (QA standard, NDSI, albédo ≤100, pixels à
+// fraction glacier > 0) interpolé linéairement dans le temps entre les observations valides les
+// plus proches, si la lacune ≤ GAP_FILL_MAX_DAYS jours. Une image par jour de la collection :
+//   albedo_filled (0-1) et fill_flag (0 = observé, 1 = interpolé ; masqué = non comblé)
+function gapFillAlbedoImages(collection, glacier) {
+  var maxSpan = (GAP_FILL_MAX_DAYS + 1) * DAY_MILLIS;
+  
+  var observed = collection.map(function(img) {
+    var date = img.date();
+    var fraction = getGlacierFraction(glacier, toDecimalYear(date));
+    var snow_albedo = img.select('Snow_Albedo_Daily_Tile');
+    var valid = createExportQualityMask(img, glacier)
+      .and(img.select('NDSI_Snow_Cover').gte(glacier.ndsiSnowThreshold))
+      .and(snow_albedo.lte(100))
+      .and(fraction.gt(0));
+  
+    return snow_albedo.divide(100).rename('albedo')
+      .addBands(ee.Image.constant(date.millis()).toDouble().rename('time'))
+      .updateMask(valid)
+      .set('system:time_start', date.millis());
+  });
+  
+  // Observations valides précédentes (croissant → la plus récente au-dessus de la mosaïque)
+  // et suivantes (décroissant → la plus proche au-dessus), à moins de GAP_FILL_MAX_DAYS + 1 jours
+  var withinSpan = ee.Filter.maxDifference({
+    difference: maxSpan,
+    leftField: 'system:time_start',
+    rightField: 'system:time_start'
+  });
+  var withBefore = ee.Join.saveAll({matchesKey: 'before', ordering: 'system:time_start', ascending: true, outer: true})
+    .apply(observed, observed, ee.Filter.and(withinSpan,
+      ee.Filter.greaterThan({leftField: 'system:time_start', rightField: 'system:time_start'})));
+  var joined = ee.Join.saveAll({matchesKey: 'after', ordering: 'system:time_start', ascending: false, outer: true})
+    .apply(withBefore, observed, ee.Filter.and(withinSpan,
+      ee.Filter.lessThan({leftField: 'system:time_start', rightField: 'system:time_start'})));
+  
+  var emptyImage = ee.Image.constant([0, 0]).rename(['albedo', 'time']).updateMask(0);
+  var neighbourMosaic = function(matches) {
+    matches = ee.List(ee.Algorithms.If(matches, matches, []));
+    return ee.Image(ee.Algorithms.If(matches.size().gt(0),
+      ee.ImageCollection.fromImages(matches).mosaic(),
+      emptyImage));
+  };
+  
+  return ee.ImageCollection(joined.map(function(img) {
+    img = ee.Image(img);
+    var before = neighbourMosaic(img.get('before'));
+    var after = neighbourMosaic(img.get('after'));
+    var t = ee.Image.constant(img.date().millis()).toDouble();
+    var beforeTime = before.select('time');
+    var afterTime = after.select('time');
+  
+    var interpolated = before.select('albedo').add(
+      after.select('albedo').subtract(before.select('albedo'))
+        .multiply(t.subtract(beforeTime))
+        .divide(afterTime.subtract(beforeTime)))
+      .updateMask(afterTime.subtract(beforeTime).lte(maxSpan));
+    var current = img.select('albedo');
+  
+    var albedoFilled = ee.ImageCollection([interpolated, current]).mosaic().rename('albedo_filled');
+    var fillFlag = ee.ImageCollection([
+      ee.Image(1).updateMask(interpolated.mask()),
+      ee.Image(0).updateMask(current.mask())
+    ]).mosaic().toByte().rename('fill_flag');
+  
+    return albedoFilled.addBands(fillFlag)
+      .reproject(modis_projection)
+      .clip(glacier.geometry)
+      .set({
+        'system:time_start': img.get('system:time_start'),
+        'date': img.date().format('YYYY-MM-dd'),
+        'glacier_id': glacier.id,
+        'gap_fill_max_days': GAP_FILL_MAX_DAYS
+      });
+  }));
+}
+
+// ┌────────────────────────────────────────────────────────────────────────────────────────┐
+// │ SECTION 5E : COMPOSITES TEMPORELS (8 JOURS, HEBDOMADAIRES, BIMENSUELS, MENSUELS)      │
+// └────────────────────────────────────────────────────────────────────────────────────────┘
+
+var COMPOSITE_PERIOD_TYPES = ['8day', 'weekly', 'semimonthly', 'monthly'];
+COMPOSITE_PERIODS.concat([COMPOSITE_MAP_PERIOD]).forEach(function(periodType) {
+  if (COMPOSITE_PERIOD_TYPES.indexOf(periodType) === -1) {
+    throw new Error('Unknown composite period: ' + periodType + ' (expected ' + COMPOSITE_PERIOD_TYPES.join(', ') + ')');
+  }
+});
+
+// Statistiques d'une période : moyenne, médiane, min, max, 10e et 90e centiles
+var COMPOSITE_REDUCER = ee.Reducer.mean()
+  .combine(ee.Reducer.median(), '', true)
+  .combine(ee.Reducer.minMax(), '', true)
+  .combine(ee.Reducer.percentile([10, 90]), '', true);
+var COMPOSITE_STATS = ['mean', 'median', 'min', 'max', 'p10', 'p90'];
+
+// 7g. Périodes d'un type de composite pour une saison et une année hydrologique (côté client),
+// tronquées à la saison ; les périodes 8 jours / hebdomadaires repartent du 1er janvier de chaque
+// année civile traversée : [{index (rang dans l'année civile), start, end (inclus), days}], dates 'YYYY-MM-DD'
+function buildCompositePeriods(periodType, season, seasonYear) {
+  var seasonDates = getSeasonDates(season, seasonYear);
+  var seasonStart = Date.parse(seasonDates.start);
+  var seasonEnd = Date.parse(seasonDates.end);
+  var periods = [];
+  
+  for (var year = new Date(seasonStart).getUTCFullYear(); year <= seasonYear; year++) {
+    var periodStart = Date.UTC(year, 0, 1);
+    var yearEnd = Date.UTC(year, 11, 31);
+    var index = 1;
+    
+    while (periodStart <= Math.min(seasonEnd, yearEnd)) {
+      var month = new Date(periodStart).getUTCMonth();
+      var nextStart;
+      if (periodType === '8day') {
+        nextStart = periodStart + 8 * DAY_MILLIS;
+      } else if (periodType === 'weekly') {
+        nextStart = periodStart + 7 * DAY_MILLIS;
+      } else if (periodType === 'semimonthly') {
+        nextStart = new Date(periodStart).getUTCDate() === 1 ? Date.UTC(year, month, 16) : Date.UTC(year, month + 1, 1);
+      } else {
+        nextStart = Date.UTC(year, month + 1, 1);
+      }
+      
+      var start = Math.max(periodStart, seasonStart);
+      var end = Math.min(nextStart - DAY_MILLIS, seasonEnd, yearEnd);
+      if (end >= start) {
+        periods.push({
+          index: index,
+          start: formatIsoDate(start),
+          end: formatIsoDate(end),
+          days: Math.round((end - start) / DAY_MILLIS) + 1
+        });
+      }
+      periodStart = nextStart;
+      index++;
+    }
+  }
+  
+  return periods;
+}
+
+// 7h. Table de composites (un glacier, un type de période, glacier.season) : pour chaque période et classe de
+// fraction, <classe>_valid_days et statistiques des moyennes quotidiennes valides (<classe>_mean)
+function buildCompositeTable(daily, glacier, periodType) {
+  var features = [];
+  
+  STUDY_YEAR_LIST.forEach(function(year) {
+    buildCompositePeriods(periodType, glacier.season, year).forEach(function(period) {
+      var startDate = ee.Date(period.start);
+      var window = daily.filter(ee.Filter.date(startDate, ee.Date(period.end).advance(1, 'day')));
+      var properties = ee.Dictionary({
+        'glacier_id': glacier.id,
+        'glacier_name': glacier.name,
+        'composite': periodType,
+        'season': glacier.season.name,
+        'year': year,
+        'period_index': period.index,
+        'period_start': period.start,
+        'period_end': period.end,
+        'period_days': period.days,
+        'system:time_start': startDate.millis()
+      }).combine(getProductProperties()).combine(getQAConfigProperties(glacier));
+  
+      FRACTION_CLASS_NAMES.forEach(function(className) {
+        var samples = window.filter(ee.Filter.notNull([className + '_mean']));
+        var n = samples.size();
+        var stats = ee.Dictionary(ee.Algorithms.If(n.gt(0),
+          samples.reduceColumns(COMPOSITE_REDUCER, [className + '_mean']),
+          {}));
+  
+        properties = properties.combine(ee.Dictionary.fromLists(
+          [className + '_valid_days'].concat(COMPOSITE_STATS.map(function(stat) { return className + '_' + stat; })),
+          [n].concat(COMPOSITE_STATS.map(function(stat) { return stats.get(stat, null); }))
+        ));
+      });
+  
+      features.push(ee.Feature(null, properties));
+    });
+  });
+  
+  return ee.FeatureCollection(features);
+}
+
+// 7i. Rasters composites (un glacier, un type de période, une année hydrologique) : une image par période avec
+// albedo_<stat> (0-1) et valid_days (jours valides par pixel), même masquage que la série quotidienne
+function buildCompositeImages(dailyCollection, glacier, periodType, year) {
+  var masked = dailyCollection.map(function(img) {
+    return getFilteredDailyAlbedo(img, glacier).albedo.copyProperties(img, ['system:time_start']);
+  });
+  var statBands = COMPOSITE_STATS.map(function(stat) { return 'albedo_' + stat; });
+  
+  return ee.ImageCollection(buildCompositePeriods(periodType, glacier.season, year).map(function(period) {
+    var window = masked.filterDate(period.start, ee.Date(period.end).advance(1, 'day'));
+  
+    return window.reduce(COMPOSITE_REDUCER.combine(ee.Reducer.count(), '', true))
+      .select(statBands.concat(['albedo_count']), statBands.concat(['valid_days']))
+      .toFloat()
+      .reproject(modis_projection)
+      .clip(glacier.geometry)
+      .set({
+        'system:index': periodType + '_' + period.start.replace(/-/g, ''),
+        'system:time_start': ee.Date(period.start).millis(),
+        'period_start': period.start,
+        'period_end': period.end,
+        'glacier_id': glacier.id
+      });
+  }));
+}
+
+// 7l. Fenêtres infra-saisonnières d'une saison (côté client) : un mois par mois calendaire touché par
+// la saison, puis les fenêtres SUBSEASONAL_DOY_WINDOWS → [{name, label, type ('month' | 'doy'), start, end}]
+// (start/end = mois pour 'month', jours de l'année inclus pour 'doy' ; start > end chevauche le 31 décembre).
+// Les fenêtres 'doy' portent aussi startMonthDay/endMonthDay (clés MMJJ) : jours 1-365 convertis en
+// calendrier non bissextile comme les bornes de SEASONS
+var MONTH_LABELS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+                    'August', 'September', 'October', 'November', 'December'];
+
+function buildSubseasonalWindows(season) {
+  var windows = getSeasonMonths(season).map(function(month) {
+    return {
+      name: 'month_' + (month < 10 ? '0' : '') + month,
+      label: MONTH_LABELS[month - 1],
+      type: 'month',
+      start: month,
+      end: month
+    };
+  });
+  
+  return windows.concat(SUBSEASONAL_DOY_WINDOWS.map(function(window) {
+    var context = 'SUBSEASONAL_DOY_WINDOWS entry ' + window.name;
+    if (typeof window.start !== 'number' || typeof window.end !== 'number') {
+      throw new Error('Invalid ' + context + ': ' + window.start + '-' + window.end + ' (expected days of year 1-365)');
+    }
+    var start = parseSeasonBound(window.start, context);
+    var end = parseSeasonBound(window.end, context);
+    return {
+      name: window.name,
+      label: 'DOY ' + window.start + '-' + window.end,
+      type: 'doy',
+      start: window.start,
+      end: window.end,
+      startMonthDay: start.month * 100 + start.day,
+      endMonthDay: end.month * 100 + end.day
+    };
+  }));
+}
+
+// Série annuelle par fenêtre (un glacier, glacier.season) à partir de la série quotidienne : une ligne
+// par fenêtre et année hydrologique avec <classe>_valid_days et <classe>_mean (moyenne des moyennes
+// quotidiennes valides, null si moins de SUBSEASONAL_MIN_VALID_DAYS jours valides)
+function buildSubseasonalSeries(daily, glacier) {
+  // Clé MMJJ du jour : les fenêtres DOY tombent sur les mêmes dates les années bissextiles
+  // (le 29 février, clé 229, appartient aux fenêtres qui couvrent fin février)
+  var dailyMonthDay = daily.map(function(row) {
+    var date = ee.Date(row.get('system:time_start'));
+    return row.set('month_day', ee.Number(date.get('month')).multiply(100).add(date.get('day')));
+  });
+  
+  return ee.FeatureCollection(buildSubseasonalWindows(glacier.season).map(function(window) {
+    var windowFilter = ee.Filter.rangeContains('month_day', window.startMonthDay, window.endMonthDay);
+    if (window.type === 'month') {
+      windowFilter = ee.Filter.calendarRange(window.start, window.end, 'month');
+    } else if (window.start > window.end) {
+      windowFilter = ee.Filter.or(ee.Filter.gte('month_day', window.startMonthDay),
+                                  ee.Filter.lte('month_day', window.endMonthDay));
+    }
+    var windowDays = dailyMonthDay.filter(windowFilter);
+  
+    return ee.FeatureCollection(STUDY_YEARS.map(function(year) {
+      var yearDays = windowDays.filter(ee.Filter.eq('season_year', year));
+      var properties = ee.Dictionary({
+        'glacier_id': glacier.id,
+        'season': glacier.season.name,
+        'window': window.name,
+        'window_label': window.label,
+        'year': year
+      }).combine(getQAConfigProperties(glacier));
+  
+      FRACTION_CLASS_NAMES.forEach(function(className) {
+        var samples = yearDays.filter(ee.Filter.notNull([className + '_mean']));
+        var n = samples.size();
+        properties = properties.combine(ee.Dictionary.fromLists(
+          [className + '_valid_days', className + '_mean'],
+          [n, ee.Algorithms.If(n.gte(SUBSEASONAL_MIN_VALID_DAYS), samples.aggregate_mean(className + '_mean'), null)]
+        ));
+      });
+  
+      return ee.Feature(null, properties);
+    }));
+  })).flatten();
+}
+
+// ┌────────────────────────────────────────────────────────────────────────────────────────┐
+// │ SECTION 5F : TENDANCES PAR PIXEL (PENTE DE SEN, MANN-KENDALL)                         │
+// └────────────────────────────────────────────────────────────────────────────────────────┘
+
+// 7j. Albédo moyen saisonnier par pixel (un glacier, glacier.season) : une image par année hydrologique de STUDY_YEARS avec
+// 'albedo' (moyenne des jours valides, masquage quotidien commun appliqué à tous les pixels de
+// fraction glacier > 0) et 'year' ; pixel masqué si aucun jour valide dans la saison
+function buildAnnualPixelAlbedo(dailyCollection, glacier) {
+  var allGlacierPixels = extendContext(glacier, {glacierFractionThreshold: 0});
+  var masked = dailyCollection.map(function(img) {
+    var filtered = getFilteredDailyAlbedo(img, allGlacierPixels);
+    return filtered.albedo.updateMask(filtered.fraction.gt(0));
+  });
+  
+  return ee.ImageCollection(STUDY_YEARS.map(function(year) {
+    year = ee.Number(year);
+    var seasonRange = getSeasonRange(glacier.season, year);
+    var albedo = masked.filterDate(seasonRange.start, seasonRange.end).mean().rename('albedo');
+  
+    return albedo
+      .addBands(ee.Image.constant(year).toFloat().rename('year').updateMask(albedo.mask()))
+      .set('system:time_start', ee.Date.fromYMD(year, 1, 1).millis())
+      .set('year', year);
+  }));
+}
+
+// 7k. Rasters de tendance (un glacier) à partir des images annuelles :
+//   sens_slope (albédo 0-1 par an), mk_s, mk_z, mk_p (bilatérale), valid_years,
+//   significant (1 si mk_p < 1 - TREND_CONFIDENCE_LEVEL)
+// Var(S) = n(n-1)(2n+5)/18 sans correction des ex-aequo (moyennes continues) ;
+// pixels avec moins de PIXEL_TREND_MIN_YEARS années valides masqués
+function computePixelTrends(annualImages, glacier) {
+  var albedo = annualImages.select('albedo');
+  var sens = annualImages.select(['year', 'albedo']).reduce(ee.Reducer.sensSlope());
+  
+  // S = somme des signes (x_j - x_i) sur toutes les paires d'années i < j valides
+  var pairs = ee.Join.saveAll('later').apply(albedo, albedo,
+    ee.Filter.lessThan({leftField: 'system:time_start', rightField: 'system:time_start'}));
+  var s = ee.ImageCollection(pairs.map(function(current) {
+    current = ee.Image(current);
+    return ee.ImageCollection.fromImages(current.get('later')).map(function(later) {
+      return ee.Image(later).subtract(current).signum().rename('mk_s');
+    }).sum();
+  })).sum().rename('mk_s');
+  
+  var n = albedo.count().toFloat();
+  var varS = n.multiply(n.subtract(1)).multiply(n.multiply(2).add(5)).divide(18);
+  var z = s.subtract(s.signum()).divide(varS.sqrt()).rename('mk_z');
+  var p = z.abs().divide(Math.SQRT2).erfc().rename('mk_p');
+  
+  return ee.Image.cat([
+    sens.select('slope').rename('sens_slope'),
+    s,
+    z,
+    p,
+    n.rename('valid_years'),
+    p.lt(1 - TREND_CONFIDENCE_LEVEL).rename('significant')
+  ]).toFloat()
+    .updateMask(n.gte(PIXEL_TREND_MIN_YEARS))
+    .reproject(modis_projection)
+    .clip(glacier.geometry)
+    .set({
+      'glacier_id': glacier.id,
+      'min_valid_years': PIXEL_TREND_MIN_YEARS,
+      'confidence_level': TREND_CONFIDENCE_LEVEL
+    });
+}
+
+// Résumé de la distribution des pentes par classe de fraction (un glacier). Les classes suivent
+// la fraction glacier de la dernière année de STUDY_YEARS (contour le plus récent).
+function summarizePixelTrends(pixelTrend, glacier) {
+  var fraction = getGlacierFraction(glacier, ee.Number(STUDY_YEARS.get(-1)).add(0.5));
+  var masks = createFractionMasks(fraction, CONFIG.fractionThresholds);
+  var slope = pixelTrend.select('sens_slope');
+  var significant = pixelTrend.select('significant').eq(1);
+  
+  return ee.FeatureCollection(FRACTION_CLASS_NAMES.map(function(className) {
+    var classSlope = slope.updateMask(masks[className]);
+    var stats = ee.Image.cat([
+      classSlope,
+      classSlope.lt(0).and(significant).rename('significant_decline'),
+      classSlope.gt(0).and(significant).rename('significant_increase')
+    ]).reduceRegion({
+      reducer: ee.Reducer.mean()
+        .combine(ee.Reducer.median(), '', true)
+        .combine(ee.Reducer.stdDev(), '', true)
+        .combine(ee.Reducer.percentile([10, 90]), '', true)
+        .combine(ee.Reducer.count(), '', true),
+      geometry: glacier.geometry,
+      scale: 500,
+      maxPixels: 1e9,
+      tileScale: 4
+    });
+    var n = ee.Number(stats.get('sens_slope_count'));
+  
+    return ee.Feature(null, {
+      'glacier_id': glacier.id,
+      'fraction_class': className,
+      'mask_epoch': fraction.get('mask_epoch'),
+      'n_pixels': n,
+      'slope_mean': stats.get('sens_slope_mean'),
+      'slope_median': stats.get('sens_slope_median'),
+      'slope_std': stats.get('sens_slope_stdDev'),
+      'slope_p10': stats.get('sens_slope_p10'),
+      'slope_p90': stats.get('sens_slope_p90'),
+      'significant_decline_pct': ee.Algorithms.If(n.gt(0),
+        ee.Number(stats.get('significant_decline_mean')).multiply(100), null),
+      'significant_increase_pct': ee.Algorithms.If(n.gt(0),
+        ee.Number(stats.get('significant_increase_mean')).multiply(100), null),
+      'confidence_level': TREND_CONFIDENCE_LEVEL,
+      'min_valid_years': PIXEL_TREND_MIN_YEARS
+    }).set(getQAConfigProperties(glacier));
+  }));
+}
+
+// ┌────────────────────────────────────────────────────────────────────────────────────────┐
+// │ SECTION 5G : MODE INCRÉMENTAL (DELTAS ET MANIFESTE DES PLAGES TRAITÉES)               │
+// └────────────────────────────────────────────────────────────────────────────────────────┘
+
+var INCREMENTAL_OUTPUTS = ['delta', 'asset'];
+if (INCREMENTAL_MODE) {
+  if (INCREMENTAL_OUTPUTS.indexOf(INCREMENTAL_OUTPUT) === -1) {
+    throw new Error('Unknown INCREMENTAL_OUTPUT: ' + INCREMENTAL_OUTPUT + ' (expected ' + INCREMENTAL_OUTPUTS.join(', ') + ')');
+  }
+  if (!INCREMENTAL_SINCE && !INCREMENTAL_SOURCE_ASSET && !INCREMENTAL_MANIFEST_ASSET) {
+    throw new Error('INCREMENTAL_MODE needs INCREMENTAL_SINCE, INCREMENTAL_SOURCE_ASSET or INCREMENTAL_MANIFEST_ASSET');
+  }
+  if (INCREMENTAL_OUTPUT === 'asset' && !INCREMENTAL_SOURCE_ASSET) {
+    throw new Error("INCREMENTAL_OUTPUT 'asset' appends to INCREMENTAL_SOURCE_ASSET, which is not set");
+  }
+}
+
+// Horodatage du passage (noms des deltas et assets écrits, colonne processed_on du manifeste)
+var INCREMENTAL_RUN_DATE = formatIsoDate(Date.now());
+var INCREMENTAL_RUN_TAG = INCREMENTAL_RUN_DATE.replace(/-/g, '');
+
+// 7m. Dernière date déjà traitée (un glacier, glacier.season) : ee.Date du dernier jour traité
+// (INCREMENTAL_SINCE, sinon dernière 'date' de la table source, sinon fin de plage du manifeste)
+function getLastProcessedDate(glacier) {
+  if (INCREMENTAL_SINCE) {
+    return ee.Date(INCREMENTAL_SINCE);
+  }
+  
+  var sameRun = ee.Filter.and(
+    ee.Filter.eq('glacier_id', glacier.id),
+    ee.Filter.eq('season', glacier.season.name)
+  );
+  var source = INCREMENTAL_SOURCE_ASSET ?
+    ee.FeatureCollection(INCREMENTAL_SOURCE_ASSET).filter(sameRun) :
+    ee.FeatureCollection(INCREMENTAL_MANIFEST_ASSET).filter(sameRun).filter(ee.Filter.notNull(['range_end']));
+  var dates = source.aggregate_array(INCREMENTAL_SOURCE_ASSET ? 'date' : 'range_end').sort();
+  
+  // Aucune ligne pour ce glacier/saison : tout le delta est nouveau (veille du début de la période)
+  var studyStart = ee.Date(getSeasonStudyPeriod(glacier.season).start).advance(-1, 'day');
+  return ee.Date(ee.Algorithms.If(dates.size().gt(0), ee.Date(dates.get(-1)), studyStart));
+}
+
+// 7n. Delta incrémental (un glacier, glacier.season) : images de la collection quotidienne postérieures à
+// la dernière date traitée, statistiques quotidiennes et pixel-level correspondantes, et ligne de manifeste.
+// Statut de la nouvelle plage par rapport aux jours déjà couverts : union de toutes les plages du manifeste
+// (INCREMENTAL_MANIFEST_ASSET) et dates réelles de la table source (INCREMENTAL_SOURCE_ASSET) :
+//   'no_new_images'  : aucune image postérieure à la dernière date traitée
+//   'first'          : aucun jour couvert
+//   'overlap'        : la nouvelle plage recoupe une plage couverte (jours traités deux fois)
+//   'gap'            : des images de la collection entre la fin couverte et range_start sont sautées
+//   'contiguous'     : range_start est la première image après la fin couverte
+function buildIncrementalDelta(dailyCollection, glacier) {
+  var lastProcessed = getLastProcessedDate(glacier);
+  var newImages = dailyCollection.filter(ee.Filter.gte('system:time_start', lastProcessed.advance(1, 'day').millis()));
+  
+  var daily = newImages.map(function(img) {
+    return analyzeDailyAlbedoHighSnowCoverOptimized(img, glacier);
+  });
+  var pixelLevel = newImages.map(function(img) {
+    return analyzePixelLevelData(img, glacier);
+  }).flatten();
+  
+  var count = newImages.size();
+  var rangeStart = ee.Algorithms.If(count.gt(0), ee.Date(newImages.aggregate_min('system:time_start')).format('YYYY-MM-dd'), null);
+  var rangeEnd = ee.Algorithms.If(count.gt(0), ee.Date(newImages.aggregate_max('system:time_start')).format('YYYY-MM-dd'), null);
+  
+  // Plages déjà couvertes (start_millis, end_millis) pour ce glacier et cette saison
+  var sameRun = ee.Filter.and(
+    ee.Filter.eq('glacier_id', glacier.id),
+    ee.Filter.eq('season', glacier.season.name)
+  );
+  var covered = ee.FeatureCollection([]);
+  if (INCREMENTAL_MANIFEST_ASSET) {
+    covered = ee.FeatureCollection(INCREMENTAL_MANIFEST_ASSET).filter(sameRun)
+      .filter(ee.Filter.notNull(['range_start', 'range_end']))
+      .map(function(range) {
+        return ee.Feature(null, {
+          'start_millis': ee.Date(range.get('range_start')).millis(),
+          'end_millis': ee.Date(range.get('range_end')).millis()
+        });
+      });
+  }
+  if (INCREMENTAL_SOURCE_ASSET) {
+    var sourceDates = ee.FeatureCollection(INCREMENTAL_SOURCE_ASSET).filter(sameRun).aggregate_array('date').sort();
+    var sourceRange = ee.Feature(null, {
+      'start_millis': ee.Algorithms.If(sourceDates.size().gt(0), ee.Date(sourceDates.get(0)).millis(), null),
+      'end_millis': ee.Algorithms.If(sourceDates.size().gt(0), ee.Date(sourceDates.get(-1)).millis(), null)
+    });
+    covered = covered.merge(ee.FeatureCollection([sourceRange]).filter(ee.Filter.notNull(['end_millis'])));
+  }
+  
+  var startMillis = newImages.aggregate_min('system:time_start');
+  var endMillis = newImages.aggregate_max('system:time_start');
+  var coveredEnd = covered.aggregate_max('end_millis');
+  var overlapping = covered.filter(ee.Filter.and(
+    ee.Filter.lte('start_millis', endMillis),
+    ee.Filter.gte('end_millis', startMillis)
+  )).size();
+  var skipped = dailyCollection.filter(ee.Filter.and(
+    ee.Filter.gt('system:time_start', coveredEnd),
+    ee.Filter.lt('system:time_start', startMillis)
+  )).size();
+  var status = ee.String(ee.Algorithms.If(count.eq(0), 'no_new_images',
+    ee.Algorithms.If(covered.size().eq(0), 'first',
+      ee.Algorithms.If(overlapping.gt(0), 'overlap',
+        ee.Algorithms.If(skipped.gt(0), 'gap', 'contiguous')))));
+  
+  var manifest = ee.Feature(null, {
+    'glacier_id': glacier.id,
+    'season': glacier.season.name,
+    'processed_after': lastProcessed.format('YYYY-MM-dd'),
+    'range_start': rangeStart,
+    'range_end': rangeEnd,
+    'image_count': count,
+    'status': status,
+    'output': INCREMENTAL_OUTPUT,
+    'processed_on': INCREMENTAL_RUN_DATE,
+    'snow_products': getActiveProductKeys().join('+')
+  });
+  
+  return {daily: daily, pixelLevel: pixelLevel, manifest: manifest};
+}
+
+// ┌────────────────────────────────────────────────────────────────────────────────────────┐
+// │ SECTION 5H : ANALYSE DE SENSIBILITÉ (GRILLE DE SEUILS ET DRAPEAUX QA)                 │
+// └────────────────────────────────────────────────────────────────────────────────────────┘
+
+var SENSITIVITY_THRESHOLD_KEYS = ['ndsiSnowThreshold', 'glacierFractionThreshold', 'minPixelThreshold'];
+var SENSITIVITY_QA_KEYS = ['basicLevel'].concat(QA_BIT_MAPPING.map(function(mapping) { return mapping.flag; }));
+var SENSITIVITY_KEYS = Object.keys(SENSITIVITY_GRID);
+if (SENSITIVITY_ANALYSIS) {
+  SENSITIVITY_KEYS.forEach(function(key) {
+    if (SENSITIVITY_THRESHOLD_KEYS.indexOf(key) === -1 && SENSITIVITY_QA_KEYS.indexOf(key) === -1) {
+      throw new Error('Unknown SENSITIVITY_GRID key: ' + key + ' (expected ' +
+        SENSITIVITY_THRESHOLD_KEYS.concat(SENSITIVITY_QA_KEYS).join(', ') + ')');
+    }
+    if (!Array.isArray(SENSITIVITY_GRID[key]) || SENSITIVITY_GRID[key].length === 0) {
+      throw new Error('SENSITIVITY_GRID.' + key + ' must be a non-empty list of values');
+    }
+  });
+}
+
+// Colonne numérique d'une clé de grille (excludeNDSIScreenFail → exclude_ndsi_screen_fail ;
+// basicLevel → basic_level_code, le libellé restant dans basic_level)
+function getSensitivityColumn(key) {
+  if (key === 'basicLevel') {
+    return 'basic_level_code';
+  }
+  return toSnakeCase(key);
+}
+
+// Valeur numérique d'un paramètre de grille (axe des graphiques) : booléen → 0/1,
+// basicLevel → code Basic QA maximal retenu (best 0, good 1, ok 2, all 3)
+function toSensitivityAxisValue(key, value) {
+  if (key === 'basicLevel') {
+    return albedoStats.BASIC_QA_LEVELS.indexOf(value);
+  }
+  return typeof value === 'boolean' ? (value ? 1 : 0) : value;
+}
+
+// 7o. Combinaisons de la grille (produit cartésien, côté client) : [{<clé>: valeur}]
+function buildSensitivityCombinations() {
+  return SENSITIVITY_KEYS.reduce(function(combinations, key) {
+    var expanded = [];
+    combinations.forEach(function(combination) {
+      SENSITIVITY_GRID[key].forEach(function(value) {
+        var next = extendContext(combination, {});
+        next[key] = value;
+        expanded.push(next);
+      });
+    });
+    return expanded;
+  }, [{}]);
+}
+
+// Contexte glacier d'une combinaison : seuils et configuration QA du glacier remplacés par la grille
+// (profil validé comme un profil de FILTER_PROFILES)
+function buildSensitivityContext(glacier, combination, index) {
+  var qa = extendContext(glacier.qaConfig, {});
+  var overrides = {};
+  Object.keys(combination).forEach(function(key) {
+    if (SENSITIVITY_THRESHOLD_KEYS.indexOf(key) !== -1) {
+      overrides[key] = combination[key];
+    } else {
+      qa[key] = combination[key];
+    }
+  });
+  overrides.qaConfig = qa;
+  overrides.profileName = 'sensitivity_' + index;
+  var context = extendContext(glacier, overrides);
+  resolveFilterProfile(getGlacierFilterProfile(context), 'sensitivity combination ' + index);
+  return context;
+}
+
+// 7p. Table de sensibilité d'une combinaison (un glacier, glacier.season) : une ligne par classe de fraction avec
+// les paramètres de la combinaison, pixel-jours retenus, années valides, série annuelle (mean_<année>) et
+// pente de Sen (ee.Reducer.sensSlope, ≥2 années valides)
+function computeSensitivityRows(glacier, combination, index) {
+  var context = buildSensitivityContext(glacier, combination, index);
+  var annual = ee.FeatureCollection(STUDY_YEARS.map(function(year) {
+    return calculateAnnualAlbedoHighSnowCoverOptimized(year, context);
+  }));
   
-  var final_stats = {
-    'date': date.format('YYYY-MM-dd'),
-    'year': year,
-    'doy': doy,
-    'decimal_year': year.add(doy.divide(365.25)),
-    'total_filtered_pixels': total_filtered,
-    'sufficient_total_pixels': sufficient_total_pixels,
-    'min_pixel_threshold': MIN_PIXEL_THRESHOLD,
-    'ndsi_snow_threshold': NDSI_SNOW_THRESHOLD,
-    'glacier_fraction_threshold': GLACIER_FRACTION_THRESHOLD,
-    'system:time_start': date.millis()
+  var parameters = {
+    'combination_id': index,
+    'glacier_id': glacier.id,
+    'season': glacier.season.name
   };
-  
-  // Ajouter les résultats de classe
-  Object.keys(class_results).forEach(function(key) {
-    final_stats[key] = class_results[key];
+  SENSITIVITY_KEYS.forEach(function(key) {
+    parameters[getSensitivityColumn(key)] = toSensitivityAxisValue(key, combination[key]);
   });
+  if (combination.basicLevel !== undefined) {
+    parameters['basic_level'] = combination.basicLevel;
+  }
+  var qaProperties = getQAConfigProperties(context);
+  parameters['qa_config_hash'] = qaProperties.qa_config_hash;
+  parameters['filter_profile_json'] = qaProperties.filter_profile_json;
   
-  return ee.Feature(null, final_stats);
+  return ee.FeatureCollection(FRACTION_CLASSES.map(function(fractionClass, i) {
+    var property = ANNUAL_CLASS_NAMES[i] + '_mean';
+    var valid = annual.filter(ee.Filter.notNull([property]));
+    var nYears = valid.size();
+    var trend = valid.reduceColumns(ee.Reducer.sensSlope(), ['year', property]);
+    var series = ee.Dictionary.fromLists(
+      valid.aggregate_array('year').map(function(year) { return ee.String('mean_').cat(ee.Number(year).format('%d')); }),
+      valid.aggregate_array(property)
+    );
+    
+    return ee.Feature(null, parameters).set({
+      'fraction_class': fractionClass.name,
+      'fraction_class_label': fractionClass.label,
+      'retained_pixel_days': annual.aggregate_sum(ANNUAL_CLASS_NAMES[i] + '_pixel_days'),
+      'n_years': nYears,
+      'mean_albedo': ee.Algorithms.If(nYears.gt(0), valid.aggregate_mean(property), null),
+      'sens_slope': ee.Algorithms.If(nYears.gte(2), trend.get('slope'), null),
+      'sens_offset': ee.Algorithms.If(nYears.gte(2), trend.get('offset'), null)
+    }).set(series);
+  }));
 }
 
 // ┌────────────────────────────────────────────────────────────────────────────────────────┐
-// │ SECTION 5B : ANALYSE PIXEL-LEVEL POUR EXPORT DÉTAILLÉ                                │
+// │ SECTION 5I : IMPACT DU FILTRAGE (CASCADE DE PERTES PAR ÉTAPE)                          │
 // └────────────────────────────────────────────────────────────────────────────────────────┘
 
-// 7b. Fonction pour analyser les données au niveau pixel individuel
-function analyzePixelLevelData(img) {
+// Étape d'un bit Algorithm Flags (excludeProbablyCloudy → flag_probably_cloudy)
+function getFilterImpactFlagStage(flag) {
+  return 'flag_' + toSnakeCase(flag.replace(/^exclude/, ''));
+}
+
+// Étapes de la cascade de filtrage dans l'ordre d'application : chaque pixel glacier est attribué à la
+// première étape qui le retire (bit Algorithm Flags non exclu par la configuration QA : 0 pixel) ;
+// min_pixels retire tous les pixels restants d'un jour sous minPixelThreshold
+var FILTER_IMPACT_PIXEL_STAGES = ['no_data', 'night_ocean', 'basic_qa']
+  .concat(QA_BIT_MAPPING.map(function(mapping) { return getFilterImpactFlagStage(mapping.flag); }))
+  .concat(['albedo_fill', 'ndsi', 'glacier_fraction']);
+var FILTER_IMPACT_STAGES = FILTER_IMPACT_PIXEL_STAGES.concat(['min_pixels']);
+var FILTER_IMPACT_COLUMNS = FILTER_IMPACT_STAGES.map(function(stage) { return 'removed_' + stage; });
+
+// 7q. Impact du filtrage d'un jour : pixels glacier retirés par étape (removed_<étape>), pixels retenus et
+// albédo moyen non filtré (toutes les valeurs d'albédo valides ≤100 du glacier) vs filtré (pixels retenus)
+function compareWithUnfilteredAlbedoSafe(img, glacier) {
   var date = img.date();
+  var basic_qa = img.select('NDSI_Snow_Cover_Basic_QA');
+  var algorithm_flags = img.select('NDSI_Snow_Cover_Algorithm_Flags_QA').uint8();
   var snow_cover = img.select('NDSI_Snow_Cover');
-  var snow_albedo = img.select('Snow_Albedo_Daily_Tile');
-  var algorithm_flags = img.select('NDSI_Snow_Cover_Algorithm_Flags_QA');
-  
-  // Créer une grille de coordonnées pour extraction pixel
-  var coords = ee.Image.pixelLonLat().select(['longitude', 'latitude']);
+  var raw_albedo = img.select('Snow_Albedo_Daily_Tile');
+  var snow_albedo = raw_albedo.divide(100);
   
-  // Masque pour limiter aux pixels glacier seulement
-  var glacier_mask_sample = STATIC_GLACIER_FRACTION.gt(0);
+  // Limiter aux pixels glacier
+  var fraction = getGlacierFraction(glacier, toDecimalYear(date));
+  var glacier_pixels = fraction.gt(0);
   
-  // Combiner toutes les bandes nécessaires
-  var combined_image = ee.Image.cat([
-    coords,
-    snow_cover.rename('ndsi_snow_cover'),
-    snow_albedo.rename('snow_albedo_raw'),
-    snow_albedo.divide(100).rename('snow_albedo_scaled'),
-    STATIC_GLACIER_FRACTION.multiply(100).rename('glacier_fraction_pct'),
-    img.select('NDSI_Snow_Cover_Basic_QA').rename('basic_qa'),
-    algorithm_flags.rename('algorithm_flags')
-  ]).updateMask(glacier_mask_sample);
+  // Condition de passage de chaque étape (pixels masqués du produit → étape no_data)
+  var has_data = img.select(SNOW_BANDS).mask().reduce(ee.Reducer.min()).gt(0);
+  var conditions = {
+    'no_data': has_data,
+    'night_ocean': basic_qa.neq(211).and(basic_qa.neq(239)),
+    'basic_qa': getBasicQAMask(img, glacier.qaConfig.basicLevel || 'good'),
+    'albedo_fill': raw_albedo.lte(100),
+    'ndsi': snow_cover.gte(glacier.ndsiSnowThreshold),
+    'glacier_fraction': fraction.gte(glacier.glacierFractionThreshold / 100)
+  };
+  QA_BIT_MAPPING.forEach(function(mapping) {
+    conditions[getFilterImpactFlagStage(mapping.flag)] = glacier.qaConfig[mapping.flag] ?
+      algorithm_flags.bitwiseAnd(mapping.mask).eq(0) : ee.Image(1);
+  });
   
-  // Décoder les flags d'algorithme en colonnes individuelles
-  var flag_bits = ee.Image.cat([
-    algorithm_flags.bitwiseAnd(1).rename('flag_inland_water'),
-    algorithm_flags.bitwiseAnd(2).divide(2).rename('flag_visible_fail'),
-    algorithm_flags.bitwiseAnd(4).divide(4).rename('flag_ndsi_fail'),
-    algorithm_flags.bitwiseAnd(8).divide(8).rename('flag_temp_height_fail'),
-    algorithm_flags.bitwiseAnd(16).divide(16).rename('flag_swir_anomaly'),
-    algorithm_flags.bitwiseAnd(32).divide(32).rename('flag_probably_cloudy'),
-    algorithm_flags.bitwiseAnd(64).divide(64).rename('flag_probably_clear'),
-    algorithm_flags.bitwiseAnd(128).divide(128).rename('flag_high_solar_zenith')
-  ]);
+  // Pixels restants après chaque étape (masques cumulés), comptés en une seule réduction
+  var remaining = glacier_pixels;
+  var remaining_bands = [remaining.selfMask().rename('glacier_pixels')];
+  FILTER_IMPACT_PIXEL_STAGES.forEach(function(stage) {
+    remaining = remaining.and(conditions[stage].unmask(0));
+    remaining_bands.push(remaining.selfMask().rename(stage));
+  });
   
-  // Ajouter le test QA standard
-  var passes_qa = createStandardQualityMask(img).rename('passes_standard_qa');
+  var counts = ee.Image.cat(remaining_bands).reduceRegion({
+    reducer: ee.Reducer.count(),
+    geometry: glacier.geometry,
+    scale: 500,
+    maxPixels: 1e9,
+    tileScale: 2
+  });
   
-  // Déterminer la classe de fraction glacier
-  var glacier_class_code = ee.Image(0)
-    .where(STATIC_GLACIER_FRACTION.gte(0).and(STATIC_GLACIER_FRACTION.lt(0.25)), 1)  // 0-25%
-    .where(STATIC_GLACIER_FRACTION.gte(0.25).and(STATIC_GLACIER_FRACTION.lt(0.50)), 2) // 25-50%
-    .where(STATIC_GLACIER_FRACTION.gte(0.50).and(STATIC_GLACIER_FRACTION.lt(0.75)), 3) // 50-75%
-    .where(STATIC_GLACIER_FRACTION.gte(0.75).and(STATIC_GLACIER_FRACTION.lt(0.90)), 4) // 75-90%
-    .where(STATIC_GLACIER_FRACTION.gte(0.90), 5) // 90-100%
-    .rename('glacier_class_code');
+  // Règle du minimum de pixels : le jour entier est rejeté sous minPixelThreshold
+  var final_count = ee.Number(counts.get('glacier_fraction'));
+  var sufficient = final_count.gte(glacier.minPixelThreshold);
+  var retained_pixels = ee.Number(ee.Algorithms.If(sufficient, final_count, 0));
   
-  // Image finale avec toutes les bandes
-  var final_image = combined_image.addBands([flag_bits, passes_qa, glacier_class_code]);
+  // Albédo non filtré (valeurs d'albédo valides du glacier) et filtré (pixels retenus)
+  var unfiltered_albedo = snow_albedo.updateMask(glacier_pixels.and(has_data).and(conditions.albedo_fill))
+    .rename('unfiltered_albedo');
+  var filtered_albedo = snow_albedo.updateMask(remaining).rename('filtered_albedo');
   
-  // Convertir en vecteurs pour export
-  var pixel_vectors = final_image.sample({
-    region: glacier_geometry,
+  var albedo_stats = unfiltered_albedo.addBands(filtered_albedo).reduceRegion({
+    reducer: ee.Reducer.mean().combine(ee.Reducer.count(), '', true),
+    geometry: glacier.geometry,
     scale: 500,
-    numPixels: 10000, // Limite pour éviter timeout
-    tileScale: 2,
-    geometries: true
+    maxPixels: 1e9,
+    tileScale: 2
   });
   
-  // Ajouter les métadonnées temporelles à chaque feature
+  var unfiltered_mean = albedo_stats.get('unfiltered_albedo_mean');
+  var filtered_mean = ee.Algorithms.If(sufficient, albedo_stats.get('filtered_albedo_mean'), null);
+  
+  // Différence filtré − non filtré : null si l'une des moyennes est absente (aucun pixel, seuil non atteint)
+  var difference = ee.Algorithms.If(
+    ee.Algorithms.IsEqual(filtered_mean, null), null,
+    ee.Algorithms.If(
+      ee.Algorithms.IsEqual(unfiltered_mean, null), null,
+      ee.Number(filtered_mean).subtract(ee.Number(unfiltered_mean))
+    )
+  );
+  
+  // Calcul des métadonnées temporelles
   var year = date.get('year');
   var doy = date.getRelative('day', 'year').add(1);
   var decimal_year = year.add(doy.divide(365.25));
   
-  var pixel_features = pixel_vectors.map(function(feature) {
-    // Récupérer les coordonnées de la géométrie
-    var coords = feature.geometry().coordinates();
-    var longitude = ee.List(coords).get(0);
-    var latitude = ee.List(coords).get(1);
+  var properties = {
+    'glacier_id': glacier.id,
+    'glacier_name': glacier.name,
+    'system:time_start': date.millis(),
+    'date': date.format('YYYY-MM-dd'),
+    'year': year,
+    'doy': doy,
+    'decimal_year': decimal_year,
+    'season': glacier.season.name,
+    'season_year': getSeasonYear(date, glacier.season),
+    'glacier_pixels': counts.get('glacier_pixels'),
+    'retained_pixels': retained_pixels,
+    'unfiltered_mean': unfiltered_mean,
+    'unfiltered_count': albedo_stats.get('unfiltered_albedo_count'),
+    'filtered_mean': filtered_mean,
+    'filtered_count': retained_pixels,
+    'difference': difference,
+    'has_high_snow': ee.Algorithms.If(
+      ee.Algorithms.IsEqual(filtered_mean, null),
+      0,
+      1
+    )
+  };
+  
+  // Pixels retirés par étape : différence entre les restants avant et après l'étape
+  var previous_stage = 'glacier_pixels';
+  FILTER_IMPACT_PIXEL_STAGES.forEach(function(stage) {
+    properties['removed_' + stage] = ee.Number(counts.get(previous_stage)).subtract(counts.get(stage));
+    previous_stage = stage;
+  });
+  properties['removed_min_pixels'] = final_count.subtract(retained_pixels);
+  
+  var qa_properties = getQAConfigProperties(glacier);
+  Object.keys(qa_properties).forEach(function(key) {
+    properties[key] = qa_properties[key];
+  });
+  
+  return ee.Feature(null, properties);
+}
+
+// 7r. Impact du filtrage par année saisonnière : pixel-jours retirés par étape (removed_<étape>,
+// pct_removed_<étape> en % des pixel-jours glacier), jours retenus et différence filtré − non filtré moyenne
+function summarizeFilterImpactByYear(dailyImpact, glacier) {
+  var qa_properties = getQAConfigProperties(glacier);
+  
+  return ee.FeatureCollection(STUDY_YEARS.map(function(year) {
+    var days = dailyImpact.filter(ee.Filter.eq('season_year', year));
+    var glacier_pixel_days = days.aggregate_sum('glacier_pixels');
+    var denominator = ee.Number(glacier_pixel_days).max(1);
+    var differences = days.filter(ee.Filter.notNull(['difference']));
     
-    // Décoder la classe glacier en texte
-    var class_code = feature.get('glacier_class_code');
-    var class_text = ee.Algorithms.If(ee.Number(class_code).eq(1), '0-25%',
-      ee.Algorithms.If(ee.Number(class_code).eq(2), '25-50%',
-        ee.Algorithms.If(ee.Number(class_code).eq(3), '50-75%',
-          ee.Algorithms.If(ee.Number(class_code).eq(4), '75-90%', '90-100%'))));
+    var properties = {
+      'glacier_id': glacier.id,
+      'glacier_name': glacier.name,
+      'season': glacier.season.name,
+      'season_year': year,
+      'n_days': days.size(),
+      'retained_days': days.filter(ee.Filter.eq('has_high_snow', 1)).size(),
+      'glacier_pixel_days': glacier_pixel_days,
+      'retained_pixel_days': days.aggregate_sum('retained_pixels'),
+      'mean_difference': ee.Algorithms.If(differences.size().gt(0), differences.aggregate_mean('difference'), null)
+    };
+    FILTER_IMPACT_COLUMNS.forEach(function(column) {
+      properties[column] = days.aggregate_sum(column);
+      properties['pct_' + column] = ee.Number(properties[column]).divide(denominator).multiply(100);
+    });
+    Object.keys(qa_properties).forEach(function(key) {
+      properties[key] = qa_properties[key];
+    });
     
-    // Décoder basic QA en texte
-    var basic_qa_val = feature.get('basic_qa');
-    var qa_text = ee.Algorithms.If(ee.Number(basic_qa_val).eq(0), 'Best',
-      ee.Algorithms.If(ee.Number(basic_qa_val).eq(1), 'Good',
-        ee.Algorithms.If(ee.Number(basic_qa_val).eq(2), 'OK',
-          ee.Algorithms.If(ee.Number(basic_qa_val).eq(3), 'Poor',
-            ee.Algorithms.If(ee.Number(basic_qa_val).eq(211), 'Night', 
-              ee.Algorithms.If(ee.Number(basic_qa_val).eq(239), 'Ocean', 'Unknown'))))));
+    return ee.Feature(null, properties);
+  }));
+}
+
+// ┌────────────────────────────────────────────────────────────────────────────────────────┐
+// │ SECTION 5J : CARTES DE FRÉQUENCE QA (POURCENTAGE DE JOURS SIGNALÉS PAR PIXEL)          │
+// └────────────────────────────────────────────────────────────────────────────────────────┘
+
+// Indicateurs cartographiés : bits Algorithm Flags (drapeaux QA_BIT_MAPPING, un pixel est signalé si l'un
+// des bits est levé) ou flags null = valide après la QA des exports ; palette 0 → 100 % des jours observés
+var QA_FREQUENCY_LAYERS = [
+  {band: 'probably_cloudy_pct', flags: ['excludeProbablyCloudy'], label: 'Probably cloudy (bit 5)',
+    palette: ['#ffffff', '#9ecae1', '#3182bd', '#08306b']},
+  {band: 'high_solar_zenith_pct', flags: ['excludeHighSolarZenith'], label: 'High solar zenith (bit 7)',
+    palette: ['#ffffff', '#fdd0a2', '#f16913', '#7f2704']},
+  {band: 'screen_fail_pct', flags: ['excludeVisibleScreenFail', 'excludeNDSIScreenFail', 'excludeTempHeightFail'],
+    label: 'Screen failures (bits 1-3)', palette: ['#ffffff', '#fcbba1', '#ef3b2c', '#67000d']},
+  {band: 'inland_water_pct', flags: ['excludeInlandWater'], label: 'Inland water (bit 0)',
+    palette: ['#ffffff', '#c7e9c0', '#41ab5d', '#00441b']},
+  {band: 'valid_qa_pct', flags: null, label: 'Valid after standard QA',
+    palette: ['#d7191c', '#fdae61', '#ffffbf', '#a6d96a', '#1a9641']}
+];
+
+// Masque de bits Algorithm Flags d'une liste de drapeaux (['excludeInlandWater'] → 1)
+function getQAFlagBits(flags) {
+  return QA_BIT_MAPPING.reduce(function(bits, mapping) {
+    return flags.indexOf(mapping.flag) !== -1 ? bits | mapping.mask : bits;
+  }, 0);
+}
+
+// 7s. Période d'une carte de fréquence : 'study' (saison sur toutes les années d'étude), année saisonnière
+// ou ['YYYY-MM-DD', 'YYYY-MM-DD'] inclusif → {start, end (exclusive), filter (null = toute la plage), tag, label}
+function resolveQAFrequencyPeriod(period, season) {
+  if (period === 'study') {
+    var study = getSeasonStudyPeriod(season);
+    return {start: study.start, end: study.end, filter: getSeasonFilter(season),
+      tag: STUDY_PERIOD_TAG, label: season.name + ' ' + STUDY_PERIOD_LABEL};
+  }
+  if (typeof period === 'number' && Math.floor(period) === period) {
+    var dates = getSeasonDates(season, period);
+    return {start: dates.start, end: formatIsoDate(Date.parse(dates.end) + DAY_MILLIS), filter: null,
+      tag: String(period), label: season.name + ' ' + period};
+  }
+  var isoDate = /^\d{4}-\d{2}-\d{2}$/;
+  if (Array.isArray(period) && period.length === 2 && isoDate.test(period[0]) && isoDate.test(period[1]) &&
+      period[0] <= period[1]) {
+    return {start: period[0], end: formatIsoDate(Date.parse(period[1]) + DAY_MILLIS), filter: null,
+      tag: period[0].replace(/-/g, '') + '_' + period[1].replace(/-/g, ''), label: period[0] + ' → ' + period[1]};
+  }
+  throw new Error('Invalid QA_FREQUENCY_PERIOD: ' + JSON.stringify(period) +
+    " (expected 'study', a season year or ['YYYY-MM-DD', 'YYYY-MM-DD'])");
+}
+
+// Validation de QA_FREQUENCY_PERIOD au chargement du script (avant la construction de la chaîne)
+resolveQAFrequencyPeriod(QA_FREQUENCY_PERIOD, ACTIVE_SEASON);
+
+// 7t. Fréquences QA par pixel sur une période : <indicateur>_pct (% des jours où le pixel a une valeur du
+// produit) et observed_days ; QA des exports du contexte glacier (glacier.qaConfig) pour valid_qa_pct
+function computeQAFrequencyMaps(glacier, period) {
+  var collection = getSnowCollection(period.start, period.end, glacier);
+  if (period.filter) {
+    collection = collection.filter(period.filter);
+  }
+  
+  var indicators = collection.map(function(img) {
+    var algorithm_flags = img.select('NDSI_Snow_Cover_Algorithm_Flags_QA').uint8();
+    var observed = img.select(SNOW_BANDS).mask().reduce(ee.Reducer.min()).gt(0);
     
-    return feature.set({
-      'date': date.format('YYYY-MM-dd'),
-      'year': year,
-      'doy': doy,
-      'decimal_year': decimal_year,
-      'longitude': longitude,
-      'latitude': latitude,
-      'glacier_class': class_text,
-      'basic_qa_text': qa_text,
-      'system:time_start': date.millis()
-    }).setGeometry(null); // Enlever géométrie pour export CSV
+    var bands = QA_FREQUENCY_LAYERS.map(function(layer) {
+      var flagged = layer.flags ?
+        algorithm_flags.bitwiseAnd(getQAFlagBits(layer.flags)).neq(0) :
+        createExportQualityMask(img, glacier).and(img.select('Snow_Albedo_Daily_Tile').lte(100));
+      return flagged.rename(layer.band);
+    });
+    
+    return ee.Image.cat(bands).unmask(0).updateMask(observed).toFloat();
   });
   
-  return pixel_features;
+  return indicators.mean().multiply(100)
+    .addBands(indicators.select(QA_FREQUENCY_LAYERS[0].band).count().rename('observed_days').toFloat())
+    .clip(glacier.geometry)
+    .set({
+      'glacier_id': glacier.id,
+      'qa_frequency_period': period.label
+    })
+    .set(getQAConfigProperties(glacier));
 }
 
 // ┌────────────────────────────────────────────────────────────────────────────────────────┐
@@ -578,61 +3083,209 @@ print('╔═══════════════════════
 print('║                    📊 FILTER CONFIGURATION FOR CONSOLE STATISTICS 📊                  ║');
 print('╚════════════════════════════════════════════════════════════════════════════════════════╝');
 print('');
-print('🎯 BASIC QA LEVEL: Good+ (values 0-1 only)');
-print('   • Excludes: Night (211), Ocean (239), Poor quality (2-3)');
-print('   • Includes: Best (0) and Good (1) quality pixels only');
+print('🧾 FILTER PROFILE: ' + CONFIG.profile + ' (FILTER_PROFILES: ' + Object.keys(FILTER_PROFILES).join(', ') + ')');
+print('🗓️ STUDY PERIOD: ' + STUDY_PERIOD_LABEL + ' (' + STUDY_YEAR_LIST.length + ' years' +
+  (END_YEAR === 'clock_estimate' ? ', END_YEAR clock_estimate' : '') + ')');
+print('');
+var BASIC_QA_LEVEL_CODES = {best: '0', good: '0-1', ok: '0-2', all: '0-3'};
+print('🎯 BASIC QA LEVEL: ' + CONFIG.qa.basicLevel + ' (values ' + BASIC_QA_LEVEL_CODES[CONFIG.qa.basicLevel] + ' only)');
+print('   • Always excludes: Night (211), Ocean (239)');
 print('');
 print('🚩 ALGORITHM FLAGS (MOD10A1 v6.1 - 8 bits):');
-print('   ✅ Bit 0 - Exclude Inland Water: TRUE (exclude meltwater/lakes)');
-print('   ✅ Bit 1 - Exclude Visible Screen Fail: TRUE (CRITICAL - corrupted data)');
-print('   ✅ Bit 2 - Exclude NDSI Screen Fail: TRUE (CRITICAL - unreliable NDSI)');
-print('   ✅ Bit 3 - Exclude Temp/Height Fail: TRUE (IMPORTANT - atypical conditions)');
-print('   ✅ Bit 4 - Exclude SWIR Anomaly: TRUE (IMPORTANT - optical anomalies)');
-print('   ✅ Bit 5 - Exclude Probably Cloudy: TRUE (CRITICAL - v6.1 cloud detection)');
-print('   ❌ Bit 6 - Exclude Probably Clear: FALSE (keep clear sky pixels)');
-print('   ✅ Bit 7 - Exclude High Solar Zenith: TRUE (IMPORTANT - poor lighting)');
+QA_BIT_MAPPING.forEach(function(mapping) {
+  var excluded = CONFIG.qa[mapping.flag];
+  print('   ' + (excluded ? '✅' : '❌') + ' Bit ' + mapping.bit + ' - ' + mapping.desc + ': ' +
+    (excluded ? 'EXCLUDED' : 'KEPT'));
+});
 print('');
 print('🗺️ SPATIAL/TEMPORAL THRESHOLDS:');
-print('   • 🌨️ NDSI Snow Threshold: ≥' + NDSI_SNOW_THRESHOLD + ' (index 0-100)');
-print('   • 🏔️ Glacier Fraction: ≥' + GLACIER_FRACTION_THRESHOLD + '% (focus on ice-rich pixels)');
-print('   • 📅 Season: ' + (USE_PEAK_MELT_ONLY ? 'July-September (peak melt)' : 'June-September (extended melt)'));
-print('   • 📊 Minimum Pixels: ≥' + MIN_PIXEL_THRESHOLD + ' (statistical reliability threshold)');
+print('   • 🌨️ NDSI Snow Threshold: ≥' + CONFIG.ndsiSnowThreshold + ' (index 0-100)');
+print('   • 🏔️ Glacier Fraction: ≥' + CONFIG.glacierFractionThreshold + '% (focus on ice-rich pixels)');
+print('   • 📅 Seasons: ' + SEASON_LIST.map(function(season) {
+  return season.name + ' (' + season.label + (season.crossesYear ? ', hydrological year = year of season end' : '') + ')';
+}).join(', '));
+print('   • 📊 Minimum Pixels: ≥' + CONFIG.minPixelThreshold + ' (statistical reliability threshold)');
+print('   • ⛰️ Elevation bands (' + DEM_SOURCE + '): ' + ELEVATION_BANDS.map(function(b) { return b.label; }).join(', '));
 print('   • ❄️ Valid Albedo: ≤100 (exclude invalid/corrupted values)');
 print('');
 print('💡 FILTERING IMPACT:');
 print('   • Conservative approach: Prioritizes data quality over quantity');
 print('   • Research-grade: Suitable for publication and trend analysis');
-print('   • Consistent: Same filters applied to all years (2010-2024)');
-print('   • Interactive UI: Uses different (adjustable) filters for real-time visualization');
+print('   • Consistent: Same filters applied to all years (' + STUDY_PERIOD_LABEL + ')');
+print('   • Annual aggregation: ' + ANNUAL_AGGREGATION + ' (valid days and pixel-days reported per class)');
+print('   • Mask epochs: ' + MASK_EPOCH_MODE + ' (recorded as mask_epoch in every export)');
+print('   • Snow products: ' + getActiveProductKeys().join('+') + ' (mode ' + SENSOR_FUSION_MODE + '; recorded as sensor_mode / snow_products)');
+print('   • Glaciers: ' + GLACIERS.map(function(g) { return g.name; }).join(', ') + ' (per-glacier threshold overrides from GLACIER_REGISTRY)');
+print('   • Interactive UI: Uses different (adjustable) filters for real-time visualization;');
+print('     "Export with current settings" exports them (file names tagged with qa_config_hash)');
+print('   • Standard export config hash: ' + getQAConfigProperties(GLACIERS[0]).qa_config_hash +
+  ' (qa_config_hash column with filter_profile / filter_profile_json; per-glacier threshold overrides change it)');
 print('');
 print('═══════════════════════════════════════════════════════════════════════════════════════');
 
-// 9. Calculer pour toutes les années
-print('Computing optimized annual statistics...');
-var annual_albedo_high_snow = ee.FeatureCollection(STUDY_YEARS.map(calculateAnnualAlbedoHighSnowCoverOptimized));
-
-print('Annual statistics (optimized):', annual_albedo_high_snow);
-
-// 10. Calculer les statistiques quotidiennes
-print('Computing optimized daily statistics...');
-var dailyCollection = ee.ImageCollection('MODIS/061/MOD10A1')
-  .filterDate('2010-01-01', '2024-12-31')
-  .filterBounds(glacier_geometry)
-  .filter(ee.Filter.calendarRange(USE_PEAK_MELT_ONLY ? 7 : SUMMER_START_MONTH, SUMMER_END_MONTH, 'month'))
-  .select(['NDSI_Snow_Cover', 'Snow_Albedo_Daily_Tile', 'NDSI_Snow_Cover_Basic_QA', 'NDSI_Snow_Cover_Algorithm_Flags_QA'])
-  .map(function(img) { return img.clip(glacier_geometry); });
-
-var dailyAlbedoHighSnow = dailyCollection.map(analyzeDailyAlbedoHighSnowCoverOptimized);
+// 9. Chaîne complète (annuel, quotidien, pixel-level) pour un glacier du registre et une saison
+// (contexte glacier étendu de la saison : glacier.season)
+function runGlacierPipeline(glacier) {
+  var annual = ee.FeatureCollection(STUDY_YEARS.map(function(year) {
+    return calculateAnnualAlbedoHighSnowCoverOptimized(year, glacier);
+  }));
+  
+  // Série annuelle sur surface constante (intersection des époques) pour comparaison
+  var annualConstantArea = null;
+  if (EXPORT_CONSTANT_AREA_COMPARISON && glacier.maskMode !== 'constant_area') {
+    var constantAreaGlacier = extendContext(glacier, {maskMode: 'constant_area'});
+    annualConstantArea = ee.FeatureCollection(STUDY_YEARS.map(function(year) {
+      return calculateAnnualAlbedoHighSnowCoverOptimized(year, constantAreaGlacier);
+    }));
+  }
+  
+  // Jours de la saison glacier.season sur toutes les années d'étude (annuel, quotidien, pixel-level)
+  var seasonPeriod = getSeasonStudyPeriod(glacier.season);
+  var seasonFilter = getSeasonFilter(glacier.season);
+  var dailyCollection = getSnowCollection(seasonPeriod.start, seasonPeriod.end, glacier)
+    .filter(seasonFilter);
+  
+  var dailyStats = dailyCollection.map(function(img) {
+    return analyzeDailyAlbedoHighSnowCoverOptimized(img, glacier);
+  });
+  
+  // Anomalies quotidiennes par rapport à la climatologie jour de l'année du glacier
+  var climatology = buildDailyClimatology(dailyStats, glacier);
+  var daily = addDailyAnomalies(dailyStats, climatology);
+  var anomalyEvents = EXPORT_ANOMALY_EVENTS ? detectAnomalyEvents(daily, glacier) : null;
+  
+  // Série quotidienne comblée (<classe>_filled) et cartes d'albédo comblées au pixel
+  daily = addDailyGapFill(daily, climatology);
+  var filledImages = GAP_FILL_MAP_DATES.length > 0 ? gapFillAlbedoImages(dailyCollection, glacier) : null;
+  
+  // Tendances par pixel (albédo moyen saisonnier par pixel → pente de Sen, Mann-Kendall)
+  var pixelTrend = computePixelTrends(buildAnnualPixelAlbedo(dailyCollection, glacier), glacier);
+  var pixelTrendSummary = EXPORT_PIXEL_TRENDS ? summarizePixelTrends(pixelTrend, glacier) : null;
+  
+  // Séries annuelles par mois de la saison et fenêtre jour de l'année (tendances infra-saisonnières)
+  var subseasonal = buildSubseasonalSeries(dailyStats, glacier);
+  
+  // Composites temporels par classe (moyennes quotidiennes observées, avant comblement)
+  var composites = {};
+  if (EXPORT_COMPOSITE_TABLES) {
+    COMPOSITE_PERIODS.forEach(function(periodType) {
+      composites[periodType] = buildCompositeTable(dailyStats, glacier, periodType);
+    });
+  }
+  
+  // Rapport inter-capteurs : jours où les deux produits de FUSION_PRODUCTS sont disponibles
+  var interSensor = null;
+  if (EXPORT_INTER_SENSOR_REPORT) {
+    var pairs = getSameDayProductPairs(FUSION_PRODUCTS, seasonPeriod.start, seasonPeriod.end, glacier.geometry, seasonFilter);
+    
+    interSensor = pairs.map(function(pair) {
+      return compareProductsDaily(ee.Image(pair.get('first')), ee.Image(pair.get('second')), glacier, FUSION_PRODUCTS);
+    });
+  }
+  
+  // Calibration inter-produits sur la période de recouvrement et série harmonisée
+  var calibration = null;
+  var harmonised = null;
+  if (EXPORT_CALIBRATION_REPORT || EXPORT_HARMONISED_SERIES) {
+    var calibrationDaily = function(productKey, startDate, endDate) {
+      return loadProductCollection(productKey, startDate, endDate, glacier.geometry)
+        .filter(seasonFilter)
+        .map(function(img) {
+          return analyzeDailyAlbedoHighSnowCoverOptimized(img, glacier).set('product', productKey);
+        });
+    };
+    
+    calibration = buildCalibrationReport(
+      calibrationDaily(CALIBRATION_PRODUCTS.reference, CALIBRATION_PERIOD[0], CALIBRATION_PERIOD[1]),
+      calibrationDaily(CALIBRATION_PRODUCTS.target, CALIBRATION_PERIOD[0], CALIBRATION_PERIOD[1]),
+      glacier
+    );
+    
+    if (EXPORT_HARMONISED_SERIES) {
+      harmonised = buildHarmonisedSeries(
+        calibrationDaily(CALIBRATION_PRODUCTS.reference, seasonPeriod.start, HARMONISATION_SWITCH_DATE),
+        calibrationDaily(CALIBRATION_PRODUCTS.target, HARMONISATION_SWITCH_DATE, seasonPeriod.end),
+        calibration
+      );
+    }
+  }
+  
+  // ⚠️ ATTENTION: Processing complet de toutes les dates de la période d'étude
+  // Cela peut générer un fichier très volumineux et prendre du temps
+  var pixelLevel = dailyCollection.map(function(img) {
+    return analyzePixelLevelData(img, glacier);
+  }).flatten();
+  
+  // Impact du filtrage : pixels glacier retirés par étape (quotidien, puis par année saisonnière)
+  var filterImpact = null;
+  var filterImpactAnnual = null;
+  if (EXPORT_FILTER_IMPACT) {
+    filterImpact = dailyCollection.map(function(img) {
+      return compareWithUnfilteredAlbedoSafe(img, glacier);
+    });
+    filterImpactAnnual = summarizeFilterImpactByYear(filterImpact, glacier);
+  }
+  
+  // Cartes de fréquence QA (% des jours signalés par pixel) sur QA_FREQUENCY_PERIOD
+  var qaFrequency = EXPORT_QA_FREQUENCY_MAPS ?
+    computeQAFrequencyMaps(glacier, resolveQAFrequencyPeriod(QA_FREQUENCY_PERIOD, glacier.season)) : null;
+  
+  // Mode incrémental : images postérieures à la dernière date traitée et ligne de manifeste
+  var incremental = INCREMENTAL_MODE ? buildIncrementalDelta(dailyCollection, glacier) : null;
+  
+  return {
+    glacier: glacier,
+    dailyCollection: dailyCollection,
+    annual: annual,
+    annualConstantArea: annualConstantArea,
+    daily: daily,
+    climatology: selectClimatologyColumns(climatology, glacier),
+    anomalyEvents: anomalyEvents,
+    filledImages: filledImages,
+    composites: composites,
+    subseasonal: subseasonal,
+    pixelTrend: pixelTrend,
+    pixelTrendSummary: pixelTrendSummary,
+    interSensor: interSensor,
+    calibration: calibration,
+    harmonised: harmonised,
+    pixelLevel: pixelLevel,
+    filterImpact: filterImpact,
+    filterImpactAnnual: filterImpactAnnual,
+    qaFrequency: qaFrequency,
+    incremental: incremental
+  };
+}
 
-print('Number of days analyzed:', dailyAlbedoHighSnow.size());
+print('Computing optimized annual, daily and pixel-level statistics for ' + GLACIERS.length + ' glacier(s) × ' +
+  SEASON_LIST.length + ' season(s)...');
+var glacierRuns = [];
+SEASON_LIST.forEach(function(season) {
+  GLACIERS.forEach(function(glacier) {
+    glacierRuns.push(runGlacierPipeline(extendContext(glacier, {season: season})));
+  });
+});
 
-// 11. Calculer les données pixel-level (dataset complet 2010-2024)
-print('Computing pixel-level data for full dataset...');
-// ⚠️ ATTENTION: Processing complet de toutes les dates (2010-2024)
-// Cela peut générer un fichier très volumineux et prendre du temps
-var pixelLevelData = dailyCollection.map(analyzePixelLevelData).flatten();
+// Tables combinées (toutes les entrées du registre et toutes les saisons, clés glacier_id + season)
+var annual_albedo_high_snow = ee.FeatureCollection(glacierRuns.map(function(run) { return run.annual; })).flatten();
+var dailyAlbedoHighSnow = ee.FeatureCollection(glacierRuns.map(function(run) { return run.daily; })).flatten();
+var pixelLevelData = ee.FeatureCollection(glacierRuns.map(function(run) { return run.pixelLevel; })).flatten();
 
-print('Number of pixel records (full dataset):', pixelLevelData.size());
+print('Annual statistics (optimized, all glaciers):', annual_albedo_high_snow);
+print('Number of days analyzed (all glaciers):', dailyAlbedoHighSnow.size());
+print('Daily anomaly columns: <class>_zscore, <class>_pct_rank (day-of-year climatology, ' + CLIMATOLOGY_WINDOW_DAYS + '-day window)');
+if (GAP_FILL_METHOD !== 'none') {
+  print('Daily gap-fill columns: <class>_filled, <class>_fill_method, <class>_gap_length (method ' + GAP_FILL_METHOD +
+    ', max ' + GAP_FILL_MAX_DAYS + ' days linear, smoothing ' + GAP_FILL_SMOOTHING + ')');
+}
+print('Number of pixel records (full dataset, all glaciers):', pixelLevelData.size());
+glacierRuns.forEach(function(run) {
+  if (run.pixelTrendSummary) {
+    print('Per-pixel Sen slope by fraction class (' + run.glacier.name + ', ' + run.glacier.season.name +
+      ', albedo/yr, ≥' + PIXEL_TREND_MIN_YEARS + ' valid years):',
+      run.pixelTrendSummary);
+  }
+});
 
 // ┌────────────────────────────────────────────────────────────────────────────────────────┐
 // │ SECTION 7 : INTERFACE INTERACTIVE OPTIMISÉE                                           │
@@ -647,12 +3300,13 @@ var baseSnowCover = null;
 var baseAlbedo = null;
 var baseQuality = null;
 var baseAlgorithmFlags = null;
+var currentFraction = null; // Fraction glacier de l'époque de masque applicable à la date chargée
 
 // Créer un sélecteur de date
 var dateSlider = ui.DateSlider({
-  start: '2010-07-01',
-  end: '2024-09-30',
-  value: '2023-08-07',
+  start: getSeasonDates(ACTIVE_SEASON, STUDY_FIRST_YEAR).start,
+  end: getSeasonDates(ACTIVE_SEASON, STUDY_LAST_YEAR).end,
+  value: getSeasonDates(ACTIVE_SEASON, STUDY_LAST_YEAR).start,
   period: 1,
   style: {width: '300px'}
 });
@@ -669,9 +3323,11 @@ var createSlider = function(min, max, value, step) {
 };
 
 // Sliders pour les filtres (using factory function)
-var ndsiSlider = createSlider(0, 100, NDSI_SNOW_THRESHOLD, 5);
-var glacierFractionSlider = createSlider(0, 100, GLACIER_FRACTION_THRESHOLD, 5);
-var minPixelSlider = createSlider(0, 100, MIN_PIXEL_THRESHOLD, 1);
+var ndsiSlider = createSlider(0, 100, CONFIG.ndsiSnowThreshold, 5);
+var glacierFractionSlider = createSlider(0, 100, CONFIG.glacierFractionThreshold, 5);
+// Filtre par bande d'altitude : 0 = toutes les bandes, 1..N = bande ELEVATION_BANDS[N-1]
+var elevationBandSlider = createSlider(0, ELEVATION_BANDS.length, 0, 1);
+var minPixelSlider = createSlider(0, 100, CONFIG.minPixelThreshold, 1);
 
 // ┌────────────────────────────────────────────────────────────────────────────────────────┐
 // │ SECTION: CONTROLS QA COMPLETS (basés sur documentation officielle GEE)                │
@@ -685,29 +3341,29 @@ var basicQASelect = ui.Select({
     {label: 'OK quality+ (0-2)', value: 'ok'},
     {label: 'All quality levels (0-3)', value: 'all'}
   ],
-  value: 'good',  // Default to 1 (good quality) as requested
+  value: CONFIG.qa.basicLevel,  // Profil actif (FILTER_PROFILES)
   placeholder: 'Basic Quality Level',
   style: {width: '300px'},
   onChange: updateQAFiltering
 });
 
-// Algorithm Flags Checkboxes (dynamic generation from metadata)
+// Algorithm Flags Checkboxes (dynamic generation from metadata, valeurs initiales du profil actif)
 var flagMeta = [
-  {key: 'inlandWater', bit: 0, label: 'Bit 0: Inland water', def: false},
-  {key: 'visibleScreenFail', bit: 1, label: 'Bit 1: Low visible screen', def: true},
-  {key: 'ndsiScreenFail', bit: 2, label: 'Bit 2: Low NDSI screen', def: true},
-  {key: 'tempHeightFail', bit: 3, label: 'Bit 3: Temperature/height screen', def: true},
-  {key: 'swirAnomaly', bit: 4, label: 'Bit 4: Shortwave IR reflectance', def: false},
-  {key: 'probablyCloudy', bit: 5, label: 'Bit 5: Probably cloudy (v6.1)', def: true},
-  {key: 'probablyClear', bit: 6, label: 'Bit 6: Probably clear (v6.1)', def: false},
-  {key: 'highSolarZenith', bit: 7, label: 'Bit 7: Solar zenith screen', def: true}
+  {key: 'inlandWater', bit: 0, label: 'Bit 0: Inland water', flag: 'excludeInlandWater'},
+  {key: 'visibleScreenFail', bit: 1, label: 'Bit 1: Low visible screen', flag: 'excludeVisibleScreenFail'},
+  {key: 'ndsiScreenFail', bit: 2, label: 'Bit 2: Low NDSI screen', flag: 'excludeNDSIScreenFail'},
+  {key: 'tempHeightFail', bit: 3, label: 'Bit 3: Temperature/height screen', flag: 'excludeTempHeightFail'},
+  {key: 'swirAnomaly', bit: 4, label: 'Bit 4: Shortwave IR reflectance', flag: 'excludeSWIRAnomaly'},
+  {key: 'probablyCloudy', bit: 5, label: 'Bit 5: Probably cloudy (v6.1)', flag: 'excludeProbablyCloudy'},
+  {key: 'probablyClear', bit: 6, label: 'Bit 6: Probably clear (v6.1)', flag: 'excludeProbablyClear'},
+  {key: 'highSolarZenith', bit: 7, label: 'Bit 7: Solar zenith screen', flag: 'excludeHighSolarZenith'}
 ];
 
 var flagCheckboxes = {};
 flagMeta.forEach(function(m) {
   flagCheckboxes[m.key] = ui.Checkbox({
     label: m.label,
-    value: m.def,
+    value: CONFIG.qa[m.flag],
     onChange: updateQAFiltering,
     style: {fontSize: '11px'}
   });
@@ -715,13 +3371,106 @@ flagMeta.forEach(function(m) {
 
 // Dynamic labels
 var dateLabel = ui.Label('Date selection and optimized filtering parameters:');
-var selectedDateLabel = ui.Label('Selected date: 2020-07-15');
-var ndsiLabel = ui.Label('NDSI Snow Cover threshold: ' + NDSI_SNOW_THRESHOLD + ' (index 0-100)');
-var glacierFractionLabel = ui.Label('Glacier fraction threshold: ' + GLACIER_FRACTION_THRESHOLD + '%');
+var selectedDateLabel = ui.Label('Selected date: ' + getSeasonDates(ACTIVE_SEASON, STUDY_LAST_YEAR).start);
+var ndsiLabel = ui.Label('NDSI Snow Cover threshold: ' + CONFIG.ndsiSnowThreshold + ' (index 0-100)');
+var glacierFractionLabel = ui.Label('Glacier fraction threshold: ' + CONFIG.glacierFractionThreshold + '%');
+var elevationBandLabel = ui.Label('Elevation band: all');
 var minPixelLabel = ui.Label('Minimum pixels: OFF (no filter)');
 var statsLabel = ui.Label('Statistics: Waiting...');
-var qaBasicLabel = ui.Label('Basic quality level: Good+ (0-1)', {fontSize: '11px'});
+var qaBasicLabel = ui.Label('Basic quality level: ' + CONFIG.qa.basicLevel + ' (' + BASIC_QA_LEVEL_CODES[CONFIG.qa.basicLevel] + ')', {fontSize: '11px'});
 var qaStatsLabel = ui.Label('QA Retention: Calculating...', {fontSize: '11px'});
+var maskEpochLabel = ui.Label('Mask epoch: -', {fontSize: '11px', color: 'gray'});
+
+// Couches de tendance par pixel du glacier actif (recréées à chaque mise à jour du filtrage)
+var TREND_PALETTE = ['#b2182b', '#ef8a62', '#fddbc7', '#f7f7f7', '#d1e5f0', '#67a9cf', '#2166ac'];
+var pixelTrendLayers = [];
+
+var getPixelTrendImage = function(band) {
+  var run = glacierRuns.filter(function(r) { return r.glacier.id === activeGlacier.id; })[0];
+  var image = run.pixelTrend.select(band);
+  return significantOnlyCheckbox.getValue() ? image.updateMask(run.pixelTrend.select('significant')) : image;
+};
+
+var significantOnlyCheckbox = ui.Checkbox({
+  label: 'Trend maps: hide non-significant pixels (p ≥ ' + (1 - TREND_CONFIDENCE_LEVEL).toFixed(2) + ')',
+  value: false,
+  onChange: function() {
+    pixelTrendLayers.forEach(function(entry) {
+      entry.layer.setEeObject(getPixelTrendImage(entry.band));
+    });
+  }
+});
+
+// Cartes de fréquence QA du glacier actif (recréées à chaque mise à jour du filtrage) : période au choix,
+// une case par indicateur pour afficher la couche et sa légende (0 → 100 % des jours observés)
+var qaFrequencyLayers = [];
+
+var qaFrequencyPeriodSelect = ui.Select({
+  items: [
+    {label: 'Study period (' + ACTIVE_SEASON.name + ' ' + STUDY_PERIOD_LABEL + ')', value: 'study'},
+    {label: 'Season of the selected date', value: 'selected_season'}
+  ].concat(QA_FREQUENCY_PERIOD === 'study' ? [] : [
+    {label: 'Configured (' + resolveQAFrequencyPeriod(QA_FREQUENCY_PERIOD, ACTIVE_SEASON).label + ')', value: 'configured'}
+  ]),
+  value: 'study',
+  style: {width: '300px'},
+  onChange: function() {
+    refreshQAFrequencyLayers();
+  }
+});
+var qaFrequencyPeriodLabel = ui.Label('Period: -', {fontSize: '11px', color: 'gray'});
+
+// Année saisonnière de la date du sélecteur (saison ACTIVE_SEASON)
+var getSelectedSeasonYear = function() {
+  var date = formatIsoDate(dateSlider.getValue()[0]);
+  var year = Number(date.slice(0, 4));
+  return ACTIVE_SEASON.crossesYear && date >= getSeasonDates(ACTIVE_SEASON, year + 1).start ? year + 1 : year;
+};
+
+var getQAFrequencyImage = function() {
+  var choice = qaFrequencyPeriodSelect.getValue();
+  var period = resolveQAFrequencyPeriod(
+    choice === 'selected_season' ? getSelectedSeasonYear() : (choice === 'configured' ? QA_FREQUENCY_PERIOD : 'study'),
+    ACTIVE_SEASON
+  );
+  qaFrequencyPeriodLabel.setValue('Period: ' + period.label + ' (' + activeGlacier.name + ')');
+  return computeQAFrequencyMaps(activeGlacier, period);
+};
+
+var refreshQAFrequencyLayers = function() {
+  var image = getQAFrequencyImage();
+  qaFrequencyLayers.forEach(function(entry) {
+    entry.layer.setEeObject(image.select(entry.band));
+  });
+};
+
+var qaFrequencyControls = QA_FREQUENCY_LAYERS.map(function(entry) {
+  var legend = ui.Panel([
+    ui.Label('0%', {fontSize: '10px', margin: '2px 4px'}),
+    ui.Thumbnail({
+      image: ee.Image.pixelLonLat().select(0),
+      params: {bbox: [0, 0, 1, 0.1], dimensions: '120x8', format: 'png', min: 0, max: 1, palette: entry.palette},
+      style: {margin: '4px 4px', maxHeight: '10px'}
+    }),
+    ui.Label('100% of observed days', {fontSize: '10px', margin: '2px 4px'})
+  ], ui.Panel.Layout.flow('horizontal'), {shown: false});
+  
+  var checkbox = ui.Checkbox({
+    label: entry.label,
+    value: false,
+    style: {fontSize: '11px'},
+    onChange: function(checked) {
+      legend.style().set('shown', checked);
+      qaFrequencyLayers.forEach(function(layerEntry) {
+        if (layerEntry.band === entry.band) {
+          layerEntry.layer.setShown(checked);
+        }
+      });
+    }
+  });
+  
+  return {entry: entry, checkbox: checkbox, legend: legend};
+});
 
 // Reload button for filter testing
 var reloadButton = ui.Button({
@@ -748,14 +3497,11 @@ var loadBaseData = function() {
   
   selectedDateLabel.setValue('Date sélectionnée: ' + dateString);
   
-  // Charger l'image MOD10A1 avec clip (incluant Algorithm_Flags_QA)
+  // Charger l'image MODIS (capteur selon SENSOR_FUSION_MODE) avec clip (incluant Algorithm_Flags_QA)
   // Note: 5-day window used for data availability in case selected date has no data
-  currentImage = ee.ImageCollection('MODIS/061/MOD10A1')
-    .filterDate(selected_date, selected_date.advance(5, 'day'))
-    .filterBounds(glacier_geometry)
-    .select(['NDSI_Snow_Cover', 'Snow_Albedo_Daily_Tile', 'NDSI_Snow_Cover_Basic_QA', 'NDSI_Snow_Cover_Algorithm_Flags_QA'])
-    .first()
-    .clip(glacier_geometry);
+  currentImage = ee.Image(getSnowCollection(selected_date, selected_date.advance(5, 'day'), activeGlacier)
+    .first())
+    .clip(activeGlacier.geometry);
   
   // Préparer les données de base
   baseSnowCover = currentImage.select('NDSI_Snow_Cover');
@@ -763,6 +3509,12 @@ var loadBaseData = function() {
   baseQuality = currentImage.select('NDSI_Snow_Cover_Basic_QA');
   baseAlgorithmFlags = currentImage.select('NDSI_Snow_Cover_Algorithm_Flags_QA');
   
+  // Fraction glacier de l'époque de masque correspondant à la date de l'image
+  currentFraction = getGlacierFraction(activeGlacier, toDecimalYear(currentImage.date()));
+  currentFraction.get('mask_epoch').evaluate(function(epoch) {
+    maskEpochLabel.setValue('Mask epoch: ' + epoch + ' (' + activeGlacier.maskMode + ')');
+  });
+  
   // Mettre à jour l'affichage
   updateFiltering();
 };
@@ -774,10 +3526,12 @@ var updateFiltering = function() {
   var ndsiThreshold = ndsiSlider.getValue();
   var glacierThreshold = glacierFractionSlider.getValue();
   var minPixelThreshold = minPixelSlider.getValue();
+  var elevationBand = ELEVATION_BANDS[elevationBandSlider.getValue() - 1]; // undefined = toutes
   
   // Mettre à jour les labels
   ndsiLabel.setValue('NDSI Snow Cover threshold: ' + ndsiThreshold + ' (index 0-100)');
   glacierFractionLabel.setValue('Glacier fraction threshold: ' + glacierThreshold + '%');
+  elevationBandLabel.setValue('Elevation band: ' + (elevationBand ? elevationBand.label : 'all') + ' (' + DEM_SOURCE + ')');
   
   if (minPixelThreshold === 0) {
     minPixelLabel.setValue('Minimum pixels: OFF (no filter)');
@@ -786,22 +3540,12 @@ var updateFiltering = function() {
   }
   
   // Créer les masques avec qualité compréhensive
-  var basicQALevel = basicQASelect ? basicQASelect.getValue() : 'good';
-  var basicMask = getBasicQAMask(currentImage, basicQALevel);
-  var flagMask = getAlgorithmFlagsMask(currentImage, {
-    excludeInlandWater: flagCheckboxes.inlandWater.getValue(),
-    excludeVisibleScreenFail: flagCheckboxes.visibleScreenFail.getValue(),
-    excludeNDSIScreenFail: flagCheckboxes.ndsiScreenFail.getValue(),
-    excludeTempHeightFail: flagCheckboxes.tempHeightFail.getValue(),
-    excludeSWIRAnomaly: flagCheckboxes.swirAnomaly.getValue(),
-    excludeProbablyCloudy: flagCheckboxes.probablyCloudy.getValue(),        // Bit 5: Cloud flags v6.1
-    excludeProbablyClear: flagCheckboxes.probablyClear.getValue(),          // Bit 6: Cloud flags v6.1
-    excludeHighSolarZenith: flagCheckboxes.highSolarZenith.getValue()
-  });
-  var good_quality = basicMask.and(flagMask);
+  var good_quality = createCurrentQAMask(currentImage);
   var high_ndsi = baseSnowCover.gte(ndsiThreshold);
-  var high_glacier_fraction = STATIC_GLACIER_FRACTION.gte(glacierThreshold / 100);
+  var high_glacier_fraction = currentFraction.gte(glacierThreshold / 100);
   var valid_albedo = currentImage.select('Snow_Albedo_Daily_Tile').lte(100);
+  var in_elevation_band = elevationBand ?
+    createElevationMasks(MODIS_ELEVATION, [elevationBand])[elevationBand.name] : ee.Image(1);
   
   // Albédo filtré avec renommage pour cohérence
   var filtered_albedo = baseAlbedo
@@ -809,12 +3553,13 @@ var updateFiltering = function() {
     .updateMask(high_ndsi)
     .updateMask(high_glacier_fraction)
     .updateMask(valid_albedo)
+    .updateMask(in_elevation_band)
     .rename('filtered_albedo');
   
   // Calculer min/max pour palette adaptative
   var albedoRange = filtered_albedo.reduceRegion({
     reducer: ee.Reducer.minMax(),
-    geometry: glacier_geometry,
+    geometry: activeGlacier.geometry,
     scale: 500,
     maxPixels: 1e9,
     tileScale: 2
@@ -830,18 +3575,24 @@ var updateFiltering = function() {
   var simplePalette = ['red', 'orange', 'yellow', 'green', 'cyan', 'blue'];
   
   // Ajouter la couche de fraction glacier pour l'inspecteur
-  Map.addLayer(STATIC_GLACIER_FRACTION.multiply(100), 
+  Map.addLayer(currentFraction.multiply(100), 
     {min: 0, max: 100, palette: simplePalette}, 
     'Fraction glacier (%)', false);
+  
+  // Altitude moyenne par pixel MODIS (DEM rééchantillonné)
+  Map.addLayer(MODIS_ELEVATION.clip(activeGlacier.geometry), 
+    {min: ELEVATION_RANGE[0], max: ELEVATION_RANGE[1], palette: simplePalette}, 
+    'Elevation ' + DEM_SOURCE + ' (m)', false);
     
   // Ajouter les couches QA pour l'inspecteur (visible dans inspector)
   Map.addLayer(baseQuality, 
     {min: 0, max: 3, palette: ['green', 'yellow', 'orange', 'red']}, 
     'Basic QA (0=Best, 1=Good, 2=OK, 3=Poor)', false);
     
+  // Valeur brute (bits combinés) : à lire avec l'inspecteur ; fréquences par bit dans le panneau QA
   Map.addLayer(baseAlgorithmFlags, 
-    {min: 0, max: 255, palette: ['black', 'blue', 'cyan', 'green', 'yellow', 'orange', 'red', 'white']}, 
-    'Algorithm Flags QA (0-255)', false);
+    {min: 0, max: 255, palette: ['black', 'white']}, 
+    'Algorithm Flags QA (raw 0-255, inspector)', false);
     
   // Ajout d'une couche composite QA avec cloud flags pour inspection
   var qaComposite = ee.Image([
@@ -859,6 +3610,29 @@ var updateFiltering = function() {
     {min: 0, max: 100, palette: simplePalette}, 
     'NDSI Snow Cover (0-100)', false);
   
+  // Tendances par pixel sur la période d'étude (rouge = baisse d'albédo, bleu = hausse)
+  pixelTrendLayers = [
+    {band: 'sens_slope', vis: {min: -PIXEL_TREND_SLOPE_RANGE, max: PIXEL_TREND_SLOPE_RANGE, palette: TREND_PALETTE},
+      name: "Sen's slope (albedo/yr)"},
+    {band: 'mk_z', vis: {min: -3, max: 3, palette: TREND_PALETTE}, name: 'Mann-Kendall Z'},
+    {band: 'valid_years', vis: {min: PIXEL_TREND_MIN_YEARS, max: STUDY_YEAR_LIST.length, palette: ['white', 'purple']},
+      name: 'Valid years per pixel'}
+  ].map(function(entry) {
+    var layer = ui.Map.Layer(getPixelTrendImage(entry.band), entry.vis, entry.name, false);
+    Map.layers().add(layer);
+    return {band: entry.band, layer: layer};
+  });
+  
+  // Cartes de fréquence QA (affichées selon les cases du panneau QA)
+  var qaFrequencyImage = getQAFrequencyImage();
+  qaFrequencyLayers = qaFrequencyControls.map(function(control) {
+    var layer = ui.Map.Layer(qaFrequencyImage.select(control.entry.band),
+      {min: 0, max: 100, palette: control.entry.palette},
+      control.entry.label + ' (% of days)', control.checkbox.getValue());
+    Map.layers().add(layer);
+    return {band: control.entry.band, layer: layer};
+  });
+  
   // Ajouter la couche d'albédo avec palette adaptative
   albedoRange.evaluate(function(range) {
     var minVal = range['filtered_albedo_min'] || 0.4;
@@ -879,7 +3653,7 @@ var updateFiltering = function() {
   // Calculer et afficher les statistiques avec validation pixels minimum
   var dayStats = filtered_albedo.reduceRegion({
     reducer: ee.Reducer.mean().combine(ee.Reducer.count(), '', true),
-    geometry: glacier_geometry,
+    geometry: activeGlacier.geometry,
     scale: 500,
     maxPixels: 1e9,
     tileScale: 2
@@ -929,9 +3703,9 @@ var updateQAFiltering = function() {
   // Calculer statistiques de rétention QA si nous avons des données
   if (currentImage && baseQuality && baseAlgorithmFlags) {
     // Compter pixels total dans glacier
-    var totalPixels = glacier_mask.selfMask().reduceRegion({
+    var totalPixels = activeGlacier.mask.selfMask().reduceRegion({
       reducer: ee.Reducer.count(),
-      geometry: glacier_geometry,
+      geometry: activeGlacier.geometry,
       scale: 500,
       maxPixels: 1e9,
       tileScale: 2
@@ -941,7 +3715,7 @@ var updateQAFiltering = function() {
     var combinedQAMask = createCurrentQAMask(currentImage);
     var retainedPixels = combinedQAMask.selfMask().reduceRegion({
       reducer: ee.Reducer.count(),
-      geometry: glacier_geometry,
+      geometry: activeGlacier.geometry,
       scale: 500,
       maxPixels: 1e9,
       tileScale: 2
@@ -967,6 +3741,7 @@ var updateQAFiltering = function() {
 // Callbacks pour les sliders
 ndsiSlider.onChange(updateFiltering);
 glacierFractionSlider.onChange(updateFiltering);
+elevationBandSlider.onChange(updateFiltering);
 minPixelSlider.onChange(updateFiltering);
 
 // Boutons
@@ -976,27 +3751,173 @@ var loadDataButton = ui.Button({
   style: {width: '200px'}
 });
 
+// Sélecteur de glacier (registre) - recentre la carte et recharge les données de base
+var glacierMaskVis = {palette: ['orange'], opacity: 0.5};
+
+var setActiveGlacier = function(glacierId) {
+  activeGlacier = getGlacierById(glacierId);
+  
+  // Remplacer la couche masque (toujours en position 0, conservée par updateFiltering)
+  Map.layers().set(0, ui.Map.Layer(activeGlacier.mask.selfMask(), glacierMaskVis, activeGlacier.name + ' Mask'));
+  Map.centerObject(activeGlacier.geometry, 12);
+  
+  // Seuils propres au glacier comme point de départ des sliders
+  ndsiSlider.setValue(activeGlacier.ndsiSnowThreshold, false);
+  glacierFractionSlider.setValue(activeGlacier.glacierFractionThreshold, false);
+  minPixelSlider.setValue(activeGlacier.minPixelThreshold, false);
+  
+  loadBaseData();
+};
+
+var glacierSelect = ui.Select({
+  items: GLACIERS.map(function(glacier) {
+    return {label: glacier.name, value: glacier.id};
+  }),
+  value: activeGlacier.id,
+  placeholder: 'Glacier',
+  style: {width: '300px'},
+  onChange: setActiveGlacier
+});
+
+// Profils de filtrage dans l'interface : profil de référence courant (nom exporté, suffixé '_modified' si les
+// réglages en diffèrent), chargement d'un profil nommé ou collé en JSON, affichage du profil courant en JSON
+var uiProfileName = CONFIG.profile;
+var profileStatusLabel = ui.Label('Profile: ' + CONFIG.profile, {fontSize: '11px', color: 'gray'});
+
+// Profil courant de l'interface (forme canonique ; classes de fraction de la chaîne, CONFIG.fractionThresholds)
+function getCurrentFilterProfile() {
+  return buildFilterProfile(getCurrentQAConfig(), ndsiSlider.getValue(), glacierFractionSlider.getValue(),
+    minPixelSlider.getValue(), CONFIG.fractionThresholds);
+}
+
+// Appliquer un profil validé aux contrôles puis recalculer le filtrage
+function applyFilterProfile(profile, name) {
+  uiProfileName = name;
+  basicQASelect.setValue(profile.qa.basicLevel, false);
+  flagMeta.forEach(function(m) {
+    flagCheckboxes[m.key].setValue(profile.qa[m.flag], false);
+  });
+  ndsiSlider.setValue(profile.ndsiSnowThreshold, false);
+  glacierFractionSlider.setValue(profile.glacierFractionThreshold, false);
+  minPixelSlider.setValue(profile.minPixelThreshold, false);
+  profileStatusLabel.setValue('Profile: ' + name);
+  
+  // Les classes de fraction sont construites au démarrage : un autre découpage exige ACTIVE_PROFILE
+  if (JSON.stringify(profile.fractionThresholds) !== JSON.stringify(CONFIG.fractionThresholds)) {
+    print('⚠️ Profile ' + name + ': fractionThresholds [' + profile.fractionThresholds.join(', ') +
+      '] ignored by the interface (fraction classes [' + CONFIG.fractionThresholds.join(', ') +
+      '] are fixed at start-up; set ACTIVE_PROFILE to change them)');
+  }
+  updateQAFiltering();
+}
+
+var profileSelect = ui.Select({
+  items: Object.keys(FILTER_PROFILES),
+  value: CONFIG.profile,
+  placeholder: 'Filter profile',
+  style: {width: '300px'},
+  onChange: function(name) {
+    applyFilterProfile(resolveFilterProfile(FILTER_PROFILES[name], name), name);
+  }
+});
+
+var profileTextbox = ui.Textbox({
+  placeholder: 'Paste a JSON profile',
+  style: {width: '300px'}
+});
+
+var loadProfileButton = ui.Button({
+  label: 'Load JSON profile',
+  onClick: function() {
+    var parsed;
+    try {
+      parsed = JSON.parse(profileTextbox.getValue());
+    } catch (e) {
+      profileStatusLabel.setValue('Profile: invalid JSON (' + e.message + ')');
+      return;
+    }
+    var errors = albedoStats.validateFilterProfile(parsed);
+    if (errors.length > 0) {
+      profileStatusLabel.setValue('Profile: invalid (' + errors.length + ' error(s), see console)');
+      print('⚠️ Invalid filter profile:', errors.join('; '));
+      return;
+    }
+    var name = typeof parsed.name === 'string' && parsed.name ? parsed.name : 'pasted';
+    applyFilterProfile(resolveFilterProfile(parsed, name), name);
+  },
+  style: {width: '200px'}
+});
+
 var exportParamsButton = ui.Button({
-  label: 'Export optimized parameters',
+  label: 'Show profile as JSON',
+  onClick: function() {
+    var profile = getCurrentFilterProfile();
+    var name = getFilterProfileName(profile, uiProfileName);
+    var shared = {name: name};
+    Object.keys(profile).forEach(function(key) { shared[key] = profile[key]; });
+    print('🧾 Current filter profile (' + name + ', qa_config_hash ' + albedoStats.shortHash(JSON.stringify(profile)) + ')');
+    print('• Paste into "Load JSON profile" or add to FILTER_PROFILES:');
+    print(JSON.stringify(shared));
+  },
+  style: {width: '200px'}
+});
+
+// Exports annuel, quotidien et pixel-level du glacier actif (saison ACTIVE_SEASON) avec la configuration
+// courante de l'interface : Basic QA, Algorithm Flags, NDSI, fraction glacier et pixels minimum.
+// Descriptions et fichiers suffixés de l'empreinte qa_config_hash (aussi écrite dans chaque ligne).
+var exportCurrentSettingsButton = ui.Button({
+  label: 'Export with current settings',
   onClick: function() {
-    var ndsiVal = ndsiSlider.getValue();
-    var glacierVal = glacierFractionSlider.getValue();
-    var pixelVal = minPixelSlider.getValue();
-    print('Optimal parameters found:');
-    print('• NDSI Snow Cover threshold: ' + ndsiVal + ' (index 0-100)');
-    print('• Glacier fraction threshold: ' + glacierVal + '%');
-    print('• Minimum pixels: ' + (pixelVal === 0 ? 'OFF (disabled)' : pixelVal));
-    print('• Period: ' + (USE_PEAK_MELT_ONLY ? 'July-September (peak melt)' : 'June-September'));
-    print('• Code: NDSI_SNOW_THRESHOLD = ' + ndsiVal + '; GLACIER_FRACTION_THRESHOLD = ' + glacierVal + '; MIN_PIXEL_THRESHOLD = ' + pixelVal + ';');
+    var uiGlacier = extendContext(activeGlacier, {
+      season: ACTIVE_SEASON,
+      qaConfig: getCurrentQAConfig(),
+      profileName: uiProfileName,
+      ndsiSnowThreshold: ndsiSlider.getValue(),
+      glacierFractionThreshold: glacierFractionSlider.getValue(),
+      minPixelThreshold: minPixelSlider.getValue()
+    });
+    var qaProperties = getQAConfigProperties(uiGlacier);
+    var configHash = qaProperties.qa_config_hash;
+    var run = runGlacierPipeline(uiGlacier);
+    var label = uiGlacier.exportLabel + '_QA_' + configHash;
+    var id = uiGlacier.id + '_qa_' + configHash;
+    
+    [
+      {collection: run.annual, description: 'Albedo_Annual', file: 'albedo_annual'},
+      {collection: run.daily, description: 'Albedo_Daily', file: 'albedo_daily'},
+      {collection: run.pixelLevel, description: 'Albedo_Pixel_Level', file: 'albedo_pixel_level'}
+    ].forEach(function(table) {
+      Export.table.toDrive({
+        collection: table.collection,
+        description: label + '_' + table.description + '_' + STUDY_PERIOD_TAG,
+        folder: 'GEE_exports',
+        fileNamePrefix: 'MOD10A1_' + id + '_' + table.file + '_' + STUDY_PERIOD_TAG,
+        fileFormat: 'CSV'
+      });
+    });
+    
+    print('💾 Export tasks created with current settings (' + uiGlacier.name + ', season ' + ACTIVE_SEASON.name + '), profile ' +
+      qaProperties.filter_profile + ', qa_config_hash ' + configHash + ':');
+    var excludedBits = QA_BIT_MAPPING.filter(function(mapping) {
+      return uiGlacier.qaConfig[mapping.flag];
+    }).map(function(mapping) { return mapping.bit; });
+    print('• Basic QA: ' + qaProperties.qa_basic_level + '; excluded flag bits: ' +
+      (excludedBits.length > 0 ? excludedBits.join(', ') : 'none') + ' (qa_excluded_flags ' + qaProperties.qa_excluded_flags + ')');
+    print('• NDSI ≥ ' + uiGlacier.ndsiSnowThreshold + '; glacier fraction ≥ ' + uiGlacier.glacierFractionThreshold +
+      '%; minimum pixels: ' + (uiGlacier.minPixelThreshold === 0 ? 'OFF' : uiGlacier.minPixelThreshold));
+    print('• Start the tasks from the Tasks tab (annual, daily, pixel-level)');
   },
   style: {width: '200px'}
 });
 
 // Panneau principal de contrôle (gauche) - Contrôles de base
 var mainPanel = ui.Panel([
+  ui.Label('Glacier:', {fontWeight: 'bold'}),
+  glacierSelect,
   dateLabel,
   dateSlider,
   selectedDateLabel,
+  maskEpochLabel,
   loadDataButton,
   reloadButton,
   ui.Label(''),
@@ -1005,12 +3926,21 @@ var mainPanel = ui.Panel([
   ndsiSlider,
   glacierFractionLabel,
   glacierFractionSlider,
+  elevationBandLabel,
+  elevationBandSlider,
   minPixelLabel,
   minPixelSlider,
   ui.Label(''),
   statsLabel,
   ui.Label(''),
-  exportParamsButton
+  ui.Label('FILTER PROFILE:', {fontWeight: 'bold'}),
+  profileSelect,
+  profileTextbox,
+  loadProfileButton,
+  profileStatusLabel,
+  exportParamsButton,
+  exportCurrentSettingsButton,
+  significantOnlyCheckbox
 ], ui.Panel.Layout.flow('vertical'), {
   width: '380px',
   position: 'top-left'
@@ -1036,8 +3966,14 @@ var qaPanel = ui.Panel([
   flagCheckboxes.probablyClear,         // Bit 6
   flagCheckboxes.highSolarZenith,       // Bit 7
   ui.Label(''),
-  qaStatsLabel
-], ui.Panel.Layout.flow('vertical'), {
+  qaStatsLabel,
+  ui.Label(''),
+  ui.Label('QA Frequency Maps (% of observed days):', {fontSize: '12px', fontWeight: 'bold'}),
+  qaFrequencyPeriodSelect,
+  qaFrequencyPeriodLabel
+].concat(qaFrequencyControls.reduce(function(widgets, control) {
+  return widgets.concat([control.checkbox, control.legend]);
+}, [])), ui.Panel.Layout.flow('vertical'), {
   width: '350px',
   position: 'top-right'
 });
@@ -1047,8 +3983,8 @@ Map.add(qaPanel);
 
 // Initialisation de la carte
 Map.setOptions('SATELLITE'); // Set satellite as default basemap
-Map.centerObject(glacier_geometry, 12);
-Map.addLayer(glacier_mask.selfMask(), {palette: ['orange'], opacity: 0.5}, 'Saskatchewan Glacier Mask');
+Map.centerObject(activeGlacier.geometry, 12);
+Map.addLayer(activeGlacier.mask.selfMask(), glacierMaskVis, activeGlacier.name + ' Mask');
 
 // ┌────────────────────────────────────────────────────────────────────────────────────────┐
 // │ INSPECTEUR QA INTÉGRÉ                                                                  │
@@ -1080,24 +4016,13 @@ Map.onClick(function(coords) {
       
       // QA de base avec décodage
       var basicQA = props.NDSI_Snow_Cover_Basic_QA;
-      var basicQAText = 'Unknown';
-      if (basicQA !== undefined) {
-        switch(basicQA) {
-          case 0: basicQAText = 'Best quality'; break;
-          case 1: basicQAText = 'Good quality'; break;
-          case 2: basicQAText = 'OK quality'; break;
-          case 3: basicQAText = 'Poor quality'; break;
-          case 211: basicQAText = 'Night (no data)'; break;
-          case 239: basicQAText = 'Ocean'; break;
-          default: basicQAText = 'Unknown (' + basicQA + ')';
-        }
-      }
+      var basicQAText = albedoStats.decodeBasicQA(basicQA);
       print('🏷️ Basic QA: ' + basicQA + ' → ' + basicQAText);
       
       // Algorithm Flags avec décodage bit par bit détaillé
       var algFlags = props.NDSI_Snow_Cover_Algorithm_Flags_QA;
       if (algFlags !== undefined) {
-        print('🔍 Algorithm Flags: ' + algFlags + ' (binaire: ' + padBinary(algFlags, 8) + ')');
+        print('🔍 Algorithm Flags: ' + algFlags + ' (binaire: ' + albedoStats.padBinary(algFlags, 8) + ')');
         print('┌─ Analyse détaillée des flags ─┐');
         
         // Bit 0 - Inland Water
@@ -1165,7 +4090,7 @@ Map.onClick(function(coords) {
       }
       
       // Fraction glacier à ce pixel
-      var glacierFractionValue = STATIC_GLACIER_FRACTION.sample(point, 500).first();
+      var glacierFractionValue = currentFraction.sample(point, 500).first();
       glacierFractionValue.getInfo(function(fracResult) {
         if (fracResult && fracResult.properties && fracResult.properties.constant !== undefined) {
           var fraction = (fracResult.properties.constant * 100).toFixed(1);
@@ -1238,38 +4163,301 @@ loadBaseData();
 // │ SECTION 8 : EXPORTS OPTIMISÉS                                                         │
 // └────────────────────────────────────────────────────────────────────────────────────────┘
 
-// 12. Export des statistiques annuelles
-Export.table.toDrive({
-  collection: annual_albedo_high_snow,
-  description: 'Saskatchewan_Albedo_High_Snow_Optimized_Annual_2010_2024',
-  folder: 'GEE_exports',
-  fileNamePrefix: 'MOD10A1_albedo_high_snow_optimized_annual_2010_2024',
-  fileFormat: 'CSV'
+// 12-14. Exports par glacier (annuel, quotidien, pixel-level)
+glacierRuns.forEach(function(run) {
+  // Suffixe de saison dans les noms d'export lorsque plusieurs saisons sont analysées
+  var seasonSuffix = SEASON_LIST.length > 1 ? '_' + run.glacier.season.name : '';
+  var label = run.glacier.exportLabel + seasonSuffix;
+  var id = run.glacier.id + seasonSuffix;
+  
+  // Mode incrémental : seuls les deltas et le manifeste sont exportés (14d)
+  if (INCREMENTAL_MODE) {
+    return;
+  }
+  
+  // 12. Export des statistiques annuelles
+  Export.table.toDrive({
+    collection: run.annual,
+    description: label + '_Albedo_High_Snow_Optimized_Annual_' + STUDY_PERIOD_TAG,
+    folder: 'GEE_exports',
+    fileNamePrefix: 'MOD10A1_' + id + '_albedo_high_snow_optimized_annual_' + STUDY_PERIOD_TAG,
+    fileFormat: 'CSV'
+  });
+  
+  // 13. Export des statistiques quotidiennes
+  Export.table.toDrive({
+    collection: run.daily,
+    description: label + '_Albedo_High_Snow_Optimized_Daily_' + STUDY_PERIOD_TAG,
+    folder: 'GEE_exports',
+    fileNamePrefix: 'MOD10A1_' + id + '_albedo_high_snow_optimized_daily_' + STUDY_PERIOD_TAG,
+    fileFormat: 'CSV'
+  });
+  
+  // 14. Export des données pixel-level (dataset complet de la période d'étude)
+  Export.table.toDrive({
+    collection: run.pixelLevel,
+    description: label + '_Albedo_Pixel_Level_Full_Dataset_' + STUDY_PERIOD_TAG,
+    folder: 'GEE_exports',
+    fileNamePrefix: 'MOD10A1_' + id + '_albedo_pixel_level_full_' + STUDY_PERIOD_TAG,
+    fileFormat: 'CSV'
+  });
+  
+  // 14a. Rapport inter-capteurs FUSION_PRODUCTS (biais, RMSE, corrélation par classe)
+  if (run.interSensor) {
+    Export.table.toDrive({
+      collection: run.interSensor,
+      description: label + '_Albedo_Inter_Sensor_' + FUSION_PRODUCTS.join('_') + '_Daily_' + STUDY_PERIOD_TAG,
+      folder: 'GEE_exports',
+      fileNamePrefix: FUSION_PRODUCTS.join('_') + '_' + id + '_inter_sensor_daily_' + STUDY_PERIOD_TAG,
+      fileFormat: 'CSV'
+    });
+  }
+  
+  // 14a'. Calibration inter-produits (biais, RMSE, pente/ordonnée par classe) et série harmonisée
+  var calibrationPrefix = CALIBRATION_PRODUCTS.reference + '_' + CALIBRATION_PRODUCTS.target;
+  if (run.calibration && EXPORT_CALIBRATION_REPORT) {
+    Export.table.toDrive({
+      collection: run.calibration,
+      description: label + '_Albedo_Calibration_' + calibrationPrefix,
+      folder: 'GEE_exports',
+      fileNamePrefix: calibrationPrefix + '_' + id + '_calibration_' + CALIBRATION_PERIOD[0].slice(0, 4) + '_' + CALIBRATION_PERIOD[1].slice(0, 4),
+      fileFormat: 'CSV'
+    });
+  }
+  if (run.harmonised) {
+    Export.table.toDrive({
+      collection: run.harmonised,
+      description: label + '_Albedo_Harmonised_Daily_' + calibrationPrefix + '_' + STUDY_PERIOD_TAG,
+      folder: 'GEE_exports',
+      fileNamePrefix: calibrationPrefix + '_' + id + '_albedo_harmonised_daily_' + STUDY_PERIOD_TAG,
+      fileFormat: 'CSV'
+    });
+  }
+  
+  // 14a''. Climatologie jour de l'année et événements extrêmes quotidiens
+  if (run.anomalyEvents) {
+    Export.table.toDrive({
+      collection: run.climatology,
+      description: label + '_Albedo_Daily_Climatology_' + STUDY_PERIOD_TAG,
+      folder: 'GEE_exports',
+      fileNamePrefix: 'MOD10A1_' + id + '_albedo_daily_climatology_' + STUDY_PERIOD_TAG,
+      fileFormat: 'CSV'
+    });
+    
+    Export.table.toDrive({
+      collection: run.anomalyEvents,
+      description: label + '_Albedo_Extreme_Events_' + STUDY_PERIOD_TAG,
+      folder: 'GEE_exports',
+      fileNamePrefix: 'MOD10A1_' + id + '_albedo_extreme_events_' + STUDY_PERIOD_TAG,
+      fileFormat: 'CSV'
+    });
+  }
+  
+  // 14a'''. Cartes d'albédo comblées au pixel (albedo_filled + fill_flag) pour GAP_FILL_MAP_DATES
+  if (run.filledImages) {
+    GAP_FILL_MAP_DATES.forEach(function(dateString) {
+      var day = ee.Date(dateString);
+      Export.image.toDrive({
+        image: ee.Image(run.filledImages.filterDate(day, day.advance(1, 'day')).first()).toFloat(),
+        description: label + '_Albedo_Gap_Filled_' + dateString.replace(/-/g, ''),
+        folder: 'GEE_exports',
+        fileNamePrefix: 'MOD10A1_' + id + '_albedo_gap_filled_' + dateString.replace(/-/g, ''),
+        region: run.glacier.geometry,
+        scale: 500,
+        maxPixels: 1e9
+      });
+    });
+  }
+  
+  // 14a''''. Composites temporels : un CSV par type de période, rasters en pile multi-bandes par année
+  Object.keys(run.composites).forEach(function(periodType) {
+    Export.table.toDrive({
+      collection: run.composites[periodType],
+      description: label + '_Albedo_Composite_' + periodType + '_' + STUDY_PERIOD_TAG,
+      folder: 'GEE_exports',
+      fileNamePrefix: 'MOD10A1_' + id + '_albedo_composite_' + periodType + '_' + STUDY_PERIOD_TAG,
+      fileFormat: 'CSV'
+    });
+  });
+  COMPOSITE_MAP_YEARS.forEach(function(year) {
+    Export.image.toDrive({
+      image: buildCompositeImages(run.dailyCollection, run.glacier, COMPOSITE_MAP_PERIOD, year).toBands(),
+      description: label + '_Albedo_Composite_Maps_' + COMPOSITE_MAP_PERIOD + '_' + year,
+      folder: 'GEE_exports',
+      fileNamePrefix: 'MOD10A1_' + id + '_albedo_composite_maps_' + COMPOSITE_MAP_PERIOD + '_' + year,
+      region: run.glacier.geometry,
+      scale: 500,
+      maxPixels: 1e9
+    });
+  });
+  
+  // 14a'''''. Tendances par pixel : GeoTIFF multi-bandes et résumé des pentes par classe
+  if (run.pixelTrendSummary) {
+    Export.image.toDrive({
+      image: run.pixelTrend,
+      description: label + '_Albedo_Pixel_Trends_' + STUDY_PERIOD_TAG,
+      folder: 'GEE_exports',
+      fileNamePrefix: 'MOD10A1_' + id + '_albedo_pixel_trends_' + STUDY_PERIOD_TAG,
+      region: run.glacier.geometry,
+      scale: 500,
+      maxPixels: 1e9,
+      fileFormat: 'GeoTIFF'
+    });
+    
+    Export.table.toDrive({
+      collection: run.pixelTrendSummary,
+      description: label + '_Albedo_Pixel_Trend_Summary_' + STUDY_PERIOD_TAG,
+      folder: 'GEE_exports',
+      fileNamePrefix: 'MOD10A1_' + id + '_albedo_pixel_trend_summary_' + STUDY_PERIOD_TAG,
+      fileFormat: 'CSV'
+    });
+  }
+  
+  // 14b. Série annuelle surface constante (comparaison avec le masque évolutif)
+  if (run.annualConstantArea) {
+    Export.table.toDrive({
+      collection: run.annualConstantArea,
+      description: label + '_Albedo_High_Snow_Constant_Area_Annual_' + STUDY_PERIOD_TAG,
+      folder: 'GEE_exports',
+      fileNamePrefix: 'MOD10A1_' + id + '_albedo_high_snow_constant_area_annual_' + STUDY_PERIOD_TAG,
+      fileFormat: 'CSV'
+    });
+  }
+  
+  // 14b'. Impact du filtrage : pixels retirés par étape (quotidien) et pixel-jours retirés par année
+  if (run.filterImpact) {
+    Export.table.toDrive({
+      collection: run.filterImpact,
+      description: label + '_Albedo_Filter_Impact_Daily_' + STUDY_PERIOD_TAG,
+      folder: 'GEE_exports',
+      fileNamePrefix: 'MOD10A1_' + id + '_albedo_filter_impact_daily_' + STUDY_PERIOD_TAG,
+      fileFormat: 'CSV'
+    });
+    
+    Export.table.toDrive({
+      collection: run.filterImpactAnnual,
+      description: label + '_Albedo_Filter_Impact_Annual_' + STUDY_PERIOD_TAG,
+      folder: 'GEE_exports',
+      fileNamePrefix: 'MOD10A1_' + id + '_albedo_filter_impact_annual_' + STUDY_PERIOD_TAG,
+      fileFormat: 'CSV'
+    });
+  }
+  
+  // 14b''. Cartes de fréquence QA (GeoTIFF multi-bandes : <indicateur>_pct, observed_days)
+  if (run.qaFrequency) {
+    // Les propriétés d'image ne sont pas écrites dans le GeoTIFF : qa_config_hash suffixe le nom du fichier
+    var qaFrequencyTag = resolveQAFrequencyPeriod(QA_FREQUENCY_PERIOD, run.glacier.season).tag + '_' +
+      getQAConfigProperties(run.glacier).qa_config_hash;
+    Export.image.toDrive({
+      image: run.qaFrequency,
+      description: label + '_QA_Frequency_Maps_' + qaFrequencyTag,
+      folder: 'GEE_exports',
+      fileNamePrefix: 'MOD10A1_' + id + '_qa_frequency_maps_' + qaFrequencyTag,
+      region: run.glacier.geometry,
+      scale: 500,
+      maxPixels: 1e9,
+      fileFormat: 'GeoTIFF'
+    });
+  }
 });
 
-// 13. Export des statistiques quotidiennes
-Export.table.toDrive({
-  collection: dailyAlbedoHighSnow,
-  description: 'Saskatchewan_Albedo_High_Snow_Optimized_Daily_2010_2024',
-  folder: 'GEE_exports',
-  fileNamePrefix: 'MOD10A1_albedo_high_snow_optimized_daily_2010_2024',
-  fileFormat: 'CSV'
-});
+// 14c. Tables combinées de tous les glaciers (clé: glacier_id)
+if (!INCREMENTAL_MODE) {
+  Export.table.toDrive({
+    collection: annual_albedo_high_snow,
+    description: 'All_Glaciers_Albedo_High_Snow_Optimized_Annual_' + STUDY_PERIOD_TAG,
+    folder: 'GEE_exports',
+    fileNamePrefix: 'MOD10A1_all_glaciers_albedo_high_snow_optimized_annual_' + STUDY_PERIOD_TAG,
+    fileFormat: 'CSV'
+  });
+  
+  Export.table.toDrive({
+    collection: dailyAlbedoHighSnow,
+    description: 'All_Glaciers_Albedo_High_Snow_Optimized_Daily_' + STUDY_PERIOD_TAG,
+    folder: 'GEE_exports',
+    fileNamePrefix: 'MOD10A1_all_glaciers_albedo_high_snow_optimized_daily_' + STUDY_PERIOD_TAG,
+    fileFormat: 'CSV'
+  });
+}
 
-// 14. Export des données pixel-level (dataset complet 2010-2024)
-Export.table.toDrive({
-  collection: pixelLevelData,
-  description: 'Saskatchewan_Albedo_Pixel_Level_Full_Dataset_2010_2024',
-  folder: 'GEE_exports',
-  fileNamePrefix: 'MOD10A1_albedo_pixel_level_full_2010_2024',
-  fileFormat: 'CSV'
-});
+// 14d. Mode incrémental : deltas quotidien et pixel-level (tous glaciers et saisons) et manifeste
+if (INCREMENTAL_MODE) {
+  var incrementalDaily = ee.FeatureCollection(glacierRuns.map(function(run) { return run.incremental.daily; })).flatten();
+  var incrementalPixelLevel = ee.FeatureCollection(glacierRuns.map(function(run) { return run.incremental.pixelLevel; })).flatten();
+  var manifestRows = ee.FeatureCollection(glacierRuns.map(function(run) { return run.incremental.manifest; }));
+  var manifest = INCREMENTAL_MANIFEST_ASSET ?
+    ee.FeatureCollection(INCREMENTAL_MANIFEST_ASSET).merge(manifestRows) :
+    manifestRows;
+  
+  if (INCREMENTAL_OUTPUT === 'delta') {
+    Export.table.toDrive({
+      collection: incrementalDaily,
+      description: 'All_Glaciers_Albedo_Daily_Delta_' + INCREMENTAL_RUN_TAG,
+      folder: 'GEE_exports',
+      fileNamePrefix: 'MOD10A1_all_glaciers_albedo_daily_delta_' + INCREMENTAL_RUN_TAG,
+      fileFormat: 'CSV'
+    });
+    
+    Export.table.toDrive({
+      collection: incrementalPixelLevel,
+      description: 'All_Glaciers_Albedo_Pixel_Level_Delta_' + INCREMENTAL_RUN_TAG,
+      folder: 'GEE_exports',
+      fileNamePrefix: 'MOD10A1_all_glaciers_albedo_pixel_level_delta_' + INCREMENTAL_RUN_TAG,
+      fileFormat: 'CSV'
+    });
+  } else {
+    // Table quotidienne existante + delta (nouvel asset daté) ; pixel-level en asset delta séparé
+    Export.table.toAsset({
+      collection: ee.FeatureCollection(INCREMENTAL_SOURCE_ASSET).merge(incrementalDaily),
+      description: 'All_Glaciers_Albedo_Daily_Appended_' + INCREMENTAL_RUN_TAG,
+      assetId: INCREMENTAL_ASSET_ROOT + '/albedo_daily_' + INCREMENTAL_RUN_TAG
+    });
+    
+    Export.table.toAsset({
+      collection: incrementalPixelLevel,
+      description: 'All_Glaciers_Albedo_Pixel_Level_Delta_' + INCREMENTAL_RUN_TAG,
+      assetId: INCREMENTAL_ASSET_ROOT + '/albedo_pixel_level_delta_' + INCREMENTAL_RUN_TAG
+    });
+  }
+  
+  Export.table.toDrive({
+    collection: manifest,
+    description: 'All_Glaciers_Albedo_Incremental_Manifest_' + INCREMENTAL_RUN_TAG,
+    folder: 'GEE_exports',
+    fileNamePrefix: 'MOD10A1_all_glaciers_albedo_incremental_manifest_' + INCREMENTAL_RUN_TAG,
+    fileFormat: 'CSV'
+  });
+  
+  Export.table.toAsset({
+    collection: manifest,
+    description: 'All_Glaciers_Albedo_Incremental_Manifest_Asset_' + INCREMENTAL_RUN_TAG,
+    assetId: INCREMENTAL_ASSET_ROOT + '/albedo_manifest_' + INCREMENTAL_RUN_TAG
+  });
+  
+  print('🔁 Incremental mode (' + INCREMENTAL_OUTPUT + '): only images after the last processed date are exported');
+  print('   • Next run: set INCREMENTAL_MANIFEST_ASSET to ' + INCREMENTAL_ASSET_ROOT + '/albedo_manifest_' + INCREMENTAL_RUN_TAG +
+    (INCREMENTAL_OUTPUT === 'asset' ? ' and INCREMENTAL_SOURCE_ASSET to ' + INCREMENTAL_ASSET_ROOT + '/albedo_daily_' + INCREMENTAL_RUN_TAG : ''));
+  print('Incremental manifest (this run):', manifestRows);
+  manifest.filter(ee.Filter.inList('status', ['gap', 'overlap'])).evaluate(function(issues) {
+    if (!issues) {
+      return;
+    }
+    issues.features.forEach(function(feature) {
+      var p = feature.properties;
+      print('⚠️ Manifest ' + p.status + ': ' + p.glacier_id + ' / ' + p.season + ' processed after ' + p.processed_after +
+        ' on ' + p.processed_on + ' (' + (p.status === 'gap' ? 'days skipped since the previous range' : 'days processed twice') + ')');
+    });
+  });
+}
 
 print('');
 print('╔════════════════════════════════════════════════════════════════════════════════════════╗');
 print('║                          📄 PIXEL-LEVEL CSV EXPORT COLUMNS 📄                         ║');
 print('╚════════════════════════════════════════════════════════════════════════════════════════╝');
 print('');
+print('🏔️ GLACIER:');
+print('   • glacier_id (registry id, also in annual/daily tables)');
+print('');
 print('🕐 TEMPORAL INFORMATION:');
 print('   • date (YYYY-MM-DD)');
 print('   • year, doy (day of year), decimal_year');
@@ -1277,8 +4465,10 @@ print('   • system:time_start (timestamp)');
 print('');
 print('🌍 SPATIAL INFORMATION:');
 print('   • longitude, latitude (decimal degrees)');
-print('   • glacier_fraction_pct (0-100%)');
-print('   • glacier_class (0-25%, 25-50%, 50-75%, 75-90%, 90-100%)');
+print('   • glacier_fraction_pct (0-100%, from the mask epoch used for that date)');
+print('   • mask_epoch (mask epoch used: year, interpolated pair or constant_area)');
+print('   • elevation_m (mean ' + DEM_SOURCE + ' elevation of the MODIS pixel, m)');
+print('   • glacier_class (' + FRACTION_CLASSES.map(function(c) { return c.label; }).join(', ') + ')');
 print('');
 print('❄️ SNOW/ALBEDO DATA:');
 print('   • ndsi_snow_cover (0-100 index)');
@@ -1289,7 +4479,9 @@ print('🏷️ QUALITY ASSESSMENT:');
 print('   • basic_qa (0=Best, 1=Good, 2=OK, 3=Poor, 211=Night, 239=Ocean)');
 print('   • basic_qa_text (human readable)');
 print('   • algorithm_flags (0-255 raw 8-bit value)');
-print('   • passes_standard_qa (0/1 boolean)');
+print('   • passes_standard_qa (0/1 boolean, QA configuration of the export)');
+print('   • qa_config_hash, qa_basic_level, qa_excluded_flags (bit mask), NDSI / fraction / minimum pixel thresholds');
+print('   • source_sensor (0=none valid, 1=MOD10A1, 2=MYD10A1, 3=mean of both fused products; mode: ' + SENSOR_FUSION_MODE + ')');
 print('');
 print('🚩 INDIVIDUAL QA FLAGS (0/1 boolean):');
 print('   • flag_inland_water (Bit 0)');
@@ -1302,14 +4494,14 @@ print('   • flag_probably_clear (Bit 6) - OPTIMAL v6.1');
 print('   • flag_high_solar_zenith (Bit 7) - IMPORTANT');
 print('');
 print('💡 USAGE NOTES:');
-print('   • Sample export limited to 10 dates for testing');
+print('   • Full export: every observation date of the study period (no date sampling)');
 print('   • Each row = one pixel observation');
 print('   • Filter by passes_standard_qa=1 for research-grade data');
 print('   • Use individual flags for custom quality filtering');
 print('   • glacier_class helps stratify analysis by ice coverage');
 print('');
 print('⚠️ FULL DATASET EXPORT - IMPORTANT NOTES:');
-print('   • Processing ALL observation dates from 2010-2024 (15 years)');
+print('   • Processing ALL observation dates from ' + STUDY_PERIOD_LABEL + ' (' + STUDY_YEAR_LIST.length + ' years)');
 print('   • Expected file size: ~5-10 million rows (very large CSV)');
 print('   • Processing time: 30-60 minutes depending on GEE load');
 print('   • Ensure adequate storage space before export');
@@ -1320,86 +4512,169 @@ print('════════════════════════
 // Note: Export image défaillant supprimé (variables non définies corrigées)
 
 // ┌────────────────────────────────────────────────────────────────────────────────────────┐
-// │ SECTION 9 : ANALYSE COMPARATIVE AVEC CORRECTION BUGS                                  │
+// │ SECTION: STATISTIQUES DE TENDANCE (CÔTÉ CLIENT)                                        │
 // └────────────────────────────────────────────────────────────────────────────────────────┘
+// Les calculs sont dans le module albedo_statistics (fonctions pures sur des points {x, y}) ;
+// cette section regroupe les options issues de la configuration et la mise en table des résultats.
 
-// 14. Fonction pour comparer avec albédo non filtré (bugs corrigés)
-function compareWithUnfilteredAlbedoSafe(img) {
-  var date = img.date();
-  var snow_cover = img.select('NDSI_Snow_Cover');
-  var snow_albedo = img.select('Snow_Albedo_Daily_Tile').divide(100);
-  
-  // Limiter aux pixels glacier
-  var glacier_pixels = STATIC_GLACIER_FRACTION.gt(0);
-  
-  // Masque de base avec qualité améliorée - utilise configuration QA standard
-  var base_mask = createStandardQualityMask(img).and(img.select('Snow_Albedo_Daily_Tile').lte(100));
-  
-  // Masque avec double filtrage
-  var double_filter_mask = base_mask
-    .and(snow_cover.gte(NDSI_SNOW_THRESHOLD))
-    .and(STATIC_GLACIER_FRACTION.gte(GLACIER_FRACTION_THRESHOLD / 100));
-  
-  // Albédo non filtré et filtré avec noms cohérents
-  var unfiltered_albedo = snow_albedo.updateMask(base_mask).updateMask(glacier_pixels).rename('unfiltered_albedo');
-  var filtered_albedo = snow_albedo.updateMask(double_filter_mask).updateMask(glacier_pixels).rename('filtered_albedo');
-  
-  // Statistiques avec gestion d'erreur
-  var unfiltered_stats = unfiltered_albedo.reduceRegion({
-    reducer: ee.Reducer.mean().combine(ee.Reducer.count(), '', true),
-    geometry: glacier_geometry,
-    scale: 500,
-    maxPixels: 1e9,
-    tileScale: 2
-  });
+// Options de albedoStats.trendStatistics issues de la section 1
+var TREND_OPTIONS = {
+  confidenceLevel: TREND_CONFIDENCE_LEVEL,
+  bootstrapIterations: BOOTSTRAP_ITERATIONS,
+  bootstrapSeed: BOOTSTRAP_SEED,
+  maxBreakpoints: CHANGE_POINT_MAX_BREAKPOINTS,
+  minSegment: CHANGE_POINT_MIN_SEGMENT,
+  anomalyThreshold: 2.0
+};
+
+// Lignes de la table des résultats (une par classe × métrique) avec paramètres et horodatage.
+// classResults : [{className, label, n, stats (albedoStats.trendStatistics, null si classe ignorée)}] ; objets simples, convertis en ee.Feature à l'export.
+// glacier : contexte glacier (identifiant et profil de filtrage de la série analysée).
+function buildTrendStatisticsRows(classResults, glacier, runTimestamp) {
+  var glacierId = glacier.id;
+  var qa_properties = getQAConfigProperties(glacier);
+  var parameters = {
+    'confidence_level': TREND_CONFIDENCE_LEVEL,
+    'bootstrap_iterations': BOOTSTRAP_ITERATIONS,
+    'bootstrap_seed': BOOTSTRAP_SEED,
+    'change_point_max_breakpoints': CHANGE_POINT_MAX_BREAKPOINTS,
+    'change_point_min_segment': CHANGE_POINT_MIN_SEGMENT,
+    'min_years': DEEP_STATS_MIN_YEARS,
+    'run_timestamp': runTimestamp
+  };
+  Object.keys(qa_properties).forEach(function(key) { parameters[key] = qa_properties[key]; });
+  var rows = [];
   
-  var filtered_stats = filtered_albedo.reduceRegion({
-    reducer: ee.Reducer.mean().combine(ee.Reducer.count(), '', true),
-    geometry: glacier_geometry,
-    scale: 500,
-    maxPixels: 1e9,
-    tileScale: 2
+  classResults.forEach(function(result) {
+    var st = result.stats;
+    var addRow = function(metric, value, extra) {
+      var row = {
+        'glacier_id': glacierId,
+        'fraction_class': result.className,
+        'class_label': result.label,
+        'status': st ? 'ok' : 'skipped',
+        'n_years': result.n,
+        'period_start': st ? st.xs[0] : null,
+        'period_end': st ? st.xs[st.n - 1] : null,
+        'metric': metric,
+        'value': value === undefined || (typeof value === 'number' && !isFinite(value)) ? null : value,
+        'lower': null,
+        'upper': null,
+        'p_value': null,
+        'detail': ''
+      };
+      Object.keys(extra || {}).forEach(function(key) { row[key] = extra[key]; });
+      Object.keys(parameters).forEach(function(key) { row[key] = parameters[key]; });
+      rows.push(row);
+    };
+    
+    if (!st) {
+      addRow('status', null, {detail: 'fewer than ' + DEEP_STATS_MIN_YEARS + ' valid years'});
+      return;
+    }
+    
+    addRow('mean_albedo', st.mean);
+    if (st.sens) {
+      addRow('sens_slope', st.sens.slope, {lower: st.rankCI ? st.rankCI.lower : null, upper: st.rankCI ? st.rankCI.upper : null,
+        detail: 'albedo/year, rank-based CI'});
+      if (st.bootstrapCI) {
+        addRow('sens_slope_bootstrap_ci', st.sens.slope, {lower: st.bootstrapCI.lower, upper: st.bootstrapCI.upper,
+          detail: st.bootstrapCI.iterations + ' resamples'});
+      }
+      addRow('decadal_change', st.sens.slope * 10, {detail: 'albedo/decade'});
+    }
+    if (st.mannKendall) {
+      addRow('mann_kendall_z', st.mannKendall.z, {p_value: st.mannKendall.pValue,
+        detail: 'S=' + st.mannKendall.S + ', Var(S)=' + st.mannKendall.varS.toFixed(2)});
+    }
+    if (st.hamedRao) {
+      addRow('mann_kendall_hamed_rao_z', st.hamedRao.z, {p_value: st.hamedRao.pValue,
+        detail: 'n/n*=' + st.hamedRao.correctionFactor.toFixed(3)});
+    }
+    if (st.prewhitened) {
+      addRow('mann_kendall_prewhitened_z', st.prewhitened.z, {p_value: st.prewhitened.pValue,
+        detail: 'r1=' + st.prewhitened.lag1.toFixed(3)});
+    }
+    if (st.pettitt) {
+      addRow('pettitt_change_year', st.pettitt.x, {p_value: st.pettitt.pValue,
+        detail: st.pettitt.direction + ', K=' + st.pettitt.K});
+    }
+    if (st.segmentation) {
+      addRow('breakpoint_count', st.segmentation.breakpoints.length, {detail: 'BIC=' + st.segmentation.bic.toFixed(2)});
+      st.segmentation.breakpoints.forEach(function(bp, idx) {
+        addRow('breakpoint_' + (idx + 1) + '_year', bp.x, {lower: bp.lowerX, upper: bp.upperX, detail: '95% likelihood interval'});
+      });
+      st.segmentation.segments.forEach(function(seg, idx) {
+        addRow('segment_' + (idx + 1) + '_slope', seg.slope, {detail: seg.startX + '-' + seg.endX});
+      });
+    }
+    addRow('std_dev', st.stdDev);
+    addRow('cv_pct', st.cv);
+    if (st.rollingCV) {
+      addRow('rolling_cv_min_pct', st.rollingCV.min.cv, {detail: '5-year window ending ' + st.rollingCV.min.x});
+      addRow('rolling_cv_max_pct', st.rollingCV.max.cv, {detail: '5-year window ending ' + st.rollingCV.max.x});
+    }
+    if (st.anomalies) {
+      addRow('anomaly_count', st.anomalies.length, {detail: st.anomalies.map(function(anom) {
+        return anom.x + ' (z=' + anom.z.toFixed(2) + ')';
+      }).join('; ')});
+    }
+    if (st.autocorrelation !== null) addRow('lag1_autocorrelation', st.autocorrelation);
+    if (st.periodComparison) {
+      addRow('early_late_difference', st.periodComparison.difference, {lower: st.periodComparison.earlyMean,
+        upper: st.periodComparison.lateMean, detail: 'lower=early mean, upper=late mean'});
+      addRow('early_late_relative_change_pct', st.periodComparison.relativeChange);
+    }
   });
   
-  // Récupération sécurisée des valeurs avec conversion client-side appropriée
-  var filtered_mean = filtered_stats.get('filtered_albedo_mean');
-  var unfiltered_mean = unfiltered_stats.get('unfiltered_albedo_mean');
-  var filtered_count = filtered_stats.get('filtered_albedo_count');
-  var unfiltered_count = unfiltered_stats.get('unfiltered_albedo_count');
-  
-  // Calcul de différence sécurisé - approche simple sans null checking
-  var difference = ee.Algorithms.If(
-    filtered_mean,
-    ee.Algorithms.If(
-      unfiltered_mean,
-      ee.Number(filtered_mean).subtract(ee.Number(unfiltered_mean)),
-      null
-    ),
-    null
-  );
-  
-  // Calcul des métadonnées temporelles
-  var year = date.get('year');
-  var doy = date.getRelative('day', 'year').add(1);
-  var decimal_year = year.add(doy.divide(365.25));
+  return rows;
+}
+
+// Lignes de la table des tendances infra-saisonnières (une par fenêtre × classe).
+// seriesRows : lignes de buildSubseasonalSeries évaluées (propriétés) ; objets simples, convertis en ee.Feature à l'export.
+function buildSubseasonalTrendRows(seriesRows, glacierId, season, runTimestamp) {
+  var rows = [];
   
-  return ee.Feature(null, {
-    'system:time_start': date.millis(),
-    'date': date.format('YYYY-MM-dd'),
-    'year': year,
-    'doy': doy,
-    'decimal_year': decimal_year,
-    'unfiltered_mean': unfiltered_mean,
-    'unfiltered_count': unfiltered_count,
-    'filtered_mean': filtered_mean,
-    'filtered_count': filtered_count,
-    'difference': difference,
-    'has_high_snow': ee.Algorithms.If(
-      ee.Algorithms.IsEqual(filtered_mean, null),
-      0,
-      1
-    )
+  buildSubseasonalWindows(season).forEach(function(window) {
+    var windowRows = seriesRows.filter(function(row) { return row.window === window.name; });
+    
+    FRACTION_CLASSES.forEach(function(fractionClass) {
+      var className = fractionClass.name;
+      var points = albedoStats.cleanSeries(windowRows.map(function(row) {
+        return {x: row.year, y: row[className + '_mean']};
+      }));
+      var ok = points.length >= DEEP_STATS_MIN_YEARS;
+      var sens = ok ? albedoStats.sensSlope(points) : null;
+      var mk = ok ? albedoStats.mannKendall(points) : null;
+      var rankCI = ok ? albedoStats.sensSlopeRankCI(points, TREND_CONFIDENCE_LEVEL) : null;
+      
+      rows.push({
+        'glacier_id': glacierId,
+        'season': season.name,
+        'window': window.name,
+        'window_label': window.label,
+        'window_type': window.type,
+        'window_start': window.start,
+        'window_end': window.end,
+        'fraction_class': className,
+        'class_label': fractionClass.label,
+        'status': ok ? 'ok' : 'skipped',
+        'n_years': points.length,
+        'sens_slope': sens ? sens.slope : null,
+        'ci_lower': rankCI ? rankCI.lower : null,
+        'ci_upper': rankCI ? rankCI.upper : null,
+        'mk_z': mk ? mk.z : null,
+        'mk_p': mk ? mk.pValue : null,
+        'significance': mk ? albedoStats.formatSignificance(mk.pValue, TREND_CONFIDENCE_LEVEL) : 'n/a',
+        'min_valid_days': SUBSEASONAL_MIN_VALID_DAYS,
+        'min_years': DEEP_STATS_MIN_YEARS,
+        'confidence_level': TREND_CONFIDENCE_LEVEL,
+        'run_timestamp': runTimestamp
+      });
+    });
   });
+  
+  return rows;
 }
 
 // ┌────────────────────────────────────────────────────────────────────────────────────────┐
@@ -1412,123 +4687,143 @@ print('╔═══════════════════════
 print('║                    DEEP STATISTICAL ANALYSIS - GLACIER ALBEDO RESEARCH                 ║');
 print('╚════════════════════════════════════════════════════════════════════════════════════════╝');
 
-// Extract data arrays for analysis - using correct column name for highest glacier fraction
-var pureIceData = annual_albedo_high_snow.filter(ee.Filter.neq('glacier_90_100pct_high_snow_mean', null));
-var dataArrays = pureIceData.aggregate_array('year').zip(pureIceData.aggregate_array('glacier_90_100pct_high_snow_mean'));
+// Analysis runs on the first glacier of the registry (per-glacier tables are in the exports)
+// Every fraction class is analysed; the detailed report covers the purest class and all
+// classes are summarised in one comparison table (class × metric)
+var statsGlacier = GLACIERS[0];
+print('🏔️ Glacier: ' + statsGlacier.name + ' (' + statsGlacier.id + '), season ' + ACTIVE_SEASON.name + ' (' + ACTIVE_SEASON.label + ')');
+var statsAnnual = glacierRuns[0].annual;
+var classSeries = ee.Dictionary.fromLists(ANNUAL_CLASS_NAMES, ANNUAL_CLASS_NAMES.map(function(className) {
+  var valid = statsAnnual.filter(ee.Filter.neq(className + '_mean', null));
+  return valid.aggregate_array('year').zip(valid.aggregate_array(className + '_mean'));
+}));
 
-dataArrays.evaluate(function(arrays) {
-  if (!arrays || arrays.length < 5) {
-    print('⚠️ Insufficient data for deep analysis (need ≥5 years)');
-    return;
-  }
-  
-  var years = arrays.map(function(pair) { return pair[0]; });
-  var albedoValues = arrays.map(function(pair) { return pair[1]; });
-  var n = years.length;
+// Formatage d'une valeur éventuellement absente (null → 'n/a')
+function formatStat(value, digits) {
+  return value === null || value === undefined || !isFinite(value) ? 'n/a' : value.toFixed(digits);
+}
+
+// Rapport détaillé d'une classe (résultat de albedoStats.trendStatistics)
+function printDetailedTrendReport(stats, classLabel) {
+  var years = stats.xs;
+  var albedoValues = stats.ys;
+  var n = stats.n;
+  var sensSlope = stats.sens ? stats.sens.slope : null;
+  var ciLabel = (TREND_CONFIDENCE_LEVEL * 100).toFixed(0) + '% CI';
+  var significance = function(result) {
+    return result ? albedoStats.formatSignificance(result.pValue, TREND_CONFIDENCE_LEVEL) : 'n/a';
+  };
   
-  print('📊 DATASET OVERVIEW:');
+  print('📊 DATASET OVERVIEW (' + classLabel + ' glacier fraction):');
   print('• Analysis period: ' + years[0] + '-' + years[n-1] + ' (' + n + ' years)');
-  print('• Mean albedo: ' + (albedoValues.reduce(function(a, b) { return a + b; }) / n).toFixed(4));
+  print('• Mean albedo: ' + formatStat(stats.mean, 4));
   print('');
   
   // 1. SEN'S SLOPE ESTIMATOR - Robust non-parametric trend
   print('📈 SEN\'S SLOPE ANALYSIS (Robust Trend Detection):');
-  var slopes = [];
-  for (var i = 0; i < n; i++) {
-    for (var j = i + 1; j < n; j++) {
-      slopes.push((albedoValues[j] - albedoValues[i]) / (years[j] - years[i]));
-    }
+  print('• Sen\'s slope: ' + formatStat(sensSlope, 6) + ' albedo/year');
+  print('• ' + ciLabel + ' (rank-based): ' + (stats.rankCI ?
+    '[' + stats.rankCI.lower.toFixed(6) + ', ' + stats.rankCI.upper.toFixed(6) + ']' : 'n/a (series too short)'));
+  if (stats.bootstrapCI) {
+    print('• ' + ciLabel + ' (bootstrap, ' + stats.bootstrapCI.iterations + ' resamples, seed ' + BOOTSTRAP_SEED + '): [' +
+          stats.bootstrapCI.lower.toFixed(6) + ', ' + stats.bootstrapCI.upper.toFixed(6) + ']');
   }
-  slopes.sort(function(a, b) { return a - b; });
-  var sensSlope = slopes.length % 2 === 0 ? 
-    (slopes[slopes.length/2 - 1] + slopes[slopes.length/2]) / 2 : 
-    slopes[Math.floor(slopes.length/2)];
+  if (sensSlope !== null) {
+    print('• Decadal change: ' + (sensSlope * 10).toFixed(4) + ' albedo/decade');
+    print('• Total change (' + (years[n-1] - years[0]) + ' years): ' + (sensSlope * (years[n-1] - years[0])).toFixed(4));
+  }
+  print('');
   
-  print('• Sen\'s slope: ' + sensSlope.toFixed(6) + ' albedo/year');
-  print('• Decadal change: ' + (sensSlope * 10).toFixed(4) + ' albedo/decade');
-  print('• Total change (' + (years[n-1] - years[0]) + ' years): ' + (sensSlope * (years[n-1] - years[0])).toFixed(4));
+  // 1b. MANN-KENDALL SIGNIFICANCE - original and autocorrelation-corrected variants
+  var mk = stats.mannKendall;
+  var hamedRao = stats.hamedRao;
+  var prewhitened = stats.prewhitened;
+  print('📐 MANN-KENDALL TREND TEST (two-sided):');
+  if (mk) {
+    print('• S = ' + mk.S + ', Var(S) = ' + mk.varS.toFixed(2) + ' (' + mk.tieGroups + ' tie group(s) corrected)');
+    print('• Z = ' + mk.z.toFixed(3) + ', p = ' + mk.pValue.toFixed(4) + ' → ' + significance(mk));
+  }
+  if (hamedRao) {
+    print('• Hamed-Rao corrected: n/n* = ' + hamedRao.correctionFactor.toFixed(3) +
+          ' (significant rank lags: ' + (hamedRao.significantLags.length > 0 ? hamedRao.significantLags.join(', ') : 'none') + ')' +
+          ', Z = ' + hamedRao.z.toFixed(3) + ', p = ' + hamedRao.pValue.toFixed(4) + ' → ' + significance(hamedRao));
+  }
+  if (prewhitened) {
+    print('• Trend-free pre-whitening: r1 = ' + prewhitened.lag1.toFixed(3) +
+          ', S = ' + prewhitened.S + ', Z = ' + prewhitened.z.toFixed(3) + ', p = ' + prewhitened.pValue.toFixed(4) +
+          ' → ' + significance(prewhitened));
+  }
   print('');
   
   // 2. CHANGE POINT DETECTION
+  var pettitt = stats.pettitt;
+  var segmentation = stats.segmentation;
   print('🔍 CHANGE POINT DETECTION (Structural Breaks):');
-  var changePoints = [];
-  var threshold = 0.03; // 3% change threshold
-  var window = 3;
-  
-  for (var i = window; i < n - window; i++) {
-    var beforeSum = 0, afterSum = 0;
-    for (var k = i - window; k < i; k++) beforeSum += albedoValues[k];
-    for (var k = i; k < i + window; k++) afterSum += albedoValues[k];
-    
-    var before = beforeSum / window;
-    var after = afterSum / window;
-    var change = Math.abs(after - before);
-    
-    if (change > threshold) {
-      changePoints.push({
-        year: years[i],
-        magnitude: change,
-        direction: after > before ? 'increase' : 'decrease'
-      });
-    }
+  if (pettitt) {
+    print('• Pettitt test: most probable shift starting ' + pettitt.x + ' (' + pettitt.direction +
+          ', K=' + pettitt.K + ', p=' + pettitt.pValue.toFixed(4) + ') → ' + significance(pettitt));
   }
   
-  if (changePoints.length > 0) {
-    changePoints.forEach(function(cp) {
-      print('• ' + cp.year + ': ' + cp.direction + ' (Δ=' + cp.magnitude.toFixed(3) + ')');
+  if (segmentation) {
+    print('• Piecewise-linear BIC: ' + segmentation.candidates.map(function(c) {
+      return c.k + ' break(s)=' + c.bic.toFixed(2);
+    }).join(', ') + ' (min segment ' + CHANGE_POINT_MIN_SEGMENT + ' years)');
+    
+    if (segmentation.breakpoints.length > 0) {
+      segmentation.breakpoints.forEach(function(bp) {
+        print('• Breakpoint ' + bp.x + ' (95% likelihood interval: ' + bp.lowerX + '-' + bp.upperX + ')');
+      });
+    } else {
+      print('• No breakpoint selected by BIC (single linear trend)');
+    }
+    segmentation.segments.forEach(function(seg) {
+      print('  - Segment ' + seg.startX + '-' + seg.endX + ': slope ' + seg.slope.toFixed(6) + ' albedo/year');
     });
-  } else {
-    print('• No significant change points detected (threshold: ' + threshold + ')');
+    
+    // Segments ajustés superposés à la série annuelle (une colonne par segment → lignes discontinues)
+    var segmentColumns = segmentation.segments.map(function(seg, idx) {
+      return {id: 'segment_' + idx, label: 'Segment ' + seg.startX + '-' + seg.endX, type: 'number'};
+    });
+    var segmentRows = years.map(function(year, i) {
+      return {c: [{v: year}, {v: albedoValues[i]}].concat(segmentation.segments.map(function(seg) {
+        return {v: i >= seg.start && i <= seg.end ? seg.intercept + seg.slope * year : null};
+      }))};
+    });
+    var segmentSeries = {0: {lineWidth: 0, pointSize: 5, color: '#1f77b4'}};
+    segmentation.segments.forEach(function(seg, idx) {
+      segmentSeries[idx + 1] = {lineWidth: 3, pointSize: 0, color: 'red'};
+    });
+    print(ui.Chart({
+      cols: [{id: 'year', label: 'Year', type: 'number'}, {id: 'albedo', label: 'Observed', type: 'number'}].concat(segmentColumns),
+      rows: segmentRows
+    }, 'LineChart', {
+      title: 'Piecewise-linear segmentation (' + statsGlacier.name + ', ' + classLabel + ' glacier fraction)',
+      hAxis: {title: 'Year', format: '####'},
+      vAxis: {title: 'Mean Albedo'},
+      series: segmentSeries,
+      interpolateNulls: false,
+      height: 300
+    }));
   }
   print('');
   
   // 3. VARIANCE & STABILITY ANALYSIS
   print('📊 VARIABILITY ANALYSIS:');
-  var mean = albedoValues.reduce(function(a, b) { return a + b; }) / n;
-  var variance = albedoValues.map(function(v) { return Math.pow(v - mean, 2); })
-    .reduce(function(a, b) { return a + b; }) / (n - 1);
-  var stdDev = Math.sqrt(variance);
-  var cv = (stdDev / mean) * 100;
-  
-  print('• Standard deviation: ' + stdDev.toFixed(4));
-  print('• Coefficient of variation: ' + cv.toFixed(2) + '%');
-  
-  // Rolling 5-year statistics
-  if (n >= 5) {
-    var rollingCV = [];
-    for (var i = 4; i < n; i++) {
-      var windowData = albedoValues.slice(i-4, i+1);
-      var windowMean = windowData.reduce(function(a, b) { return a + b; }) / 5;
-      var windowVar = windowData.map(function(v) { return Math.pow(v - windowMean, 2); })
-        .reduce(function(a, b) { return a + b; }) / 4;
-      rollingCV.push({year: years[i], cv: (Math.sqrt(windowVar) / windowMean) * 100});
-    }
-    
-    var minCV = rollingCV.reduce(function(min, curr) { return curr.cv < min.cv ? curr : min; });
-    var maxCV = rollingCV.reduce(function(max, curr) { return curr.cv > max.cv ? curr : max; });
-    
-    print('• Most stable period: ' + minCV.year + ' (CV=' + minCV.cv.toFixed(1) + '%)');
-    print('• Most variable period: ' + maxCV.year + ' (CV=' + maxCV.cv.toFixed(1) + '%)');
+  print('• Standard deviation: ' + formatStat(stats.stdDev, 4));
+  print('• Coefficient of variation: ' + formatStat(stats.cv, 2) + '%');
+  if (stats.rollingCV) {
+    print('• Most stable period: ' + stats.rollingCV.min.x + ' (CV=' + stats.rollingCV.min.cv.toFixed(1) + '%)');
+    print('• Most variable period: ' + stats.rollingCV.max.x + ' (CV=' + stats.rollingCV.max.cv.toFixed(1) + '%)');
   }
   print('');
   
   // 4. ANOMALY DETECTION (Z-score analysis)
   print('⚠️ ANOMALY DETECTION (|z-score| > 2.0):');
-  var anomalies = albedoValues.map(function(value, i) {
-    var zScore = (value - mean) / stdDev;
-    return {
-      year: years[i],
-      albedo: value,
-      zScore: zScore,
-      isAnomaly: Math.abs(zScore) > 2.0
-    };
-  }).filter(function(item) { return item.isAnomaly; });
-  
-  if (anomalies.length > 0) {
-    anomalies.forEach(function(anom) {
-      print('• ' + anom.year + ': albedo=' + anom.albedo.toFixed(4) + 
-            ', z-score=' + anom.zScore.toFixed(2) + 
-            ' (' + (anom.zScore > 0 ? 'HIGH' : 'LOW') + ')');
+  if (stats.anomalies && stats.anomalies.length > 0) {
+    stats.anomalies.forEach(function(anom) {
+      print('• ' + anom.x + ': albedo=' + anom.y.toFixed(4) + 
+            ', z-score=' + anom.z.toFixed(2) + 
+            ' (' + (anom.z > 0 ? 'HIGH' : 'LOW') + ')');
     });
   } else {
     print('• No statistical anomalies detected (threshold: |z| > 2.0)');
@@ -1537,20 +4832,8 @@ dataArrays.evaluate(function(arrays) {
   
   // 5. AUTOCORRELATION ANALYSIS
   print('🔄 TEMPORAL PERSISTENCE (Lag-1 Autocorrelation):');
-  if (n >= 3) {
-    var x1 = albedoValues.slice(0, n-1);
-    var x2 = albedoValues.slice(1);
-    var mean1 = x1.reduce(function(a, b) { return a + b; }) / x1.length;
-    var mean2 = x2.reduce(function(a, b) { return a + b; }) / x2.length;
-    
-    var numerator = 0, denom1 = 0, denom2 = 0;
-    for (var i = 0; i < x1.length; i++) {
-      numerator += (x1[i] - mean1) * (x2[i] - mean2);
-      denom1 += Math.pow(x1[i] - mean1, 2);
-      denom2 += Math.pow(x2[i] - mean2, 2);
-    }
-    
-    var autocorr = numerator / Math.sqrt(denom1 * denom2);
+  if (stats.autocorrelation !== null) {
+    var autocorr = stats.autocorrelation;
     var persistence = autocorr > 0.5 ? 'HIGH' : autocorr > 0.2 ? 'MODERATE' : 'LOW';
     
     print('• Lag-1 autocorrelation: ' + autocorr.toFixed(3));
@@ -1563,22 +4846,130 @@ dataArrays.evaluate(function(arrays) {
   
   // 6. CLIMATE SIGNAL ANALYSIS
   print('🌡️ CLIMATE CHANGE SIGNAL (Early vs Late Period):');
-  if (n >= 10) {
-    var splitPoint = Math.floor(n / 2);
-    var earlyPeriod = albedoValues.slice(0, splitPoint);
-    var latePeriod = albedoValues.slice(-splitPoint);
+  if (stats.periodComparison) {
+    var el = stats.periodComparison;
+    print('• Early period (' + el.earlyStart + '-' + el.earlyEnd + ') mean: ' + el.earlyMean.toFixed(4));
+    print('• Late period (' + el.lateStart + '-' + el.lateEnd + ') mean: ' + el.lateMean.toFixed(4));
+    print('• Period difference: ' + el.difference.toFixed(4) + ' albedo units');
+    if (el.relativeChange === null) {
+      print('• Relative change: n/a (early period mean is 0)');
+    } else {
+      print('• Relative change: ' + el.relativeChange.toFixed(2) + '%');
+      print('• Climate signal: ' + (Math.abs(el.relativeChange) > 5 ? 'STRONG' : 
+                                   Math.abs(el.relativeChange) > 2 ? 'MODERATE' : 'WEAK'));
+    }
+  }
+  print('');
+}
+
+classSeries.evaluate(function(seriesByClass) {
+  if (!seriesByClass) {
+    print('⚠️ Deep analysis unavailable (annual table could not be evaluated)');
+    return;
+  }
+  
+  // Statistiques par classe ; classes trop courtes marquées SKIPPED au lieu d'interrompre l'analyse
+  var classResults = ANNUAL_CLASS_NAMES.map(function(className, idx) {
+    var points = (seriesByClass[className] || []).map(function(pair) { return {x: pair[0], y: pair[1]}; });
+    var n = albedoStats.cleanSeries(points).length;
+    return {
+      className: className,
+      label: FRACTION_CLASSES[idx].label,
+      n: n,
+      stats: n >= DEEP_STATS_MIN_YEARS ? albedoStats.trendStatistics(points, TREND_OPTIONS) : null
+    };
+  });
+  
+  var pureIceResult = classResults[classResults.length - 1];
+  if (!pureIceResult.stats) {
+    print('⚠️ ' + pureIceResult.label + ' class skipped in detailed report (' + pureIceResult.n +
+          ' valid years, need ≥' + DEEP_STATS_MIN_YEARS + ')');
+  } else {
+    printDetailedTrendReport(pureIceResult.stats, pureIceResult.label);
+  }
+  
+  // 7. CLASS COMPARISON TABLE (class × metric)
+  print('📋 TREND COMPARISON BY GLACIER FRACTION CLASS:');
+  var metricColumns = [
+    {id: 'class', label: 'Class', type: 'string'},
+    {id: 'status', label: 'Status', type: 'string'},
+    {id: 'n_years', label: 'Years', type: 'number'},
+    {id: 'mean', label: 'Mean albedo', type: 'number'},
+    {id: 'sens_slope', label: 'Sen slope (/yr)', type: 'number'},
+    {id: 'ci_lower', label: 'CI lower', type: 'number'},
+    {id: 'ci_upper', label: 'CI upper', type: 'number'},
+    {id: 'mk_p', label: 'MK p', type: 'number'},
+    {id: 'hamed_rao_p', label: 'Hamed-Rao p', type: 'number'},
+    {id: 'pettitt_year', label: 'Pettitt year', type: 'number'},
+    {id: 'pettitt_p', label: 'Pettitt p', type: 'number'},
+    {id: 'breakpoints', label: 'BIC breakpoints', type: 'string'},
+    {id: 'std_dev', label: 'Std dev', type: 'number'},
+    {id: 'cv', label: 'CV (%)', type: 'number'},
+    {id: 'anomalies', label: 'Anomalous years', type: 'number'},
+    {id: 'lag1', label: 'Lag-1 r', type: 'number'},
+    {id: 'early_late_pct', label: 'Late vs early (%)', type: 'number'}
+  ];
+  var round = function(value, digits) {
+    return value === null || value === undefined || !isFinite(value) ? null : Number(value.toFixed(digits));
+  };
+  var comparisonRows = classResults.map(function(result) {
+    if (!result.stats) {
+      return {c: [{v: result.label}, {v: 'SKIPPED (' + result.n + ' < ' + DEEP_STATS_MIN_YEARS + ' years)'}, {v: result.n}]
+        .concat(metricColumns.slice(3).map(function() { return {v: null}; }))};
+    }
+    var st = result.stats;
+    return {c: [
+      {v: result.label},
+      {v: 'OK'},
+      {v: st.n},
+      {v: round(st.mean, 4)},
+      {v: st.sens ? round(st.sens.slope, 6) : null},
+      {v: st.rankCI ? round(st.rankCI.lower, 6) : null},
+      {v: st.rankCI ? round(st.rankCI.upper, 6) : null},
+      {v: st.mannKendall ? round(st.mannKendall.pValue, 4) : null},
+      {v: st.hamedRao ? round(st.hamedRao.pValue, 4) : null},
+      {v: st.pettitt ? st.pettitt.x : null},
+      {v: st.pettitt ? round(st.pettitt.pValue, 4) : null},
+      {v: st.segmentation ? st.segmentation.breakpoints.map(function(bp) { return bp.x; }).join(', ') || 'none' : 'n/a'},
+      {v: round(st.stdDev, 4)},
+      {v: round(st.cv, 2)},
+      {v: st.anomalies ? st.anomalies.length : null},
+      {v: round(st.autocorrelation, 3)},
+      {v: st.periodComparison ? round(st.periodComparison.relativeChange, 2) : null}
+    ]};
+  });
+  print(ui.Chart({cols: metricColumns, rows: comparisonRows}, 'Table', {allowHtml: false}));
+  
+  var skippedCount = classResults.filter(function(result) { return !result.stats; }).length;
+  if (skippedCount > 0) {
+    print('⚠️ ' + skippedCount + ' class(es) skipped (fewer than ' + DEEP_STATS_MIN_YEARS + ' valid years)');
+  }
+  
+  // 8. EXPORT - Résultats classe × métrique (CSV pour le pipeline Python, JSON pour les notebooks :
+  // tableau JSON des lignes dans la colonne unique 'json' d'une table d'une ligne, préfixes _csv_ / _json_)
+  if (EXPORT_TREND_STATISTICS && !INCREMENTAL_MODE) {
+    var trendRows = buildTrendStatisticsRows(classResults, statsGlacier, new Date().toISOString());
+    var trendStatistics = ee.FeatureCollection(trendRows.map(function(row) {
+      return ee.Feature(null, row);
+    }));
     
-    var earlyMean = earlyPeriod.reduce(function(a, b) { return a + b; }) / earlyPeriod.length;
-    var lateMean = latePeriod.reduce(function(a, b) { return a + b; }) / latePeriod.length;
-    var periodDiff = lateMean - earlyMean;
-    var relativeChange = (periodDiff / earlyMean) * 100;
+    var trendStatisticsJson = ee.FeatureCollection([ee.Feature(null, {'json': JSON.stringify(trendRows)})]);
     
-    print('• Early period (' + years[0] + '-' + years[splitPoint-1] + ') mean: ' + earlyMean.toFixed(4));
-    print('• Late period (' + years[n-splitPoint] + '-' + years[n-1] + ') mean: ' + lateMean.toFixed(4));
-    print('• Period difference: ' + periodDiff.toFixed(4) + ' albedo units');
-    print('• Relative change: ' + relativeChange.toFixed(2) + '%');
-    print('• Climate signal: ' + (Math.abs(relativeChange) > 5 ? 'STRONG' : 
-                                 Math.abs(relativeChange) > 2 ? 'MODERATE' : 'WEAK'));
+    [{name: 'CSV', collection: trendStatistics},
+     {name: 'JSON', collection: trendStatisticsJson, selectors: ['json']}].forEach(function(format) {
+      var options = {
+        collection: format.collection,
+        description: statsGlacier.exportLabel + '_Albedo_Trend_Statistics_' + format.name + '_' + STUDY_PERIOD_TAG,
+        folder: 'GEE_exports',
+        fileNamePrefix: 'MOD10A1_' + statsGlacier.id + '_albedo_trend_statistics_' + format.name.toLowerCase() + '_' + STUDY_PERIOD_TAG,
+        fileFormat: 'CSV'
+      };
+      if (format.selectors) {
+        options.selectors = format.selectors;
+      }
+      Export.table.toDrive(options);
+    });
+    print('💾 Trend statistics export: ' + trendRows.length + ' rows (class × metric), CSV + JSON (array of rows in the json column)');
   }
   
   print('');
@@ -1586,14 +4977,30 @@ dataArrays.evaluate(function(arrays) {
 });
 
 // 2. Annual Trend Visualization - Core scientific validation
-var trendChart = ui.Chart.feature.byFeature(annual_albedo_high_snow, 'year', 'glacier_90_100pct_high_snow_mean')
+// One series per fraction class for the analysed glacier
+var trendChart = ui.Chart.feature.byFeature(statsAnnual.sort('year'), 'year', ANNUAL_CLASS_NAMES.map(function(className) {
+  return className + '_mean';
+}))
+  .setChartType('LineChart')
+  .setSeriesNames(FRACTION_CLASSES.map(function(cls) { return cls.label; }))
+  .setOptions({
+    title: 'Albedo Trend by Glacier Fraction Class (' + statsGlacier.name + ')',
+    hAxis: {title: 'Year', format: '####'},
+    vAxis: {title: 'Mean Albedo', viewWindow: {min: 0.2, max: 0.9}},
+    pointSize: 4,
+    lineWidth: 2,
+    interpolateNulls: false,
+    height: 350
+  });
+
+// Pure ice trend, one series per glacier of the registry
+var glacierTrendChart = ui.Chart.feature.groups(annual_albedo_high_snow, 'year', PURE_ICE_MEAN_PROPERTY, 'glacier_id')
   .setChartType('LineChart')
   .setOptions({
-    title: 'Pure Ice Albedo Trend (90-100% glacier fraction)',
+    title: 'Pure Ice Albedo Trend (' + PURE_ICE_CLASS.label + ' glacier fraction)',
     hAxis: {title: 'Year'},
     vAxis: {title: 'Mean Albedo', viewWindow: {min: 0.2, max: 0.9}},
     trendlines: {0: {type: 'linear', color: 'red', opacity: 0.8}},
-    colors: ['blue'],
     pointSize: 5,
     lineWidth: 2,
     height: 350
@@ -1602,5 +5009,200 @@ var trendChart = ui.Chart.feature.byFeature(annual_albedo_high_snow, 'year', 'gl
 print('');
 print('=== VALIDATION VISUALIZATION ===');
 print(trendChart);
+print(glacierTrendChart);
+
+// 3. SUB-SEASONAL TRENDS - Each melt-season month and custom day-of-year window analysed separately
+var subseasonalWindows = buildSubseasonalWindows(ACTIVE_SEASON);
+glacierRuns[0].subseasonal.evaluate(function(series) {
+  if (!series) {
+    print('⚠️ Sub-seasonal trends unavailable (window series could not be evaluated)');
+    return;
+  }
+  
+  var seriesRows = series.features.map(function(feature) { return feature.properties; });
+  var trendRows = buildSubseasonalTrendRows(seriesRows, statsGlacier.id, ACTIVE_SEASON, new Date().toISOString());
+  
+  print('');
+  print('📅 SUB-SEASONAL TRENDS (' + statsGlacier.name + ', ≥' + SUBSEASONAL_MIN_VALID_DAYS +
+        ' valid days per window-year, ≥' + DEEP_STATS_MIN_YEARS + ' years):');
+  var round = function(value, digits) {
+    return value === null || value === undefined || !isFinite(value) ? null : Number(value.toFixed(digits));
+  };
+  print(ui.Chart({
+    cols: [
+      {id: 'window', label: 'Window', type: 'string'},
+      {id: 'class', label: 'Class', type: 'string'},
+      {id: 'n_years', label: 'Years', type: 'number'},
+      {id: 'sens_slope', label: 'Sen slope (/yr)', type: 'number'},
+      {id: 'ci_lower', label: 'CI lower', type: 'number'},
+      {id: 'ci_upper', label: 'CI upper', type: 'number'},
+      {id: 'mk_z', label: 'MK Z', type: 'number'},
+      {id: 'mk_p', label: 'MK p', type: 'number'},
+      {id: 'significance', label: 'Significance', type: 'string'}
+    ],
+    rows: trendRows.map(function(row) {
+      return {c: [
+        {v: row.window_label},
+        {v: row.class_label},
+        {v: row.n_years},
+        {v: round(row.sens_slope, 6)},
+        {v: round(row.ci_lower, 6)},
+        {v: round(row.ci_upper, 6)},
+        {v: round(row.mk_z, 3)},
+        {v: round(row.mk_p, 4)},
+        {v: row.significance}
+      ]};
+    })
+  }, 'Table', {allowHtml: false}));
+  
+  // Small multiples : une série annuelle par fenêtre (une courbe par classe, même échelle verticale)
+  subseasonalWindows.forEach(function(window) {
+    var windowRows = seriesRows.filter(function(row) { return row.window === window.name; });
+    windowRows.sort(function(a, b) { return a.year - b.year; });
+    print(ui.Chart({
+      cols: [{id: 'year', label: 'Year', type: 'number'}].concat(FRACTION_CLASSES.map(function(cls) {
+        return {id: cls.name, label: cls.label, type: 'number'};
+      })),
+      rows: windowRows.map(function(row) {
+        return {c: [{v: row.year}].concat(FRACTION_CLASS_NAMES.map(function(className) {
+          return {v: row[className + '_mean']};
+        }))};
+      })
+    }, 'LineChart', {
+      title: window.label + ' albedo by fraction class (' + statsGlacier.name + ')',
+      hAxis: {title: 'Year', format: '####'},
+      vAxis: {title: 'Mean Albedo', viewWindow: {min: 0.2, max: 0.9}},
+      pointSize: 3,
+      lineWidth: 1,
+      interpolateNulls: false,
+      legend: {position: 'bottom'},
+      height: 220
+    }));
+  });
+  
+  if (EXPORT_SUBSEASONAL_TRENDS && !INCREMENTAL_MODE) {
+    Export.table.toDrive({
+      collection: ee.FeatureCollection(trendRows.map(function(row) {
+        return ee.Feature(null, row);
+      })),
+      description: statsGlacier.exportLabel + '_Albedo_Subseasonal_Trends_' + STUDY_PERIOD_TAG,
+      folder: 'GEE_exports',
+      fileNamePrefix: 'MOD10A1_' + statsGlacier.id + '_albedo_subseasonal_trends_' + STUDY_PERIOD_TAG,
+      fileFormat: 'CSV'
+    });
+    print('💾 Sub-seasonal trends export: ' + trendRows.length + ' rows (window × class)');
+  }
+});
+
+// 4. QA SENSITIVITY SWEEP - Trend robustness across threshold and QA flag combinations
+if (SENSITIVITY_ANALYSIS && !INCREMENTAL_MODE) {
+  var sensitivityCombinations = buildSensitivityCombinations();
+  var sensitivityGlacier = extendContext(GLACIERS[0], {season: ACTIVE_SEASON});
+  var sensitivityTable = ee.FeatureCollection(sensitivityCombinations.map(function(combination, index) {
+    return computeSensitivityRows(sensitivityGlacier, combination, index + 1);
+  })).flatten();
+  
+  print('');
+  print('🧪 QA SENSITIVITY SWEEP (' + sensitivityGlacier.name + ', season ' + ACTIVE_SEASON.name + '): ' +
+        sensitivityCombinations.length + ' combinations of ' + SENSITIVITY_KEYS.map(function(key) {
+          return key + ' {' + SENSITIVITY_GRID[key].join(', ') + '}';
+        }).join(' × '));
+  
+  // Pente de Sen de la classe la plus riche en glace en fonction de chaque paramètre de la grille
+  // (axe numérique : booléens 0/1, basicLevel = code Basic QA maximal retenu)
+  var pureIceSensitivity = sensitivityTable.filter(ee.Filter.eq('fraction_class', PURE_ICE_CLASS.name));
+  SENSITIVITY_KEYS.forEach(function(key) {
+    print(ui.Chart.feature.byFeature(pureIceSensitivity, getSensitivityColumn(key), ['sens_slope'])
+      .setChartType('ScatterChart')
+      .setOptions({
+        title: 'Sen slope vs ' + key + ' (' + PURE_ICE_CLASS.label + ' glacier fraction, all other combinations)',
+        hAxis: {title: key === 'basicLevel' ? 'Basic QA max code (best 0, good 1, ok 2)' :
+          (typeof SENSITIVITY_GRID[key][0] === 'boolean' ? key + ' (0 = off, 1 = on)' : key)},
+        vAxis: {title: 'Sen slope (albedo/yr)'},
+        pointSize: 4,
+        legend: {position: 'none'},
+        height: 250
+      }));
+  });
+  
+  if (EXPORT_SENSITIVITY_TABLE) {
+    Export.table.toDrive({
+      collection: sensitivityTable,
+      description: sensitivityGlacier.exportLabel + '_Albedo_QA_Sensitivity_' + STUDY_PERIOD_TAG,
+      folder: 'GEE_exports',
+      fileNamePrefix: 'MOD10A1_' + sensitivityGlacier.id + '_albedo_qa_sensitivity_' + STUDY_PERIOD_TAG,
+      fileFormat: 'CSV'
+    });
+    print('💾 QA sensitivity export: ' + sensitivityCombinations.length * FRACTION_CLASSES.length + ' rows (combination × class)');
+  }
+}
+
+// 5. FILTERING IMPACT - Pixels removed at each filtering stage (data-loss waterfall)
+if (EXPORT_FILTER_IMPACT && !INCREMENTAL_MODE) {
+  var impactRun = glacierRuns[0];
+  var impactStageColumns = FILTER_IMPACT_COLUMNS.concat(['retained_pixel_days']);
+  
+  print('');
+  print('🔻 FILTERING IMPACT (' + impactRun.glacier.name + ', season ' + impactRun.glacier.season.name + ', profile ' +
+        impactRun.glacier.profileName + '): ' + FILTER_IMPACT_STAGES.join(' → '));
+  
+  // Pixel-jours retirés par étape et par année (empilés, retenus en dernier)
+  print(ui.Chart.feature.byFeature(impactRun.filterImpactAnnual, 'season_year', impactStageColumns)
+    .setChartType('ColumnChart')
+    .setOptions({
+      title: 'Glacier pixel-days removed per filtering stage (' + STUDY_PERIOD_LABEL + ')',
+      hAxis: {title: 'Season year', format: '####'},
+      vAxis: {title: 'Pixel-days'},
+      isStacked: true,
+      height: 350
+    }));
+  
+  print(ui.Chart.feature.byFeature(impactRun.filterImpactAnnual, 'season_year', ['mean_difference'])
+    .setChartType('ColumnChart')
+    .setOptions({
+      title: 'Mean filtered − unfiltered albedo difference',
+      hAxis: {title: 'Season year', format: '####'},
+      vAxis: {title: 'Albedo difference'},
+      legend: {position: 'none'},
+      height: 250
+    }));
+  
+  // Cascade sur toute la période : pixel-jours glacier → retraits successifs → pixel-jours retenus
+  var impactTotalColumns = ['glacier_pixel_days'].concat(impactStageColumns);
+  ee.Dictionary.fromLists(impactTotalColumns, impactTotalColumns.map(function(column) {
+    return impactRun.filterImpactAnnual.aggregate_sum(column);
+  })).evaluate(function(totals) {
+    if (!totals) {
+      print('⚠️ Filtering impact totals unavailable (annual impact table could not be evaluated)');
+      return;
+    }
+    if (!totals.glacier_pixel_days) {
+      print('⚠️ Filtering waterfall skipped: no glacier pixel-days observed in ' + STUDY_PERIOD_LABEL);
+      return;
+    }
+    
+    var level = totals.glacier_pixel_days;
+    var rows = [['Stage', 'Low', 'Open', 'Close', 'High'], ['glacier pixels', 0, 0, level, level]];
+    FILTER_IMPACT_STAGES.forEach(function(stage, index) {
+      var removed = totals[FILTER_IMPACT_COLUMNS[index]];
+      rows.push([stage, level - removed, level, level - removed, level]);
+      print('   • ' + stage + ': ' + removed + ' pixel-days removed (' +
+            (100 * removed / totals.glacier_pixel_days).toFixed(1) + '% of glacier pixel-days)');
+      level -= removed;
+    });
+    rows.push(['retained', 0, 0, totals.retained_pixel_days, totals.retained_pixel_days]);
+    
+    print(ui.Chart(rows, 'CandlestickChart', {
+      title: 'Filtering waterfall: glacier pixel-days removed at each stage (' + STUDY_PERIOD_LABEL + ')',
+      vAxis: {title: 'Pixel-days'},
+      legend: {position: 'none'},
+      candlestick: {
+        fallingColor: {fill: '#d6604d', strokeWidth: 0},
+        risingColor: {fill: '#4393c3', strokeWidth: 0}
+      },
+      height: 350
+    }));
+  });
+}
 
-// FIN DU SCRIPT OPTIMISÉ
\ No newline at end of file
+// FIN DU SCRIPT OPTIMISÉ
@@ -0,0 +1,734 @@
+// ╔════════════════════════════════════════════════════════════════════════════════════════╗
+// ║                  ALBEDO STATISTICS LIBRARY - PURE FUNCTIONS (NO ee.*)                  ║
+// ║                               albedo_statistics.js                                    ║
+// ╚════════════════════════════════════════════════════════════════════════════════════════╝
+//
+// Chargement :
+//   • Earth Engine : var albedoStats = require('users/<compte>/<dépôt>:albedo_statistics');
+//   • Node         : var albedoStats = require('./albedo_statistics.js');
+//
+// Conventions de l'API :
+//   • Les séries sont des tableaux de points {x, y} (x = année ou date décimale, y = valeur).
+//   • Les points dont x ou y est null, undefined ou non fini sont ignorés, puis les points
+//     restants sont triés par x croissant (voir cleanSeries).
+//   • Une fonction renvoie null lorsque la série nettoyée est trop courte pour le calcul
+//     (longueur minimale indiquée dans chaque en-tête). Aucune fonction ne lève d'erreur
+//     sur une série courte ou vide.
+//   • Les rapports à dénominateur nul (moyenne nulle d'un CV ou d'un changement relatif,
+//     écart-type nul d'un score z) valent null, jamais NaN ou Infinity.
+
+// ┌────────────────────────────────────────────────────────────────────────────────────────┐
+// │ SECTION 1 : SÉRIES ET OUTILS NUMÉRIQUES                                                │
+// └────────────────────────────────────────────────────────────────────────────────────────┘
+
+function isValidNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+function arrayMean(values) {
+  return values.reduce(function(a, b) { return a + b; }, 0) / values.length;
+}
+
+function median(sorted) {
+  var m = sorted.length;
+  return m % 2 === 0 ? (sorted[m/2 - 1] + sorted[m/2]) / 2 : sorted[Math.floor(m/2)];
+}
+
+// Construire des points {x, y} à partir de deux tableaux parallèles
+// Entrées : xs, ys (même longueur) → [{x, y}]
+exports.toPoints = function(xs, ys) {
+  return xs.map(function(x, i) { return {x: x, y: ys[i]}; });
+};
+
+// Retirer les points invalides (null / non finis) et trier par x
+// Entrée : [{x, y}] → [{x, y}] (nouveau tableau, l'entrée n'est pas modifiée)
+function cleanSeries(points) {
+  return (points || []).filter(function(p) {
+    return p && isValidNumber(p.x) && isValidNumber(p.y);
+  }).map(function(p) {
+    return {x: p.x, y: p.y};
+  }).sort(function(a, b) { return a.x - b.x; });
+}
+exports.cleanSeries = cleanSeries;
+
+// Fonction de répartition de la loi normale centrée réduite (Abramowitz & Stegun 7.1.26, |ε| < 1.5e-7)
+function normalCdf(z) {
+  var x = Math.abs(z) / Math.SQRT2;
+  var t = 1 / (1 + 0.3275911 * x);
+  var erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+exports.normalCdf = normalCdf;
+
+// Quantile de la loi normale centrée réduite (algorithme d'Acklam, |ε| < 1.2e-9)
+function normalQuantile(p) {
+  var a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  var b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  var c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  var d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  var pLow = 0.02425;
+  var q, r;
+  
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  if (p < pLow) {
+    q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  q = p - 0.5;
+  r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+exports.normalQuantile = normalQuantile;
+
+// Générateur pseudo-aléatoire reproductible (mulberry32) → fonction renvoyant [0, 1[
+function createSeededRandom(seed) {
+  var state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    var t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+exports.createSeededRandom = createSeededRandom;
+
+// Coefficients de lissage Savitzky-Golay (polynôme d'ordre 2, fenêtre 2m+1, valeur centrale) :
+// c_i = [3(3m² + 3m - 1) - 15i²] / [(2m+1)(4m² + 4m - 3)], i = -m..m (somme = 1)
+// (m entier ≥1) → tableau de 2m+1 coefficients | null
+exports.savitzkyGolayCoefficients = function(halfWindow) {
+  if (!(halfWindow >= 1) || Math.floor(halfWindow) !== halfWindow) return null;
+  var m = halfWindow;
+  var denominator = (2 * m + 1) * (4 * m * m + 4 * m - 3);
+  var coefficients = [];
+  for (var i = -m; i <= m; i++) {
+    coefficients.push((3 * (3 * m * m + 3 * m - 1) - 15 * i * i) / denominator);
+  }
+  return coefficients;
+};
+
+// Empreinte courte d'une chaîne (FNV-1a 32 bits) → 8 caractères hexadécimaux
+// (identifiant de configuration dans les noms d'export, pas une empreinte cryptographique)
+exports.shortHash = function(text) {
+  var hash = 0x811c9dc5;
+  var str = String(text);
+  for (var i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return ('0000000' + hash.toString(16)).slice(-8);
+};
+
+// ┌────────────────────────────────────────────────────────────────────────────────────────┐
+// │ SECTION 2 : STATISTIQUES DESCRIPTIVES                                                 │
+// └────────────────────────────────────────────────────────────────────────────────────────┘
+
+// Moyenne des y (≥1 point) → nombre | null
+exports.mean = function(points) {
+  var series = cleanSeries(points);
+  return series.length < 1 ? null : arrayMean(series.map(function(p) { return p.y; }));
+};
+
+// Écart-type échantillon des y (≥2 points) → nombre | null
+function standardDeviation(points) {
+  var series = cleanSeries(points);
+  if (series.length < 2) return null;
+  var ys = series.map(function(p) { return p.y; });
+  var m = arrayMean(ys);
+  return Math.sqrt(ys.reduce(function(acc, v) { return acc + Math.pow(v - m, 2); }, 0) / (ys.length - 1));
+}
+exports.standardDeviation = standardDeviation;
+
+// Coefficient de variation en % (≥2 points, moyenne ≠ 0) → nombre | null
+exports.coefficientOfVariation = function(points) {
+  var series = cleanSeries(points);
+  var sd = standardDeviation(series);
+  if (sd === null) return null;
+  var m = arrayMean(series.map(function(p) { return p.y; }));
+  return m === 0 ? null : (sd / m) * 100;
+};
+
+// CV glissant (fenêtre de `window` points, défaut 5) : {windows: [{x, cv}], min, max}
+// x = dernier x de la fenêtre ; fenêtres de moyenne nulle ignorées
+// (≥window points, ≥1 fenêtre de moyenne ≠ 0) → objet | null
+exports.rollingCV = function(points, window) {
+  var size = window || 5;
+  var series = cleanSeries(points);
+  if (series.length < size) return null;
+  
+  var windows = [];
+  for (var i = size - 1; i < series.length; i++) {
+    var windowData = series.slice(i - size + 1, i + 1).map(function(p) { return p.y; });
+    var windowMean = arrayMean(windowData);
+    if (windowMean === 0) continue;
+    var windowVar = windowData.reduce(function(acc, v) { return acc + Math.pow(v - windowMean, 2); }, 0) / (size - 1);
+    windows.push({x: series[i].x, cv: (Math.sqrt(windowVar) / windowMean) * 100});
+  }
+  if (windows.length === 0) return null;
+  
+  return {
+    windows: windows,
+    min: windows.reduce(function(min, curr) { return curr.cv < min.cv ? curr : min; }),
+    max: windows.reduce(function(max, curr) { return curr.cv > max.cv ? curr : max; })
+  };
+};
+
+// Scores z par rapport à la moyenne et l'écart-type de la série : [{x, y, z}] (≥2 points, σ > 0) | null
+function zScores(points) {
+  var series = cleanSeries(points);
+  var sd = standardDeviation(series);
+  if (sd === null || sd === 0) return null;
+  var m = arrayMean(series.map(function(p) { return p.y; }));
+  return series.map(function(p) { return {x: p.x, y: p.y, z: (p.y - m) / sd}; });
+}
+exports.zScores = zScores;
+
+// Points dont |z| > threshold (défaut 2.0) : [{x, y, z}] (≥2 points) | null
+exports.anomalies = function(points, threshold) {
+  var limit = threshold === undefined ? 2.0 : threshold;
+  var scores = zScores(points);
+  return scores === null ? null : scores.filter(function(p) { return Math.abs(p.z) > limit; });
+};
+
+// Autocorrélation de lag 1 (moyennes séparées des deux sous-séries) (≥3 points) → nombre | null
+function lag1AutocorrelationValues(values) {
+  var x1 = values.slice(0, values.length - 1);
+  var x2 = values.slice(1);
+  var mean1 = arrayMean(x1);
+  var mean2 = arrayMean(x2);
+  
+  var numerator = 0, denom1 = 0, denom2 = 0;
+  for (var i = 0; i < x1.length; i++) {
+    numerator += (x1[i] - mean1) * (x2[i] - mean2);
+    denom1 += Math.pow(x1[i] - mean1, 2);
+    denom2 += Math.pow(x2[i] - mean2, 2);
+  }
+  return denom1 > 0 && denom2 > 0 ? numerator / Math.sqrt(denom1 * denom2) : 0;
+}
+
+exports.lag1Autocorrelation = function(points) {
+  var series = cleanSeries(points);
+  return series.length < 3 ? null : lag1AutocorrelationValues(series.map(function(p) { return p.y; }));
+};
+
+// Comparaison première / seconde moitié (≥minPoints points, défaut 10) :
+// {splitPoint, earlyStart, earlyEnd, lateStart, lateEnd, earlyMean, lateMean, difference, relativeChange (%)} | null
+// (relativeChange null si la moyenne de la première moitié est nulle)
+exports.periodComparison = function(points, minPoints) {
+  var series = cleanSeries(points);
+  var n = series.length;
+  if (n < (minPoints || 10)) return null;
+  
+  var splitPoint = Math.floor(n / 2);
+  var early = series.slice(0, splitPoint);
+  var late = series.slice(-splitPoint);
+  var earlyMean = arrayMean(early.map(function(p) { return p.y; }));
+  var lateMean = arrayMean(late.map(function(p) { return p.y; }));
+  return {
+    splitPoint: splitPoint,
+    earlyStart: early[0].x,
+    earlyEnd: early[early.length - 1].x,
+    lateStart: late[0].x,
+    lateEnd: late[late.length - 1].x,
+    earlyMean: earlyMean,
+    lateMean: lateMean,
+    difference: lateMean - earlyMean,
+    relativeChange: earlyMean === 0 ? null : ((lateMean - earlyMean) / earlyMean) * 100
+  };
+};
+
+// ┌────────────────────────────────────────────────────────────────────────────────────────┐
+// │ SECTION 3 : TENDANCE (SEN, MANN-KENDALL)                                              │
+// └────────────────────────────────────────────────────────────────────────────────────────┘
+
+// Pentes de toutes les paires (triées) et pente de Sen (médiane) sur tableaux parallèles
+function sensSlopeValues(xs, ys) {
+  var slopes = [];
+  for (var i = 0; i < ys.length; i++) {
+    for (var j = i + 1; j < ys.length; j++) {
+      if (xs[j] !== xs[i]) {
+        slopes.push((ys[j] - ys[i]) / (xs[j] - xs[i]));
+      }
+    }
+  }
+  slopes.sort(function(a, b) { return a - b; });
+  return {slope: slopes.length === 0 ? NaN : median(slopes), slopes: slopes};
+}
+
+// Pente de Sen (≥2 points, x distincts) : {slope, intercept, slopes (triées), n} | null
+// intercept = médiane de (y - pente × x)
+function sensSlope(points) {
+  var series = cleanSeries(points);
+  if (series.length < 2) return null;
+  var xs = series.map(function(p) { return p.x; });
+  var ys = series.map(function(p) { return p.y; });
+  var result = sensSlopeValues(xs, ys);
+  if (!isFinite(result.slope)) return null;
+  
+  var residuals = ys.map(function(v, i) { return v - result.slope * xs[i]; })
+    .sort(function(a, b) { return a - b; });
+  return {slope: result.slope, intercept: median(residuals), slopes: result.slopes, n: series.length};
+}
+exports.sensSlope = sensSlope;
+
+// Statistique Z et p-value bilatérale à partir de S et de sa variance (correction de continuité)
+function mannKendallZ(S, varS) {
+  var z = varS <= 0 ? 0 : S > 0 ? (S - 1) / Math.sqrt(varS) : S < 0 ? (S + 1) / Math.sqrt(varS) : 0;
+  return {z: z, pValue: 2 * (1 - normalCdf(Math.abs(z)))};
+}
+
+function mannKendallValues(values) {
+  var n = values.length;
+  var S = 0;
+  for (var i = 0; i < n - 1; i++) {
+    for (var j = i + 1; j < n; j++) {
+      S += values[j] > values[i] ? 1 : values[j] < values[i] ? -1 : 0;
+    }
+  }
+  
+  // Groupes d'ex-aequo : Σ t(t-1)(2t+5)
+  var counts = {};
+  values.forEach(function(v) { counts[v] = (counts[v] || 0) + 1; });
+  var tieTerm = 0;
+  var tieGroups = 0;
+  Object.keys(counts).forEach(function(key) {
+    var t = counts[key];
+    if (t > 1) {
+      tieTerm += t * (t - 1) * (2 * t + 5);
+      tieGroups++;
+    }
+  });
+  
+  var varS = (n * (n - 1) * (2 * n + 5) - tieTerm) / 18;
+  var test = mannKendallZ(S, varS);
+  return {n: n, S: S, varS: varS, tieGroups: tieGroups, z: test.z, pValue: test.pValue};
+}
+
+// Test de Mann-Kendall (≥3 points) : {n, S, varS (corrigée des ex-aequo), tieGroups, z, pValue bilatérale} | null
+exports.mannKendall = function(points) {
+  var series = cleanSeries(points);
+  return series.length < 3 ? null : mannKendallValues(series.map(function(p) { return p.y; }));
+};
+
+// IC de la pente de Sen par les rangs (Gilbert 1987) (≥3 points) : C = z(1-α/2)·√Var(S),
+// bornes = pentes triées de rang (N - C)/2 et (N + C)/2 + 1 → {lower, upper, method} | null
+// (null aussi lorsque les rangs sortent de [1, N], série trop courte pour ce niveau de confiance)
+exports.sensSlopeRankCI = function(points, confidenceLevel) {
+  var series = cleanSeries(points);
+  if (series.length < 3) return null;
+  var sens = sensSlope(series);
+  if (sens === null) return null;
+  var varS = mannKendallValues(series.map(function(p) { return p.y; })).varS;
+  
+  var N = sens.slopes.length;
+  var C = normalQuantile(1 - (1 - confidenceLevel) / 2) * Math.sqrt(varS);
+  var lowerRank = Math.round((N - C) / 2);
+  var upperRank = Math.round((N + C) / 2) + 1;
+  if (lowerRank < 1 || upperRank > N) return null;
+  return {lower: sens.slopes[lowerRank - 1], upper: sens.slopes[upperRank - 1], method: 'rank'};
+};
+
+// IC bootstrap de la pente de Sen (≥3 points) : rééchantillonnage des points avec remise,
+// percentiles α/2 et 1-α/2 → {lower, upper, method, iterations (rééchantillons valides), seed} | null
+exports.sensSlopeBootstrapCI = function(points, confidenceLevel, iterations, seed) {
+  var series = cleanSeries(points);
+  if (series.length < 3 || !(iterations > 0)) return null;
+  var random = createSeededRandom(seed);
+  var n = series.length;
+  var estimates = [];
+  
+  for (var b = 0; b < iterations; b++) {
+    var sampleXs = [];
+    var sampleYs = [];
+    for (var i = 0; i < n; i++) {
+      var k = Math.floor(random() * n);
+      sampleXs.push(series[k].x);
+      sampleYs.push(series[k].y);
+    }
+    var estimate = sensSlopeValues(sampleXs, sampleYs).slope;
+    if (isFinite(estimate)) estimates.push(estimate);
+  }
+  if (estimates.length === 0) return null;
+  
+  estimates.sort(function(a, b) { return a - b; });
+  var alpha = 1 - confidenceLevel;
+  var percentile = function(q) {
+    var pos = q * (estimates.length - 1);
+    var lo = Math.floor(pos);
+    var hi = Math.ceil(pos);
+    return estimates[lo] + (estimates[hi] - estimates[lo]) * (pos - lo);
+  };
+  
+  return {
+    lower: percentile(alpha / 2),
+    upper: percentile(1 - alpha / 2),
+    method: 'bootstrap',
+    iterations: estimates.length,
+    seed: seed
+  };
+};
+
+// Mann-Kendall avec pré-blanchiment sans tendance (TFPW, Yue et al. 2002) (≥4 points) :
+// retrait de la tendance de Sen, suppression de l'AR(1), réintroduction de la tendance
+// → résultat mannKendall (sur n-1 points) + {lag1, method} | null
+exports.mannKendallPrewhitened = function(points) {
+  var series = cleanSeries(points);
+  if (series.length < 4) return null;
+  var sens = sensSlope(series);
+  if (sens === null) return null;
+  var detrended = series.map(function(p) { return p.y - sens.slope * p.x; });
+  var r1 = lag1AutocorrelationValues(detrended);
+  
+  var blended = [];
+  for (var i = 1; i < detrended.length; i++) {
+    blended.push(detrended[i] - r1 * detrended[i - 1] + sens.slope * series[i].x);
+  }
+  
+  var result = mannKendallValues(blended);
+  result.lag1 = r1;
+  result.method = 'prewhitening';
+  return result;
+};
+
+// Mann-Kendall à variance corrigée (Hamed & Rao 1998) (≥4 points) : autocorrélations
+// significatives des rangs de la série sans tendance → facteur n/n* appliqué à Var(S)
+// → {n, S, varS, z, pValue, correctionFactor, significantLags, method} | null
+exports.mannKendallHamedRao = function(points, confidenceLevel) {
+  var series = cleanSeries(points);
+  if (series.length < 4) return null;
+  var sens = sensSlope(series);
+  if (sens === null) return null;
+  var n = series.length;
+  var base = mannKendallValues(series.map(function(p) { return p.y; }));
+  var detrended = series.map(function(p) { return p.y - sens.slope * p.x; });
+  
+  // Rangs (moyens en cas d'ex-aequo) de la série sans tendance
+  var order = detrended.map(function(v, i) { return i; })
+    .sort(function(a, b) { return detrended[a] - detrended[b]; });
+  var ranks = new Array(n);
+  for (var start = 0; start < n;) {
+    var end = start;
+    while (end + 1 < n && detrended[order[end + 1]] === detrended[order[start]]) end++;
+    for (var k = start; k <= end; k++) ranks[order[k]] = (start + end) / 2 + 1;
+    start = end + 1;
+  }
+  
+  var meanRank = arrayMean(ranks);
+  var denom = ranks.reduce(function(acc, r) { return acc + Math.pow(r - meanRank, 2); }, 0);
+  var bound = normalQuantile(1 - (1 - confidenceLevel) / 2) / Math.sqrt(n);
+  var sum = 0;
+  var significantLags = [];
+  
+  for (var lag = 1; lag < n - 2; lag++) {
+    var num = 0;
+    for (var i = 0; i < n - lag; i++) num += (ranks[i] - meanRank) * (ranks[i + lag] - meanRank);
+    var rk = denom > 0 ? num / denom : 0;
+    if (Math.abs(rk) > bound) {
+      sum += (n - lag) * (n - lag - 1) * (n - lag - 2) * rk;
+      significantLags.push(lag);
+    }
+  }
+  
+  // Facteur ≤ 0 (autocorrélations négatives dominantes sur série courte) : non défini → pas de correction
+  var correction = 1 + 2 * sum / (n * (n - 1) * (n - 2));
+  if (!(correction > 0)) correction = 1;
+  var varS = base.varS * correction;
+  var test = mannKendallZ(base.S, varS);
+  return {
+    n: n, S: base.S, varS: varS, z: test.z, pValue: test.pValue,
+    correctionFactor: correction, significantLags: significantLags, method: 'hamed_rao'
+  };
+};
+
+// ┌────────────────────────────────────────────────────────────────────────────────────────┐
+// │ SECTION 4 : RUPTURES (PETTITT, SEGMENTATION PAR MORCEAUX)                             │
+// └────────────────────────────────────────────────────────────────────────────────────────┘
+
+// Test de Pettitt (rupture unique de niveau) (≥3 points) : U_t = Σ_{i≤t} Σ_{j>t} sgn(y_j - y_i),
+// K = max|U_t|, p ≈ 2·exp(-6K² / (n³ + n²))
+// → {K, index (premier indice après la rupture), x (premier x après la rupture), direction, pValue} | null
+exports.pettittTest = function(points) {
+  var series = cleanSeries(points);
+  var n = series.length;
+  if (n < 3) return null;
+  var values = series.map(function(p) { return p.y; });
+  var best = {K: 0, index: 1, U: 0};
+  
+  for (var t = 0; t < n - 1; t++) {
+    var U = 0;
+    for (var i = 0; i <= t; i++) {
+      for (var j = t + 1; j < n; j++) {
+        U += values[j] > values[i] ? 1 : values[j] < values[i] ? -1 : 0;
+      }
+    }
+    if (Math.abs(U) > best.K) {
+      best = {K: Math.abs(U), index: t + 1, U: U};
+    }
+  }
+  
+  var pValue = Math.min(1, 2 * Math.exp(-6 * best.K * best.K / (Math.pow(n, 3) + Math.pow(n, 2))));
+  return {K: best.K, index: best.index, x: series[best.index].x,
+    direction: best.U > 0 ? 'increase' : 'decrease', pValue: pValue};
+};
+
+// Régression linéaire par moindres carrés sur [start, end] (indices inclus)
+function linearFitOLS(xs, ys, start, end) {
+  var m = end - start + 1;
+  var sx = 0, sy = 0, sxx = 0, sxy = 0;
+  for (var i = start; i <= end; i++) {
+    sx += xs[i]; sy += ys[i]; sxx += xs[i] * xs[i]; sxy += xs[i] * ys[i];
+  }
+  var denom = m * sxx - sx * sx;
+  var slope = denom !== 0 ? (m * sxy - sx * sy) / denom : 0;
+  var intercept = (sy - slope * sx) / m;
+  var rss = 0;
+  for (var k = start; k <= end; k++) rss += Math.pow(ys[k] - (intercept + slope * xs[k]), 2);
+  return {slope: slope, intercept: intercept, rss: rss};
+}
+
+// Segmentation linéaire par morceaux optimale (programmation dynamique sur la somme des
+// résidus) pour 0..maxBreakpoints ruptures, sélection par BIC = n·ln(RSS/n) + p·ln(n),
+// p = 2 paramètres par segment + 1 par rupture. Incertitude d'une rupture : positions
+// (autres ruptures fixées) dont le rapport de vraisemblance n·ln(RSS'/RSS) < χ²₁(0.95).
+// (≥minSegment points, minSegment ≥ 3)
+// → {breakpoints: [{index, x, lowerX, upperX}], segments: [{start, end, startX, endX, slope, intercept, rss}],
+//    rss, bic, candidates: [{k, rss, bic, starts}]} | null
+exports.piecewiseLinearSegmentation = function(points, maxBreakpoints, minSegment) {
+  var series = cleanSeries(points);
+  var n = series.length;
+  if (n < minSegment) return null;
+  var xs = series.map(function(p) { return p.x; });
+  var ys = series.map(function(p) { return p.y; });
+  
+  var cost = [];
+  for (var i = 0; i < n; i++) {
+    cost.push([]);
+    for (var j = 0; j < n; j++) {
+      cost[i].push(j - i + 1 >= minSegment ? linearFitOLS(xs, ys, i, j).rss : Infinity);
+    }
+  }
+  
+  var bicOf = function(rss, k) {
+    return n * Math.log(Math.max(rss, 1e-12) / n) + (3 * k + 2) * Math.log(n);
+  };
+  
+  // best[k][j] : RSS minimal des indices 0..j découpés en k+1 segments ; prev : début du dernier segment
+  var best = [cost[0].slice()];
+  var prev = [cost[0].map(function() { return 0; })];
+  var candidates = [{k: 0, rss: best[0][n - 1], bic: bicOf(best[0][n - 1], 0), starts: []}];
+  
+  for (var k = 1; k <= maxBreakpoints; k++) {
+    best.push([]);
+    prev.push([]);
+    for (var end = 0; end < n; end++) {
+      var bestCost = Infinity, bestStart = -1;
+      for (var start = 1; start <= end; start++) {
+        var c = best[k - 1][start - 1] + cost[start][end];
+        if (c < bestCost) { bestCost = c; bestStart = start; }
+      }
+      best[k].push(bestCost);
+      prev[k].push(bestStart);
+    }
+    if (!isFinite(best[k][n - 1])) break;
+    
+    var starts = [];
+    for (var level = k, last = n - 1; level > 0; level--) {
+      var s0 = prev[level][last];
+      starts.unshift(s0);
+      last = s0 - 1;
+    }
+    candidates.push({k: k, rss: best[k][n - 1], bic: bicOf(best[k][n - 1], k), starts: starts});
+  }
+  
+  var selected = candidates.reduce(function(a, b) { return b.bic < a.bic ? b : a; });
+  
+  var segmentsFor = function(segmentStarts) {
+    var bounds = [0].concat(segmentStarts).concat([n]);
+    var segments = [];
+    for (var b = 0; b < bounds.length - 1; b++) {
+      var fit = linearFitOLS(xs, ys, bounds[b], bounds[b + 1] - 1);
+      segments.push({start: bounds[b], end: bounds[b + 1] - 1, startX: xs[bounds[b]], endX: xs[bounds[b + 1] - 1],
+        slope: fit.slope, intercept: fit.intercept, rss: fit.rss});
+    }
+    return segments;
+  };
+  var rssFor = function(segmentStarts) {
+    return segmentsFor(segmentStarts).reduce(function(acc, seg) {
+      return acc + (seg.end - seg.start + 1 >= minSegment ? seg.rss : Infinity);
+    }, 0);
+  };
+  
+  var breakpoints = selected.starts.map(function(startIndex, b) {
+    var low = b === 0 ? minSegment : selected.starts[b - 1] + minSegment;
+    var high = b === selected.starts.length - 1 ? n - minSegment : selected.starts[b + 1] - minSegment;
+    var plausible = [];
+    for (var pos = low; pos <= high; pos++) {
+      var trial = selected.starts.slice();
+      trial[b] = pos;
+      if (n * Math.log(Math.max(rssFor(trial), 1e-12) / Math.max(selected.rss, 1e-12)) < 3.841) plausible.push(xs[pos]);
+    }
+    return {index: startIndex, x: xs[startIndex],
+      lowerX: plausible.length ? plausible[0] : xs[startIndex],
+      upperX: plausible.length ? plausible[plausible.length - 1] : xs[startIndex]};
+  });
+  
+  return {
+    breakpoints: breakpoints,
+    segments: segmentsFor(selected.starts),
+    rss: selected.rss,
+    bic: selected.bic,
+    candidates: candidates
+  };
+};
+
+// ┌────────────────────────────────────────────────────────────────────────────────────────┐
+// │ SECTION 5 : ANALYSE COMPLÈTE D'UNE SÉRIE                                              │
+// └────────────────────────────────────────────────────────────────────────────────────────┘
+
+// Ensemble des statistiques de l'analyse approfondie (≥3 points)
+// options : {confidenceLevel (0.95), bootstrapIterations (0 = pas de bootstrap), bootstrapSeed,
+//            maxBreakpoints (2), minSegment (4), anomalyThreshold (2.0)}
+// → {n, xs, ys, mean, sens, rankCI, bootstrapCI, mannKendall, hamedRao, prewhitened, pettitt,
+//    segmentation, stdDev, cv, rollingCV, anomalies, autocorrelation, periodComparison} | null
+// Chaque champ vaut null lorsque la série est trop courte pour le calcul correspondant.
+exports.trendStatistics = function(points, options) {
+  var opts = options || {};
+  var confidenceLevel = opts.confidenceLevel || 0.95;
+  var series = cleanSeries(points);
+  if (series.length < 3) return null;
+  
+  return {
+    n: series.length,
+    xs: series.map(function(p) { return p.x; }),
+    ys: series.map(function(p) { return p.y; }),
+    mean: exports.mean(series),
+    sens: sensSlope(series),
+    rankCI: exports.sensSlopeRankCI(series, confidenceLevel),
+    bootstrapCI: exports.sensSlopeBootstrapCI(series, confidenceLevel, opts.bootstrapIterations || 0, opts.bootstrapSeed || 0),
+    mannKendall: exports.mannKendall(series),
+    hamedRao: exports.mannKendallHamedRao(series, confidenceLevel),
+    prewhitened: exports.mannKendallPrewhitened(series),
+    pettitt: exports.pettittTest(series),
+    segmentation: exports.piecewiseLinearSegmentation(series,
+      opts.maxBreakpoints === undefined ? 2 : opts.maxBreakpoints, opts.minSegment || 4),
+    stdDev: standardDeviation(series),
+    cv: exports.coefficientOfVariation(series),
+    rollingCV: exports.rollingCV(series, 5),
+    anomalies: exports.anomalies(series, opts.anomalyThreshold === undefined ? 2.0 : opts.anomalyThreshold),
+    autocorrelation: exports.lag1Autocorrelation(series),
+    periodComparison: exports.periodComparison(series, 10)
+  };
+};
+
+// Libellé de significativité pour une p-value (null → 'n/a')
+exports.formatSignificance = function(pValue, confidenceLevel) {
+  if (!isValidNumber(pValue)) return 'n/a';
+  var alpha = 1 - confidenceLevel;
+  return pValue < alpha ? 'SIGNIFICANT (p < ' + alpha.toFixed(2) + ')' : 'not significant (p ≥ ' + alpha.toFixed(2) + ')';
+};
+
+// ┌────────────────────────────────────────────────────────────────────────────────────────┐
+// │ SECTION 6 : DÉCODAGE QA MOD10A1                                                        │
+// └────────────────────────────────────────────────────────────────────────────────────────┘
+
+// Helper function for padding binary strings (GEE compatible)
+exports.padBinary = function(num, length) {
+  var binary = num.toString(2);
+  var padding = '';
+  for (var i = binary.length; i < length; i++) {
+    padding += '0';
+  }
+  return padding + binary;
+};
+
+// Codes NDSI_Snow_Cover_Basic_QA → libellé
+var BASIC_QA_LABELS = {
+  0: 'Best quality',
+  1: 'Good quality',
+  2: 'OK quality',
+  3: 'Poor quality',
+  211: 'Night (no data)',
+  239: 'Ocean'
+};
+exports.BASIC_QA_LABELS = BASIC_QA_LABELS;
+
+// Libellé d'un code Basic QA ('Unknown' si absent, 'Unknown (<code>)' si code inconnu)
+exports.decodeBasicQA = function(value) {
+  if (value === undefined || value === null) return 'Unknown';
+  return BASIC_QA_LABELS[value] || 'Unknown (' + value + ')';
+};
+
+// QA bit mapping for metadata-driven processing (NDSI_Snow_Cover_Algorithm_Flags_QA)
+var QA_BIT_MAPPING = [
+  {flag: 'excludeInlandWater', bit: 0, mask: 1, desc: 'Inland water'},
+  {flag: 'excludeVisibleScreenFail', bit: 1, mask: 2, desc: 'Low visible screen failure'},
+  {flag: 'excludeNDSIScreenFail', bit: 2, mask: 4, desc: 'Low NDSI screen failure'},
+  {flag: 'excludeTempHeightFail', bit: 3, mask: 8, desc: 'Temperature/height screen failure'},
+  {flag: 'excludeSWIRAnomaly', bit: 4, mask: 16, desc: 'Shortwave IR reflectance anomaly'},
+  {flag: 'excludeProbablyCloudy', bit: 5, mask: 32, desc: 'Probably cloudy (v6.1 cloud detection)'},
+  {flag: 'excludeProbablyClear', bit: 6, mask: 64, desc: 'Probably clear (v6.1 cloud detection)'},
+  {flag: 'excludeHighSolarZenith', bit: 7, mask: 128, desc: 'Solar zenith >70°'}
+];
+exports.QA_BIT_MAPPING = QA_BIT_MAPPING;
+
+// Décoder une valeur Algorithm Flags (0-255) → {<flag>: 0|1} selon QA_BIT_MAPPING (null si absente)
+exports.decodeAlgorithmFlags = function(value) {
+  if (!isValidNumber(value)) return null;
+  var decoded = {};
+  QA_BIT_MAPPING.forEach(function(mapping) {
+    decoded[mapping.flag] = (value & mapping.mask) ? 1 : 0;
+  });
+  return decoded;
+};
+
+// Masque des bits exclus d'une configuration QA ({<flag>: true|false}) → entier 0-255
+exports.encodeAlgorithmFlags = function(config) {
+  return QA_BIT_MAPPING.reduce(function(mask, mapping) {
+    return config && config[mapping.flag] ? mask | mapping.mask : mask;
+  }, 0);
+};
+
+// Niveaux Basic QA acceptés par les profils de filtrage
+var BASIC_QA_LEVELS = ['best', 'good', 'ok', 'all'];
+exports.BASIC_QA_LEVELS = BASIC_QA_LEVELS;
+
+// Valider un profil de filtrage {qa: {basicLevel, <flag>: bool}, ndsiSnowThreshold, glacierFractionThreshold,
+// minPixelThreshold, fractionThresholds} → tableau de messages d'erreur ([] si valide)
+exports.validateFilterProfile = function(profile) {
+  if (!profile || typeof profile !== 'object') return ['profile must be an object'];
+  var errors = [];
+  var qa = profile.qa;
+  if (!qa || typeof qa !== 'object') {
+    errors.push('qa must be an object');
+  } else {
+    if (BASIC_QA_LEVELS.indexOf(qa.basicLevel) === -1) {
+      errors.push('qa.basicLevel must be one of ' + BASIC_QA_LEVELS.join(', '));
+    }
+    QA_BIT_MAPPING.forEach(function(mapping) {
+      if (typeof qa[mapping.flag] !== 'boolean') errors.push('qa.' + mapping.flag + ' must be true or false');
+    });
+  }
+  [['ndsiSnowThreshold', 100], ['glacierFractionThreshold', 100]].forEach(function(entry) {
+    var value = profile[entry[0]];
+    if (!isValidNumber(value) || value < 0 || value > entry[1]) errors.push(entry[0] + ' must be a number in [0, ' + entry[1] + ']');
+  });
+  if (!isValidNumber(profile.minPixelThreshold) || profile.minPixelThreshold < 0 ||
+      Math.floor(profile.minPixelThreshold) !== profile.minPixelThreshold) {
+    errors.push('minPixelThreshold must be an integer ≥ 0');
+  }
+  var thresholds = profile.fractionThresholds;
+  if (!Array.isArray(thresholds) || thresholds.length === 0 || thresholds.some(function(value, i) {
+    return !isValidNumber(value) || value <= 0 || value >= 1 || (i > 0 && value <= thresholds[i - 1]);
+  })) {
+    errors.push('fractionThresholds must be strictly ascending values in ]0, 1[');
+  }
+  return errors;
+};
@@ -0,0 +1,325 @@
+// Tests hors ligne du module albedo_statistics (Node ≥18) : node --test test/
+// Valeurs de référence : formules publiées calculées à la main (Mann-Kendall, Pettitt, Savitzky-Golay),
+// tables de référence (loi normale, vecteurs FNV-1a) ou recalculées indépendamment en Python
+// (statistics.NormalDist) pour la série SERIES (Hamed-Rao, pré-blanchiment, IC de rang).
+
+var test = require('node:test');
+var assert = require('node:assert');
+var albedoStats = require('../albedo_statistics.js');
+
+// Série annuelle de référence (albédo décroissant, sans ex-aequo)
+var SERIES = albedoStats.toPoints(
+  [2010, 2011, 2012, 2013, 2014, 2015, 2016, 2017, 2018, 2019, 2020, 2021],
+  [0.62, 0.60, 0.63, 0.58, 0.59, 0.55, 0.57, 0.54, 0.56, 0.52, 0.53, 0.50]
+);
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= (tolerance || 1e-9),
+    (message || 'value') + ': expected ' + expected + ', got ' + actual);
+}
+
+function linearSeries(n, slope) {
+  var points = [];
+  for (var i = 1; i <= n; i++) points.push({x: i, y: slope * i});
+  return points;
+}
+
+test('normalCdf and normalQuantile match standard normal tables', function() {
+  assertClose(albedoStats.normalCdf(0), 0.5, 1e-7);
+  assertClose(albedoStats.normalCdf(1.96), 0.9750021, 1e-6);
+  assertClose(albedoStats.normalCdf(-1.96), 0.0249979, 1e-6);
+  assertClose(albedoStats.normalQuantile(0.975), 1.9599640, 1e-6);
+  assertClose(albedoStats.normalQuantile(0.01), -2.3263479, 1e-6);
+});
+
+test('cleanSeries drops invalid points and sorts by x', function() {
+  var cleaned = albedoStats.cleanSeries([{x: 3, y: 1}, {x: 1, y: null}, null, {x: 2, y: NaN}, {x: 0, y: 2}]);
+  assert.deepStrictEqual(cleaned, [{x: 0, y: 2}, {x: 3, y: 1}]);
+});
+
+test('mannKendall without ties: strictly increasing series (S = n(n-1)/2)', function() {
+  // n = 10 : S = 45, Var(S) = 10·9·25/18 = 125, Z = (45 - 1)/√125
+  var result = albedoStats.mannKendall(linearSeries(10, 1));
+  assert.strictEqual(result.S, 45);
+  assert.strictEqual(result.varS, 125);
+  assert.strictEqual(result.tieGroups, 0);
+  assertClose(result.z, 44 / Math.sqrt(125), 1e-12);
+  assertClose(result.pValue, 8.30e-5, 1e-6);
+});
+
+test('mannKendall reference series', function() {
+  var result = albedoStats.mannKendall(SERIES);
+  assert.strictEqual(result.S, -52);
+  assertClose(result.varS, 212.666666666667, 1e-9);
+  assertClose(result.z, -3.49719995475108, 1e-9);
+  assertClose(result.pValue, 0.000470169, 1e-6);
+});
+
+test('mannKendall with ties: tie-corrected variance', function() {
+  // [1, 2, 2, 3, 3, 3, 4] : S = 17, groupes t = 2 et t = 3 → Σ t(t-1)(2t+5) = 18 + 66,
+  // Var(S) = (7·6·19 - 84)/18 = 39.667, Z = 16/√39.667
+  var result = albedoStats.mannKendall(albedoStats.toPoints([1, 2, 3, 4, 5, 6, 7], [1, 2, 2, 3, 3, 3, 4]));
+  assert.strictEqual(result.S, 17);
+  assert.strictEqual(result.tieGroups, 2);
+  assertClose(result.varS, 714 / 18, 1e-12);
+  assertClose(result.z, 2.54042939531982, 1e-9);
+  assertClose(result.pValue, 0.0110716, 1e-6);
+});
+
+test("sensSlope: median pairwise slope and median intercept", function() {
+  var result = albedoStats.sensSlope(SERIES);
+  assertClose(result.slope, -0.01, 1e-12);
+  assertClose(result.intercept, 20.715, 1e-9);
+  assert.strictEqual(result.slopes.length, 66);
+  assert.strictEqual(result.n, 12);
+});
+
+test('sensSlopeRankCI (Gilbert 1987): ranks (N ∓ C)/2', function() {
+  // N = 66 pentes, C = 1.95996·√212.667 = 28.58 → rangs 19 et 48
+  var result = albedoStats.sensSlopeRankCI(SERIES, 0.95);
+  assert.strictEqual(result.method, 'rank');
+  assertClose(result.lower, -0.014, 1e-12);
+  assertClose(result.upper, -0.0075, 1e-12);
+  // n = 3 : N = 3 pentes, C = 3.75 → rangs hors de [1, N]
+  assert.strictEqual(albedoStats.sensSlopeRankCI(linearSeries(3, 1), 0.95), null);
+});
+
+test('sensSlopeBootstrapCI is reproducible for a seed and brackets the Sen slope', function() {
+  var first = albedoStats.sensSlopeBootstrapCI(SERIES, 0.95, 200, 42);
+  var second = albedoStats.sensSlopeBootstrapCI(SERIES, 0.95, 200, 42);
+  assert.deepStrictEqual(first, second);
+  assert.strictEqual(first.method, 'bootstrap');
+  assert.strictEqual(first.iterations, 200);
+  assert.strictEqual(first.seed, 42);
+  assert.ok(first.lower <= -0.01 && -0.01 <= first.upper);
+  assert.strictEqual(albedoStats.sensSlopeBootstrapCI(SERIES, 0.95, 0, 42), null);
+});
+
+test('createSeededRandom is deterministic and stays in [0, 1[', function() {
+  var a = albedoStats.createSeededRandom(7);
+  var b = albedoStats.createSeededRandom(7);
+  for (var i = 0; i < 100; i++) {
+    var value = a();
+    assert.strictEqual(value, b());
+    assert.ok(value >= 0 && value < 1);
+  }
+});
+
+test('mannKendallHamedRao (Hamed & Rao 1998) reference series', function() {
+  var result = albedoStats.mannKendallHamedRao(SERIES, 0.95);
+  assert.strictEqual(result.method, 'hamed_rao');
+  assert.deepStrictEqual(result.significantLags, [1, 2, 3]);
+  assertClose(result.correctionFactor, 0.0419451871657753, 1e-9);
+  assertClose(result.varS, 212.666666666667 * 0.0419451871657753, 1e-9);
+});
+
+test('mannKendallHamedRao leaves Var(S) unchanged without rank autocorrelation', function() {
+  // Série exactement linéaire : résidus constants → aucune autocorrélation, n/n* = 1
+  var result = albedoStats.mannKendallHamedRao(linearSeries(10, 2), 0.95);
+  assert.strictEqual(result.correctionFactor, 1);
+  assert.strictEqual(result.varS, 125);
+  assert.deepStrictEqual(result.significantLags, []);
+});
+
+test('mannKendallPrewhitened (TFPW, Yue et al. 2002)', function() {
+  var result = albedoStats.mannKendallPrewhitened(SERIES);
+  assert.strictEqual(result.method, 'prewhitening');
+  assert.strictEqual(result.n, 11);
+  assert.strictEqual(result.S, -49);
+  assert.strictEqual(result.varS, 165);
+  assertClose(result.lag1, -0.749321235056887, 1e-9);
+  assertClose(result.z, -3.73679493197531, 1e-9);
+
+  // Série linéaire : r1 = 0, série reconstituée strictement croissante sur n - 1 points
+  var linear = albedoStats.mannKendallPrewhitened(linearSeries(10, 2));
+  assert.strictEqual(linear.lag1, 0);
+  assert.strictEqual(linear.S, 36);
+});
+
+test('pettittTest: single level shift', function() {
+  // 5 zéros puis 5 uns : K = 5·5 = 25, p = 2·exp(-6·25² / (10³ + 10²))
+  var result = albedoStats.pettittTest(albedoStats.toPoints([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], [0, 0, 0, 0, 0, 1, 1, 1, 1, 1]));
+  assert.strictEqual(result.K, 25);
+  assert.strictEqual(result.index, 5);
+  assert.strictEqual(result.x, 6);
+  assert.strictEqual(result.direction, 'increase');
+  assertClose(result.pValue, 2 * Math.exp(-3750 / 1100), 1e-12);
+});
+
+test('piecewiseLinearSegmentation selects one breakpoint by BIC', function() {
+  // y = x jusqu'à x = 9, puis y = 30 - 2x : une rupture exacte en x = 10
+  var points = [];
+  for (var x = 0; x < 20; x++) points.push({x: x, y: x < 10 ? x : 10 - 2 * (x - 10)});
+  var result = albedoStats.piecewiseLinearSegmentation(points, 2, 4);
+
+  assert.strictEqual(result.breakpoints.length, 1);
+  assert.strictEqual(result.breakpoints[0].x, 10);
+  assert.ok(result.breakpoints[0].lowerX <= 10 && result.breakpoints[0].upperX >= 10);
+  assert.strictEqual(result.segments.length, 2);
+  assertClose(result.segments[0].slope, 1, 1e-9);
+  assertClose(result.segments[1].slope, -2, 1e-9);
+  assertClose(result.segments[1].intercept, 30, 1e-9);
+
+  var bic = result.candidates.map(function(c) { return c.bic; });
+  assert.ok(bic[1] < bic[0] && bic[1] < bic[2]);
+});
+
+test('savitzkyGolayCoefficients match the published quadratic tables', function() {
+  // Savitzky & Golay (1964) : fenêtre 5 → [-3, 12, 17, 12, -3]/35, fenêtre 7 → [-2, 3, 6, 7, 6, 3, -2]/21
+  [[2, 35, [-3, 12, 17, 12, -3]], [3, 21, [-2, 3, 6, 7, 6, 3, -2]]].forEach(function(entry) {
+    var coefficients = albedoStats.savitzkyGolayCoefficients(entry[0]);
+    assert.strictEqual(coefficients.length, entry[2].length);
+    coefficients.forEach(function(c, i) { assertClose(c * entry[1], entry[2][i], 1e-12); });
+  });
+  assert.strictEqual(albedoStats.savitzkyGolayCoefficients(0), null);
+  assert.strictEqual(albedoStats.savitzkyGolayCoefficients(1.5), null);
+});
+
+test('shortHash matches the FNV-1a 32-bit test vectors', function() {
+  assert.strictEqual(albedoStats.shortHash(''), '811c9dc5');
+  assert.strictEqual(albedoStats.shortHash('a'), 'e40c292c');
+  assert.strictEqual(albedoStats.shortHash('foobar'), 'bf9cf968');
+});
+
+test('descriptive statistics', function() {
+  var points = albedoStats.toPoints([1, 2, 3, 4], [2, 4, 4, 6]);
+  assert.strictEqual(albedoStats.mean(points), 4);
+  assertClose(albedoStats.standardDeviation(points), Math.sqrt(8 / 3), 1e-12);
+  assertClose(albedoStats.coefficientOfVariation(points), Math.sqrt(8 / 3) / 4 * 100, 1e-12);
+  assertClose(albedoStats.lag1Autocorrelation(points), 0.5, 1e-12);
+  assert.deepStrictEqual(albedoStats.zScores(points).map(function(p) { return p.z; }).map(Math.round), [-1, 0, 0, 1]);
+  assert.strictEqual(albedoStats.anomalies(points, 1.2).length, 2);
+});
+
+test('zero denominators give null, never NaN or Infinity', function() {
+  var zeros = albedoStats.toPoints([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  assert.strictEqual(albedoStats.coefficientOfVariation(zeros), null);
+  assert.strictEqual(albedoStats.zScores(zeros), null);
+  assert.strictEqual(albedoStats.anomalies(zeros), null);
+  assert.strictEqual(albedoStats.rollingCV(zeros, 5), null);
+  assert.strictEqual(albedoStats.periodComparison(zeros).relativeChange, null);
+
+  // Fenêtres de moyenne nulle ignorées, les autres conservées
+  var mixed = albedoStats.rollingCV(albedoStats.toPoints([1, 2, 3, 4], [1, -1, 0, 2]), 3);
+  assert.strictEqual(mixed.windows.length, 1);
+  assert.strictEqual(mixed.windows[0].x, 4);
+  assert.ok(isFinite(mixed.min.cv) && isFinite(mixed.max.cv));
+});
+
+test('periodComparison splits the series in halves', function() {
+  var result = albedoStats.periodComparison(linearSeries(10, 1), 10);
+  assert.strictEqual(result.splitPoint, 5);
+  assert.strictEqual(result.earlyMean, 3);
+  assert.strictEqual(result.lateMean, 8);
+  assert.strictEqual(result.difference, 5);
+  assertClose(result.relativeChange, 500 / 3, 1e-12);
+});
+
+test('null and short-series contract of every series function', function() {
+  // [fonction, longueur minimale, arguments supplémentaires]
+  var cases = [
+    ['mean', 1, []],
+    ['standardDeviation', 2, []],
+    ['coefficientOfVariation', 2, []],
+    ['rollingCV', 5, [5]],
+    ['zScores', 2, []],
+    ['anomalies', 2, [2.0]],
+    ['lag1Autocorrelation', 3, []],
+    ['periodComparison', 10, [10]],
+    ['sensSlope', 2, []],
+    ['mannKendall', 3, []],
+    ['sensSlopeRankCI', 3, [0.5]],  // à 95 %, les rangs sortent de [1, N] pour n = 3
+    ['sensSlopeBootstrapCI', 3, [0.95, 50, 1]],
+    ['mannKendallPrewhitened', 4, []],
+    ['mannKendallHamedRao', 4, [0.95]],
+    ['pettittTest', 3, []],
+    ['piecewiseLinearSegmentation', 4, [2, 4]],
+    ['trendStatistics', 3, [{}]]
+  ];
+
+  cases.forEach(function(entry) {
+    var fn = albedoStats[entry[0]];
+    var extra = entry[2];
+    [null, undefined, [], linearSeries(entry[1] - 1, 1)].forEach(function(input) {
+      assert.strictEqual(fn.apply(null, [input].concat(extra)), null, entry[0] + ' on ' + JSON.stringify(input));
+    });
+
+    // Points invalides ignorés : longueur minimale atteinte seulement avec les points valides
+    var padded = linearSeries(entry[1] - 1, 1).concat([{x: 99, y: null}, {x: null, y: 1}]);
+    assert.strictEqual(fn.apply(null, [padded].concat(extra)), null, entry[0] + ' with invalid points');
+    assert.notStrictEqual(fn.apply(null, [linearSeries(entry[1], 1).map(function(p, i) {
+      return {x: p.x, y: p.y + (i % 2) * 0.5};
+    })].concat(extra)), null, entry[0] + ' at minimum length');
+  });
+});
+
+test('trendStatistics fields are null when the series is too short for them', function() {
+  var result = albedoStats.trendStatistics(SERIES, {bootstrapIterations: 0});
+  assert.strictEqual(result.n, 12);
+  assert.strictEqual(result.bootstrapCI, null);
+  assert.notStrictEqual(result.periodComparison, null);
+
+  var short = albedoStats.trendStatistics(SERIES.slice(0, 4), {});
+  assert.strictEqual(short.rollingCV, null);
+  assert.strictEqual(short.periodComparison, null);
+  assert.notStrictEqual(short.mannKendall, null);
+});
+
+test('formatSignificance and padBinary', function() {
+  assert.strictEqual(albedoStats.formatSignificance(null, 0.95), 'n/a');
+  assert.strictEqual(albedoStats.formatSignificance(0.01, 0.95), 'SIGNIFICANT (p < 0.05)');
+  assert.strictEqual(albedoStats.formatSignificance(0.2, 0.95), 'not significant (p ≥ 0.05)');
+  assert.strictEqual(albedoStats.padBinary(5, 8), '00000101');
+});
+
+test('Basic QA and Algorithm Flags decoding', function() {
+  assert.strictEqual(albedoStats.decodeBasicQA(0), 'Best quality');
+  assert.strictEqual(albedoStats.decodeBasicQA(211), 'Night (no data)');
+  assert.strictEqual(albedoStats.decodeBasicQA(239), 'Ocean');
+  assert.strictEqual(albedoStats.decodeBasicQA(5), 'Unknown (5)');
+  assert.strictEqual(albedoStats.decodeBasicQA(null), 'Unknown');
+
+  // 161 = 0b10100001 : eau continentale (bit 0), probablement nuageux (bit 5), angle zénithal (bit 7)
+  assert.deepStrictEqual(albedoStats.decodeAlgorithmFlags(161), {
+    excludeInlandWater: 1, excludeVisibleScreenFail: 0, excludeNDSIScreenFail: 0, excludeTempHeightFail: 0,
+    excludeSWIRAnomaly: 0, excludeProbablyCloudy: 1, excludeProbablyClear: 0, excludeHighSolarZenith: 1
+  });
+  assert.strictEqual(albedoStats.decodeAlgorithmFlags(null), null);
+  albedoStats.QA_BIT_MAPPING.forEach(function(mapping) {
+    assert.strictEqual(mapping.mask, 1 << mapping.bit);
+  });
+});
+
+test('encodeAlgorithmFlags is the inverse of decodeAlgorithmFlags', function() {
+  assert.strictEqual(albedoStats.encodeAlgorithmFlags({excludeProbablyCloudy: true, excludeVisibleScreenFail: true}), 34);
+  assert.strictEqual(albedoStats.encodeAlgorithmFlags(null), 0);
+  for (var value = 0; value < 256; value++) {
+    var decoded = albedoStats.decodeAlgorithmFlags(value);
+    var config = {};
+    Object.keys(decoded).forEach(function(flag) { config[flag] = decoded[flag] === 1; });
+    assert.strictEqual(albedoStats.encodeAlgorithmFlags(config), value);
+  }
+});
+
+test('validateFilterProfile', function() {
+  var qa = {basicLevel: 'good'};
+  albedoStats.QA_BIT_MAPPING.forEach(function(mapping) { qa[mapping.flag] = mapping.bit === 5; });
+  var profile = {qa: qa, ndsiSnowThreshold: 0, glacierFractionThreshold: 75, minPixelThreshold: 10,
+    fractionThresholds: [0.25, 0.5, 0.75, 0.9]};
+  assert.deepStrictEqual(albedoStats.validateFilterProfile(profile), []);
+
+  assert.deepStrictEqual(albedoStats.validateFilterProfile(null), ['profile must be an object']);
+  var invalid = JSON.parse(JSON.stringify(profile));
+  invalid.qa.basicLevel = 'great';
+  invalid.qa.excludeInlandWater = 'yes';
+  invalid.ndsiSnowThreshold = 120;
+  invalid.minPixelThreshold = 2.5;
+  invalid.fractionThresholds = [0.5, 0.5];
+  assert.deepStrictEqual(albedoStats.validateFilterProfile(invalid), [
+    'qa.basicLevel must be one of best, good, ok, all',
+    'qa.excludeInlandWater must be true or false',
+    'ndsiSnowThreshold must be a number in [0, 100]',
+    'minPixelThreshold must be an integer ≥ 0',
+    'fractionThresholds must be strictly ascending values in ]0, 1['
+  ]);
+});